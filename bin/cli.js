@@ -5,8 +5,10 @@
  * MIT License
  */
 import { createReadStream, createWriteStream } from 'node:fs';
+import { resolve } from 'node:path';
 import { parseArgs } from 'node:util';
 import { compile } from '../lib/compiler.js';
+import { emit, emitKinds } from '../lib/llvm/emitter.js';
 import { pretty } from '../lib/util/pretty-hrtime.js';
 
 const parsedArgs = parseArgs({
@@ -31,6 +33,31 @@ const parsedArgs = parseArgs({
       short: 'o',
       default: '',
     },
+    checked: {
+      type: 'boolean',
+      default: false,
+    },
+    cleanup: {
+      type: 'boolean',
+      default: false,
+    },
+    'opt-level': {
+      type: 'string',
+      short: 'O',
+      default: '0',
+    },
+    emit: {
+      type: 'string',
+      default: '',
+    },
+    target: {
+      type: 'string',
+    },
+    debug: {
+      type: 'boolean',
+      short: 'g',
+      default: false,
+    },
   },
 });
 
@@ -44,6 +71,12 @@ Options:
   -b, --backend      Specify the backend to use (default: babel)
   -f, --file         Input source file (default: stdin)
   -o, --output       Output file (default: stdout)
+      --checked      Stop with an error when an array index is out of bounds
+      --cleanup      Free local arrays and strings when a function returns (LLVM)
+  -O, --opt-level    Optimization level 0-3, e.g. -O2; needs LLVM's opt tool (LLVM, default: 0)
+      --emit         Write obj, asm, bc or exe to the output file instead of LLVM IR (LLVM)
+      --target       Target triple, e.g. aarch64-linux-gnu, i686-linux-gnu or wasm32 (LLVM, default: x86_64-pc-linux-gnu)
+  -g, --debug        Add DWARF debug info for source-level debugging in gdb (LLVM)
 `);
   process.exit(0);
 }
@@ -51,6 +84,22 @@ Options:
 const backend = parsedArgs.values.backend;
 const file = parsedArgs.values.file;
 const output = parsedArgs.values.output;
+const emitKind = parsedArgs.values.emit;
+const optLevel = parsedArgs.values['opt-level'];
+const optLevels = ['0', '1', '2', '3'];
+
+if (emitKind && !emitKinds.includes(emitKind)) {
+  console.error(`Unknown --emit kind: ${emitKind} (use ${emitKinds.join(', ')})`);
+  process.exit(1);
+}
+if (!optLevels.includes(optLevel)) {
+  console.error(`Unknown --opt-level: ${optLevel} (use ${optLevels.join(', ')})`);
+  process.exit(1);
+}
+if (emitKind && (backend !== 'llvm' || !output)) {
+  console.error('--emit needs the LLVM backend (-b llvm) and an output file (-o)');
+  process.exit(1);
+}
 
 console.log(`Backend: ${backend}`);
 if (file) {
@@ -61,15 +110,26 @@ if (output) {
 }
 
 const inputStream = file ? createReadStream(file) : process.stdin;
-const outputStream = output ? createWriteStream(output) : process.stdout;
+// Emitted files are written by the emitter once compiling succeeds
+const outputStream = emitKind ? null : output ? createWriteStream(output) : process.stdout;
 
 const start = process.hrtime.bigint();
-compile(inputStream, backend)
+compile(inputStream, backend, {
+  checked: parsedArgs.values.checked,
+  cleanup: parsedArgs.values.cleanup,
+  optLevel: Number(optLevel),
+  target: parsedArgs.values.target,
+  debug: parsedArgs.values.debug,
+  sourceFile: file ? resolve(file) : null,
+})
   .then((results) => {
     const end = process.hrtime.bigint();
     const totalTime = pretty(end - start);
     const message = `Total Time: ${totalTime} PreTokens: ${results.preprocessorTokenCount} Tokens: ${results.tokenCount} AST Nodes: ${results.astNodeCount} `;
 
+    if (emitKind) {
+      return emit(results.code, emitKind, output, results.libraries).then(() => console.log(message));
+    }
     if (backend === 'llvm') {
       outputStream.write(`; ${message}\n\n`);
       outputStream.write(results.code);
@@ -82,4 +142,5 @@ compile(inputStream, backend)
   })
   .catch((err) => {
     console.error(err);
+    process.exitCode = 1;
   });
@@ -0,0 +1,43 @@
+/* Complect - Compiler for the Complect programming language
+ *
+ * Copyright © 2024 Jarrod Connolly
+ * MIT License
+ */
+
+import assert from 'node:assert';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+const cli = fileURLToPath(new URL('./cli.js', import.meta.url));
+const fib = fileURLToPath(new URL('../fixtures/fib.cplct', import.meta.url));
+const workDir = mkdtempSync(join(tmpdir(), 'complect-cli-'));
+
+function run(args, env = {}) {
+  return spawnSync(process.execPath, [cli, ...args], { env: { ...process.env, ...env }, timeout: 60000 });
+}
+
+describe('cli', () => {
+  after(() => rmSync(workDir, { recursive: true, force: true }));
+
+  it('exits with an error when emitting fails', () => {
+    // A C compiler that always fails stands in for a link error such as a missing library
+    const { status, stderr } = run(['-b', 'llvm', '-f', fib, '--emit', 'exe', '-o', join(workDir, 'fib')], {
+      CC: 'false',
+    });
+    assert.strictEqual(status, 1);
+    assert.match(stderr.toString(), /(false|llc) failed with exit code|is not installed/);
+  });
+
+  it('rejects optimization levels other than 0 to 3', () => {
+    for (const level of ['fast', '9', '1.5']) {
+      const { status, stdout, stderr } = run(['-b', 'llvm', '-f', fib, `-O${level}`]);
+      assert.strictEqual(status, 1, level);
+      assert.strictEqual(stdout.toString(), '');
+      assert.strictEqual(stderr.toString(), `Unknown --opt-level: ${level} (use 0, 1, 2, 3)\n`);
+    }
+  });
+});
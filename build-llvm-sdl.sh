@@ -4,5 +4,5 @@ if [ -z "$1" ]; then
   exit 1
 fi
 complect -b llvm -f fixtures/${1}.cplct -o output/${1}.ll
-clang output/${1}.ll -s -lSDL2 -lm -o output/${1}
-# ./output/${1}
\ No newline at end of file
+complect -b llvm --emit exe -f fixtures/${1}.cplct -o output/${1}
+# ./output/${1}
@@ -4,6 +4,7 @@
  * MIT License
  */
 
+import { builtinsByName, createBuiltinNode, isExpressionBuiltin } from '../builtins/builtins.js';
 import { TokenType } from '../tokenizer/token-type.js';
 import {
   ArrayAccess,
@@ -11,29 +12,24 @@ import {
   ArrayDeclaration,
   AssignmentExpression,
   BinaryExpression,
+  BitwiseNotExpression,
+  BoolExpression,
+  BooleanLiteral,
+  BreakStatement,
+  CallExpression,
   CallStatement,
-  CosExpression,
+  ContinueStatement,
+  ForStatement,
   FreeStatement,
   FunctionDeclaration,
   Identifier,
   IfStatement,
+  LogicalExpression,
+  NotExpression,
   NumericLiteral,
   PrintStatement,
   Program,
   ReturnStatement,
-  RndExpression,
-  SDLClearStatement,
-  SDLCreateRendererStatement,
-  SDLDelayStatement,
-  SDLDrawLineStatement,
-  SDLGetPixelStatement,
-  SDLHandleEventsStatement,
-  SDLInitStatement,
-  SDLPresentStatement,
-  SDLPutPixelStatement,
-  SDLSetColorStatement,
-  SDLWindowStatement,
-  SinExpression,
   StringLiteral,
   UnaryMinusExpression,
   VariableDeclaration,
@@ -41,7 +37,7 @@ import {
 } from './ir-nodes.js';
 
 // Custom error class for AST building with location info
-class ASTError extends Error {
+export class ASTError extends Error {
   constructor(message, loc = null) {
     super(message);
     this.name = 'ASTError';
@@ -49,11 +45,15 @@ class ASTError extends Error {
   }
 }
 
+// Assignment operators that combine the target with the value, e.g. total += x is total = total + x
+const compoundAssignments = ['+=', '-=', '*=', '/=', '%='];
+
 // ASTBuilder builds an IR AST from tokens using a state machine
 export class ASTBuilder {
   constructor() {
     this.tokens = null;
     this.index = 0;
+    this.loopDepth = 0; // Number of enclosing loops in the current function, for break/continue
   }
 
   // Main entry point: build AST from async generator of tokens
@@ -64,69 +64,166 @@ export class ASTBuilder {
     }
     this.tokens = allTokens;
     this.index = 0;
+    this.loopDepth = 0;
     this.parse();
     return this.program;
   }
 
   parse() {
-    this.program = new Program(this.parseBlock(null), null);
+    this.program = new Program(this.parseBlock(), null);
   }
 
-  parseBlock(endKeyword) {
+  // Parse statements up to and including one of the end keywords (or to the end of input when none are given).
+  // The consumed end keyword is left at this.tokens[this.index - 1] for callers that accept several.
+  parseBlock(...endKeywords) {
     const statements = [];
     while (this.index < this.tokens.length) {
       if (
-        endKeyword &&
+        endKeywords.length > 0 &&
         this.tokens[this.index].type === TokenType.keyword &&
-        this.tokens[this.index].value === endKeyword
+        endKeywords.includes(this.tokens[this.index].value)
       ) {
         this.index++;
         return statements;
       }
       statements.push(this.parseStatement());
     }
-    if (endKeyword) throw new ASTError(`Expected '${endKeyword}'`);
+    if (endKeywords.length > 0) throw new ASTError(`Expected '${endKeywords[0]}'`, this.lastTokenLoc());
     return statements;
   }
 
+  // Parse the rest of an if (or elseif) statement after its keyword, through the closing endif
+  parseIf(token) {
+    const test = this.parseFullExpression();
+    const consequent = this.parseBlock('endif', 'else', 'elseif');
+    const terminator = this.tokens[this.index - 1];
+    let alternate = null;
+    if (terminator.value === 'elseif') {
+      // elseif chains nest: the nested if consumes the single endif that closes the whole chain
+      alternate = [this.parseIf(terminator)];
+    } else if (terminator.value === 'else') {
+      alternate = this.parseBlock('endif');
+    }
+    return new IfStatement(
+      test,
+      consequent,
+      {
+        start: { line: token.line, column: token.column },
+        end: { line: token.line, column: token.column },
+      },
+      alternate,
+    );
+  }
+
+  // Parse the rest of a counted loop after 'for': variable start 'to' end ['step' step] ... 'next'
+  parseFor(token) {
+    const loc = {
+      start: { line: token.line, column: token.column },
+      end: { line: token.line, column: token.column },
+    };
+    const varToken = this.tokens[this.index++];
+    if (!varToken || varToken.type !== TokenType.identifier)
+      throw new ASTError(`Expected identifier after 'for'`, { line: token.line, column: token.column });
+    const start = this.parseFullExpression();
+    const toToken = this.tokens[this.index++];
+    if (!toToken || toToken.type !== TokenType.keyword || toToken.value !== 'to')
+      throw new ASTError(`Expected 'to' in for loop`, { line: token.line, column: token.column });
+    const end = this.parseFullExpression();
+    let step = new NumericLiteral(1, loc);
+    const stepToken = this.tokens[this.index];
+    if (stepToken && stepToken.type === TokenType.keyword && stepToken.value === 'step') {
+      this.index++;
+      step = this.parseFullExpression();
+    }
+    this.loopDepth++;
+    const body = this.parseBlock('next');
+    this.loopDepth--;
+    return new ForStatement(varToken.value, start, end, step, body, loc, this.tokenLoc(varToken));
+  }
+
+  // Location of a single token, used to record where names appear in the source
+  tokenLoc(token) {
+    return {
+      start: { line: token.line, column: token.column },
+      end: { line: token.line, column: token.column },
+    };
+  }
+
+  // Location of the final token, used when the input ends mid-construct
+  lastTokenLoc() {
+    const last = this.tokens[this.tokens.length - 1];
+    return last ? { line: last.line, column: last.column } : null;
+  }
+
+  // Read the identifier that must follow a keyword such as make or call
+  expectIdentifier(keywordToken) {
+    const token = this.tokens[this.index++];
+    if (!token) throw new ASTError('Unexpected end of input', this.lastTokenLoc());
+    if (token.type !== TokenType.identifier) {
+      throw new ASTError(`Expected identifier after '${keywordToken.value}'`, {
+        line: keywordToken.line,
+        column: keywordToken.column,
+      });
+    }
+    return token;
+  }
+
   parseStatement() {
     const token = this.tokens[this.index++];
     if (token.type === TokenType.keyword) {
       if (token.value === 'make') {
-        const idToken = this.tokens[this.index++];
-        if (idToken.type !== TokenType.identifier)
-          throw new ASTError(`Expected identifier after 'make'`, { line: token.line, column: token.column });
+        const idToken = this.expectIdentifier(token);
 
         // Check if this is an array declaration (identifier followed by '[')
         const nextToken = this.tokens[this.index];
         if (nextToken && nextToken.type === TokenType.operator && nextToken.value === '[') {
-          // Array declaration: make arr[100]
-          this.index++; // consume '['
-          const sizeExpr = this.parseFullExpression();
-          const closeBracket = this.tokens[this.index++];
-          if (!closeBracket || closeBracket.type !== TokenType.operator || closeBracket.value !== ']')
-            throw new ASTError(`Expected ']' after array size`, { line: token.line, column: token.column });
-          return new ArrayDeclaration(idToken.value, sizeExpr, {
-            start: { line: token.line, column: token.column },
-            end: { line: token.line, column: token.column },
-          });
+          // Array declaration: make arr[100], make grid[h][w], make arr[100] byte or make arr[3] = [1, 2, 3]
+          const dimensions = this.parseBracketList(token, 'array size');
+          let elementType = 'int32';
+          const typeToken = this.tokens[this.index];
+          if (this.isKeyword(typeToken, 'int32') || this.isKeyword(typeToken, 'byte')) {
+            elementType = typeToken.value;
+            this.index++;
+          }
+          const initializer = this.isOperator(this.tokens[this.index], ['='])
+            ? this.parseArrayInitializer(idToken, dimensions)
+            : null;
+          return new ArrayDeclaration(
+            idToken.value,
+            dimensions,
+            {
+              start: { line: token.line, column: token.column },
+              end: { line: token.line, column: token.column },
+            },
+            this.tokenLoc(idToken),
+            initializer,
+            elementType,
+          );
         } else {
           // Regular variable declaration: make x 5
           const expr = this.parseFullExpression();
-          return new VariableDeclaration(idToken.value, expr, {
-            start: { line: token.line, column: token.column },
-            end: { line: token.line, column: token.column },
-          });
+          return new VariableDeclaration(
+            idToken.value,
+            expr,
+            {
+              start: { line: token.line, column: token.column },
+              end: { line: token.line, column: token.column },
+            },
+            this.tokenLoc(idToken),
+          );
         }
       } else if (token.value === 'assign') {
-        const idToken = this.tokens[this.index++];
-        if (idToken.type !== TokenType.identifier)
-          throw new ASTError(`Expected identifier after 'assign'`, { line: token.line, column: token.column });
+        const idToken = this.expectIdentifier(token);
         const expr = this.parseFullExpression();
-        return new AssignmentExpression(idToken.value, expr, {
-          start: { line: token.line, column: token.column },
-          end: { line: token.line, column: token.column },
-        });
+        return new AssignmentExpression(
+          idToken.value,
+          expr,
+          {
+            start: { line: token.line, column: token.column },
+            end: { line: token.line, column: token.column },
+          },
+          this.tokenLoc(idToken),
+        );
       } else if (token.value === 'print') {
         const expr = this.parseFullExpression();
         return new PrintStatement(expr, {
@@ -134,52 +231,74 @@ export class ASTBuilder {
           end: { line: token.line, column: token.column },
         });
       } else if (token.value === 'free') {
-        const idToken = this.tokens[this.index++];
-        if (idToken.type !== TokenType.identifier)
-          throw new ASTError(`Expected identifier after 'free'`, { line: token.line, column: token.column });
-        return new FreeStatement(idToken.value, {
-          start: { line: token.line, column: token.column },
-          end: { line: token.line, column: token.column },
-        });
+        const idToken = this.expectIdentifier(token);
+        return new FreeStatement(
+          idToken.value,
+          {
+            start: { line: token.line, column: token.column },
+            end: { line: token.line, column: token.column },
+          },
+          this.tokenLoc(idToken),
+        );
       } else if (token.value === 'if') {
-        const test = this.parseFullExpression();
-        const consequent = this.parseBlock('endif');
-        return new IfStatement(test, consequent, {
-          start: { line: token.line, column: token.column },
-          end: { line: token.line, column: token.column },
-        });
+        return this.parseIf(token);
       } else if (token.value === 'as') {
         const test = this.parseFullExpression();
+        this.loopDepth++;
         const body = this.parseBlock('repeat');
+        this.loopDepth--;
         return new WhileStatement(test, body, {
           start: { line: token.line, column: token.column },
           end: { line: token.line, column: token.column },
         });
+      } else if (token.value === 'for') {
+        return this.parseFor(token);
+      } else if (token.value === 'break' || token.value === 'continue') {
+        const loc = {
+          start: { line: token.line, column: token.column },
+          end: { line: token.line, column: token.column },
+        };
+        if (this.loopDepth === 0) {
+          throw new ASTError(`'${token.value}' outside of a loop`, { line: token.line, column: token.column });
+        }
+        return token.value === 'break' ? new BreakStatement(loc) : new ContinueStatement(loc);
       } else if (token.value === 'func') {
-        const nameToken = this.tokens[this.index++];
-        if (nameToken.type !== TokenType.identifier)
-          throw new ASTError(`Expected identifier after 'func'`, { line: token.line, column: token.column });
+        const nameToken = this.expectIdentifier(token);
         const params = [];
+        const paramLocs = [];
         while (this.index < this.tokens.length && this.tokens[this.index].type === TokenType.identifier) {
-          params.push(this.tokens[this.index++].value);
+          const paramToken = this.tokens[this.index++];
+          params.push(paramToken.value);
+          paramLocs.push(this.tokenLoc(paramToken));
         }
+        // A function body starts outside of any loop, even when declared inside one
+        const savedLoopDepth = this.loopDepth;
+        this.loopDepth = 0;
         const body = this.parseBlock('end');
-        return new FunctionDeclaration(nameToken.value, params, body, {
-          start: { line: token.line, column: token.column },
-          end: { line: token.line, column: token.column },
-        });
+        this.loopDepth = savedLoopDepth;
+        return new FunctionDeclaration(
+          nameToken.value,
+          params,
+          body,
+          {
+            start: { line: token.line, column: token.column },
+            end: { line: token.line, column: token.column },
+          },
+          this.tokenLoc(nameToken),
+          paramLocs,
+        );
       } else if (token.value === 'return') {
-        const varToken = this.tokens[this.index++];
-        if (varToken.type !== TokenType.identifier)
-          throw new ASTError(`Expected identifier after 'return'`, { line: token.line, column: token.column });
-        return new ReturnStatement(varToken.value, {
+        // The value must start on the same line; otherwise this is a bare return and the next line
+        // is the following statement
+        const next = this.tokens[this.index];
+        const argument =
+          next && next.line === token.line && this.canStartExpression(next) ? this.parseFullExpression() : null;
+        return new ReturnStatement(argument, {
           start: { line: token.line, column: token.column },
-          end: { line: token.line, column: token.column },
+          end: argument ? argument.loc.end : { line: token.line, column: token.column },
         });
       } else if (token.value === 'call') {
-        const calleeToken = this.tokens[this.index++];
-        if (calleeToken.type !== TokenType.identifier)
-          throw new ASTError(`Expected identifier after 'call'`, { line: token.line, column: token.column });
+        const calleeToken = this.expectIdentifier(token);
         const args = [];
         while (this.index < this.tokens.length) {
           const next = this.tokens[this.index];
@@ -191,6 +310,7 @@ export class ASTBuilder {
           }
         }
         let result = null;
+        let resultLoc = null;
         if (
           this.index < this.tokens.length &&
           this.tokens[this.index].type === TokenType.keyword &&
@@ -198,7 +318,9 @@ export class ASTBuilder {
         ) {
           this.index++; // consume 'into'
           if (this.index < this.tokens.length && this.tokens[this.index].type === TokenType.identifier) {
-            result = this.tokens[this.index++].value;
+            const resultToken = this.tokens[this.index++];
+            result = resultToken.value;
+            resultLoc = this.tokenLoc(resultToken);
           } else {
             throw new ASTError(`Expected identifier after 'into'`, {
               line: this.tokens[this.index - 1]?.line || 0,
@@ -206,98 +328,19 @@ export class ASTBuilder {
             });
           }
         }
-        return new CallStatement(calleeToken.value, args, result, {
-          start: { line: token.line, column: token.column },
-          end: { line: token.line, column: token.column },
-        });
-      } else if (token.value === 'sdlInit') {
-        return new SDLInitStatement({
-          start: { line: token.line, column: token.column },
-          end: { line: token.line, column: token.column },
-        });
-      } else if (token.value === 'sdlWindow') {
-        const width = this.parseFullExpression();
-        const height = this.parseFullExpression();
-        const titleToken = this.tokens[this.index++];
-        // console.log(`width:${JSON.stringify(width)}  height:${JSON.stringify(height)} titleToken: ${JSON.stringify(titleToken)}`);
-        if (titleToken.type !== TokenType.string)
-          throw new ASTError(`Expected string after height in sdlWindow`, { line: token.line, column: token.column });
-        return new SDLWindowStatement(width, height, titleToken.value, {
-          start: { line: token.line, column: token.column },
-          end: { line: token.line, column: token.column },
-        });
-      } else if (token.value === 'sdlDelay') {
-        const delay = this.parseFullExpression();
-        return new SDLDelayStatement(delay, {
-          start: { line: token.line, column: token.column },
-          end: { line: token.line, column: token.column },
-        });
-      } else if (token.value === 'sdlEvents') {
-        return new SDLHandleEventsStatement({
-          start: { line: token.line, column: token.column },
-          end: { line: token.line, column: token.column },
-        });
-      } else if (token.value === 'sdlRenderer') {
-        return new SDLCreateRendererStatement({
-          start: { line: token.line, column: token.column },
-          end: { line: token.line, column: token.column },
-        });
-      } else if (token.value === 'sdlPutPixel') {
-        const x = this.parseFullExpression();
-        const y = this.parseFullExpression();
-        const r = this.parseFullExpression();
-        const g = this.parseFullExpression();
-        const b = this.parseFullExpression();
-        return new SDLPutPixelStatement(x, y, r, g, b, {
-          start: { line: token.line, column: token.column },
-          end: { line: token.line, column: token.column },
-        });
-      } else if (token.value === 'sdlPresent') {
-        return new SDLPresentStatement({
-          start: { line: token.line, column: token.column },
-          end: { line: token.line, column: token.column },
-        });
-      } else if (token.value === 'sdlClear') {
-        return new SDLClearStatement({
-          start: { line: token.line, column: token.column },
-          end: { line: token.line, column: token.column },
-        });
-      } else if (token.value === 'sdlSetColor') {
-        const r = this.parseFullExpression();
-        const g = this.parseFullExpression();
-        const b = this.parseFullExpression();
-        return new SDLSetColorStatement(r, g, b, {
-          start: { line: token.line, column: token.column },
-          end: { line: token.line, column: token.column },
-        });
-      } else if (token.value === 'sdlDrawLine') {
-        const x1 = this.parseFullExpression();
-        const y1 = this.parseFullExpression();
-        const x2 = this.parseFullExpression();
-        const y2 = this.parseFullExpression();
-        return new SDLDrawLineStatement(x1, y1, x2, y2, {
-          start: { line: token.line, column: token.column },
-          end: { line: token.line, column: token.column },
-        });
-      } else if (token.value === 'sdlGetPixel') {
-        const x = this.parseFullExpression();
-        const y = this.parseFullExpression();
-        const rToken = this.tokens[this.index++];
-        if (rToken.type !== TokenType.identifier) {
-          throw new ASTError(`Expected identifier for red component`, { line: rToken.line, column: rToken.column });
-        }
-        const gToken = this.tokens[this.index++];
-        if (gToken.type !== TokenType.identifier) {
-          throw new ASTError(`Expected identifier for green component`, { line: gToken.line, column: gToken.column });
-        }
-        const bToken = this.tokens[this.index++];
-        if (bToken.type !== TokenType.identifier) {
-          throw new ASTError(`Expected identifier for blue component`, { line: bToken.line, column: bToken.column });
-        }
-        return new SDLGetPixelStatement(x, y, rToken.value, gToken.value, bToken.value, {
-          start: { line: token.line, column: token.column },
-          end: { line: token.line, column: token.column },
-        });
+        return new CallStatement(
+          calleeToken.value,
+          args,
+          result,
+          {
+            start: { line: token.line, column: token.column },
+            end: { line: token.line, column: token.column },
+          },
+          this.tokenLoc(calleeToken),
+          resultLoc,
+        );
+      } else if (builtinsByName.has(token.value) && !isExpressionBuiltin(builtinsByName.get(token.value))) {
+        return this.parseBuiltin(builtinsByName.get(token.value), token);
       } else {
         throw new ASTError(`Unexpected keyword: ${token.value}`, { line: token.line, column: token.column });
       }
@@ -305,44 +348,161 @@ export class ASTBuilder {
       // Check if this is an array assignment (identifier '[' ... ']' '=')
       const nextToken = this.tokens[this.index];
       if (nextToken && nextToken.type === TokenType.operator && nextToken.value === '[') {
-        // Array assignment: arr[5] = value
-        this.index++; // consume '['
-        const indexExpr = this.parseFullExpression();
-        const closeBracket = this.tokens[this.index++];
-        if (!closeBracket || closeBracket.type !== TokenType.operator || closeBracket.value !== ']')
-          throw new ASTError(`Expected ']' after array index`, { line: token.line, column: token.column });
-        const eqToken = this.tokens[this.index++];
-        if (!eqToken || eqToken.type !== TokenType.operator || eqToken.value !== '=')
+        // Array assignment: arr[5] = value or grid[y][x] = value
+        const indices = this.parseBracketList(token, 'array index');
+        const assignment = this.parseAssignmentValue();
+        if (!assignment)
           throw new ASTError(`Expected '=' after array access`, { line: token.line, column: token.column });
-        const valueExpr = this.parseFullExpression();
-        return new ArrayAssignment(token.value, indexExpr, valueExpr, {
-          start: { line: token.line, column: token.column },
-          end: { line: token.line, column: token.column },
-        });
+        return new ArrayAssignment(
+          token.value,
+          indices,
+          assignment.value,
+          {
+            start: { line: token.line, column: token.column },
+            end: { line: token.line, column: token.column },
+          },
+          this.tokenLoc(token),
+          assignment.operator,
+        );
       } else {
-        // Regular assignment: x = value
-        const opToken = this.tokens[this.index++];
-        if (opToken.type !== TokenType.operator || opToken.value !== '=')
+        // Regular assignment: x = value, x += value or x++
+        const assignment = this.parseAssignmentValue();
+        if (!assignment)
           throw new ASTError(`Expected '=' after identifier`, { line: token.line, column: token.column });
-        const expr = this.parseFullExpression();
-        return new AssignmentExpression(token.value, expr, {
-          start: { line: token.line, column: token.column },
-          end: { line: token.line, column: token.column },
-        });
+        return new AssignmentExpression(
+          token.value,
+          assignment.value,
+          {
+            start: { line: token.line, column: token.column },
+            end: { line: token.line, column: token.column },
+          },
+          this.tokenLoc(token),
+          assignment.operator,
+        );
       }
     } else {
       throw new ASTError(`Unexpected token: ${token.type} ${token.value}`, { line: token.line, column: token.column });
     }
   }
 
-  // Parse a full expression, starting with comparison
+  // Parse one or more bracketed expressions after an array name: [i] or [y][x]
+  parseBracketList(token, what) {
+    const expressions = [];
+    while (this.isOperator(this.tokens[this.index], ['['])) {
+      this.index++; // consume '['
+      expressions.push(this.parseFullExpression());
+      const closeBracket = this.tokens[this.index++];
+      if (!this.isOperator(closeBracket, [']']))
+        throw new ASTError(`Expected ']' after ${what}`, { line: token.line, column: token.column });
+    }
+    return expressions;
+  }
+
+  // Parse '= [v, v, ...]' after an array declaration. Values must be number literals so the LLVM backend can
+  // keep them in a constant table; the list may span lines and end with a comma.
+  parseArrayInitializer(idToken, dimensions) {
+    if (dimensions.length > 1)
+      throw new ASTError(
+        `Only one-dimensional arrays take initial values, '${idToken.value}' has ${dimensions.length}`,
+        {
+          line: idToken.line,
+          column: idToken.column,
+        },
+      );
+    const size = dimensions[0];
+    this.index++; // consume '='
+    const openToken = this.tokens[this.index++];
+    if (!this.isOperator(openToken, ['[']))
+      throw new ASTError(`Expected '[' before the values of array '${idToken.value}'`, {
+        line: idToken.line,
+        column: idToken.column,
+      });
+    const openLoc = { line: openToken.line, column: openToken.column };
+    const values = [];
+    while (this.index < this.tokens.length && !this.isOperator(this.tokens[this.index], [']'])) {
+      const value = this.parseFullExpression();
+      if (!(value instanceof NumericLiteral))
+        throw new ASTError(`Values of array '${idToken.value}' must be numbers`, value.loc.start);
+      values.push(value);
+      if (!this.isOperator(this.tokens[this.index], [','])) break;
+      this.index++; // consume ','
+    }
+    if (!this.isOperator(this.tokens[this.index++], [']']))
+      throw new ASTError(`Expected ']' to close the values of array '${idToken.value}'`, openLoc);
+    if (size instanceof NumericLiteral && values.length > size.value)
+      throw new ASTError(`Array '${idToken.value}' has ${values.length} values but size ${size.value}`, openLoc);
+    return values;
+  }
+
+  // Parse the operator and value after an assignment target. Compound forms keep their arithmetic operator,
+  // e.g. x -= 2 gives { operator: '-', value: 2 } and x++ gives { operator: '+', value: 1 }. Returns null when
+  // the next token is not an assignment operator.
+  parseAssignmentValue() {
+    const opToken = this.tokens[this.index];
+    if (!opToken || opToken.type !== TokenType.operator) return null;
+    if (opToken.value === '=') {
+      this.index++;
+      return { operator: null, value: this.parseFullExpression() };
+    }
+    if (compoundAssignments.includes(opToken.value)) {
+      this.index++;
+      return { operator: opToken.value[0], value: this.parseFullExpression() };
+    }
+    if (opToken.value === '++' || opToken.value === '--') {
+      this.index++;
+      return { operator: opToken.value[0], value: new NumericLiteral(1, this.tokenLoc(opToken)) };
+    }
+    return null;
+  }
+
+  // Parse a full expression, starting with the lowest-precedence operator, 'or'
   parseFullExpression() {
+    return this.parseOr();
+  }
+
+  // Parse logical or (lowest precedence)
+  parseOr() {
+    let expr = this.parseAnd();
+    while (this.isKeyword(this.tokens[this.index], 'or')) {
+      this.index++;
+      const right = this.parseAnd();
+      expr = new LogicalExpression(expr, 'or', right, { start: expr.loc.start, end: right.loc.end });
+    }
+    return expr;
+  }
+
+  // Parse logical and (binds tighter than or)
+  parseAnd() {
+    let expr = this.parseNot();
+    while (this.isKeyword(this.tokens[this.index], 'and')) {
+      this.index++;
+      const right = this.parseNot();
+      expr = new LogicalExpression(expr, 'and', right, { start: expr.loc.start, end: right.loc.end });
+    }
+    return expr;
+  }
+
+  // Parse logical not; it applies to a whole comparison, so not a == b is not (a == b)
+  parseNot() {
+    if (this.isKeyword(this.tokens[this.index], 'not')) {
+      const notToken = this.tokens[this.index++];
+      const expr = this.parseNot();
+      return new NotExpression(expr, { start: { line: notToken.line, column: notToken.column }, end: expr.loc.end });
+    }
     return this.parseComparison();
   }
 
+  isKeyword(token, value) {
+    return token !== undefined && token.type === TokenType.keyword && token.value === value;
+  }
+
+  isOperator(token, values) {
+    return token !== undefined && token.type === TokenType.operator && values.includes(token.value);
+  }
+
   // Parse comparison expressions (== != < > <= >=)
   parseComparison() {
-    let expr = this.parseAdditive();
+    let expr = this.parseBitwiseOr();
     while (
       this.index < this.tokens.length &&
       this.tokens[this.index].type === TokenType.operator &&
@@ -353,6 +513,50 @@ export class ASTBuilder {
         this.tokens[this.index].value === '<=' ||
         this.tokens[this.index].value === '>=')
     ) {
+      const opToken = this.tokens[this.index++];
+      const right = this.parseBitwiseOr();
+      expr = new BinaryExpression(expr, opToken.value, right, { start: expr.loc.start, end: right.loc.end });
+    }
+    return expr;
+  }
+
+  // Parse bitwise or (|); the bitwise operators bind tighter than comparisons, so x & 1 == 0 is (x & 1) == 0
+  parseBitwiseOr() {
+    let expr = this.parseBitwiseXor();
+    while (this.isOperator(this.tokens[this.index], ['|'])) {
+      const opToken = this.tokens[this.index++];
+      const right = this.parseBitwiseXor();
+      expr = new BinaryExpression(expr, opToken.value, right, { start: expr.loc.start, end: right.loc.end });
+    }
+    return expr;
+  }
+
+  // Parse bitwise xor (^)
+  parseBitwiseXor() {
+    let expr = this.parseBitwiseAnd();
+    while (this.isOperator(this.tokens[this.index], ['^'])) {
+      const opToken = this.tokens[this.index++];
+      const right = this.parseBitwiseAnd();
+      expr = new BinaryExpression(expr, opToken.value, right, { start: expr.loc.start, end: right.loc.end });
+    }
+    return expr;
+  }
+
+  // Parse bitwise and (&)
+  parseBitwiseAnd() {
+    let expr = this.parseShift();
+    while (this.isOperator(this.tokens[this.index], ['&'])) {
+      const opToken = this.tokens[this.index++];
+      const right = this.parseShift();
+      expr = new BinaryExpression(expr, opToken.value, right, { start: expr.loc.start, end: right.loc.end });
+    }
+    return expr;
+  }
+
+  // Parse shifts (<< >>)
+  parseShift() {
+    let expr = this.parseAdditive();
+    while (this.isOperator(this.tokens[this.index], ['<<', '>>'])) {
       const opToken = this.tokens[this.index++];
       const right = this.parseAdditive();
       expr = new BinaryExpression(expr, opToken.value, right, { start: expr.loc.start, end: right.loc.end });
@@ -392,7 +596,7 @@ export class ASTBuilder {
     return expr;
   }
 
-  // Parse unary expressions (-)
+  // Parse unary expressions (- ~ bool)
   parseUnary() {
     if (
       this.index < this.tokens.length &&
@@ -406,26 +610,46 @@ export class ASTBuilder {
         end: expr.loc.end,
       });
     }
+    if (this.isOperator(this.tokens[this.index], ['~'])) {
+      const opToken = this.tokens[this.index++];
+      const expr = this.parseUnary();
+      return new BitwiseNotExpression(expr, {
+        start: { line: opToken.line, column: opToken.column },
+        end: expr.loc.end,
+      });
+    }
+    if (
+      this.index < this.tokens.length &&
+      this.tokens[this.index].type === TokenType.keyword &&
+      this.tokens[this.index].value === 'bool'
+    ) {
+      // bool binds like unary minus: bool x + 1 is (bool x) + 1
+      const boolToken = this.tokens[this.index++];
+      const expr = this.parseUnary();
+      return new BoolExpression(expr, {
+        start: { line: boolToken.line, column: boolToken.column },
+        end: expr.loc.end,
+      });
+    }
     return this.parsePrimary();
   }
 
   // Parse primary expressions
   parsePrimary() {
     const token = this.tokens[this.index++];
+    if (!token) throw new ASTError('Unexpected end of input', this.lastTokenLoc());
     if (token.type === TokenType.identifier) {
       // Check if this is an array access (identifier followed by '[')
       const nextToken = this.tokens[this.index];
       if (nextToken && nextToken.type === TokenType.operator && nextToken.value === '[') {
-        // Array access: arr[5]
-        this.index++; // consume '['
-        const indexExpr = this.parseFullExpression();
-        const closeBracket = this.tokens[this.index++];
-        if (!closeBracket || closeBracket.type !== TokenType.operator || closeBracket.value !== ']')
-          throw new ASTError(`Expected ']' after array index`, { line: token.line, column: token.column });
-        return new ArrayAccess(token.value, indexExpr, {
+        // Array access: arr[5] or grid[y][x]
+        const indices = this.parseBracketList(token, 'array index');
+        return new ArrayAccess(token.value, indices, {
           start: { line: token.line, column: token.column },
           end: { line: token.line, column: token.column },
         });
+      } else if (this.isCallOpen(token, nextToken)) {
+        return this.parseCallExpression(token);
       } else {
         // Regular identifier
         return new Identifier(token.value, {
@@ -433,6 +657,13 @@ export class ASTBuilder {
           end: { line: token.line, column: token.column },
         });
       }
+    } else if (token.type === TokenType.operator && token.value === '(') {
+      // Parenthesized grouping: the inner expression is the result, precedence comes from the tree shape
+      const expr = this.parseFullExpression();
+      const closeParen = this.tokens[this.index++];
+      if (!closeParen || closeParen.type !== TokenType.operator || closeParen.value !== ')')
+        throw new ASTError(`Expected ')' to close '('`, { line: token.line, column: token.column });
+      return expr;
     } else if (token.type === TokenType.number) {
       return new NumericLiteral(Number(token.value), {
         start: { line: token.line, column: token.column },
@@ -443,18 +674,17 @@ export class ASTBuilder {
         start: { line: token.line, column: token.column },
         end: { line: token.line, column: token.column },
       });
-    } else if (token.type === TokenType.keyword && token.value === 'sin') {
-      const arg = this.parseFullExpression();
-      const scale = this.parseFullExpression();
-      return new SinExpression(arg, scale, { start: { line: token.line, column: token.column }, end: scale.loc.end });
-    } else if (token.type === TokenType.keyword && token.value === 'cos') {
-      const arg = this.parseFullExpression();
-      const scale = this.parseFullExpression();
-      return new CosExpression(arg, scale, { start: { line: token.line, column: token.column }, end: scale.loc.end });
-    } else if (token.type === TokenType.keyword && token.value === 'rnd') {
-      const seed = this.parseFullExpression();
-      const scale = this.parseFullExpression();
-      return new RndExpression(seed, scale, { start: { line: token.line, column: token.column }, end: scale.loc.end });
+    } else if (token.type === TokenType.keyword && (token.value === 'true' || token.value === 'false')) {
+      return new BooleanLiteral(token.value === 'true', {
+        start: { line: token.line, column: token.column },
+        end: { line: token.line, column: token.column },
+      });
+    } else if (
+      token.type === TokenType.keyword &&
+      builtinsByName.has(token.value) &&
+      isExpressionBuiltin(builtinsByName.get(token.value))
+    ) {
+      return this.parseBuiltin(builtinsByName.get(token.value), token);
     } else {
       throw new ASTError(`Unexpected expression token: ${token.type} ${token.value}`, {
         line: token.line,
@@ -463,13 +693,80 @@ export class ASTBuilder {
     }
   }
 
+  // A '(' directly after a name, with no space between, opens a call; a spaced '(' is grouping,
+  // so call f a (b) still passes two arguments
+  isCallOpen(token, nextToken) {
+    return (
+      nextToken?.type === TokenType.operator &&
+      nextToken.value === '(' &&
+      nextToken.line === token.line &&
+      nextToken.column === token.column + token.value.length
+    );
+  }
+
+  // Parse f(arg1 arg2 ...) after the name token; arguments are space separated like call statements
+  parseCallExpression(calleeToken) {
+    const openParen = this.tokens[this.index++];
+    const args = [];
+    while (this.index < this.tokens.length && this.canStartExpression(this.tokens[this.index])) {
+      args.push(this.parseFullExpression());
+    }
+    const closeParen = this.tokens[this.index++];
+    if (!closeParen || closeParen.type !== TokenType.operator || closeParen.value !== ')')
+      throw new ASTError(`Expected ')' to close call to '${calleeToken.value}'`, {
+        line: openParen.line,
+        column: openParen.column,
+      });
+    return new CallExpression(
+      calleeToken.value,
+      args,
+      {
+        start: { line: calleeToken.line, column: calleeToken.column },
+        end: { line: closeParen.line, column: closeParen.column },
+      },
+      this.tokenLoc(calleeToken),
+    );
+  }
+
+  // Parse the arguments of a builtin as described by its registry entry and build its IR node
+  parseBuiltin(builtin, token) {
+    const start = { line: token.line, column: token.column };
+    const args = [];
+    const argLocs = [];
+    for (const arg of builtin.args) {
+      if (arg.kind === 'int') {
+        const expr = this.parseFullExpression();
+        args.push(expr);
+        argLocs.push(expr.loc);
+      } else {
+        const argToken = this.tokens[this.index++];
+        const expected = arg.kind === 'string' ? TokenType.string : TokenType.identifier;
+        if (!argToken || argToken.type !== expected) {
+          const what = arg.kind === 'string' ? 'string' : 'identifier';
+          throw new ASTError(
+            `Expected ${what} for ${arg.name} in ${builtin.name}`,
+            argToken ? { line: argToken.line, column: argToken.column } : this.lastTokenLoc(),
+          );
+        }
+        args.push(argToken.value);
+        argLocs.push(this.tokenLoc(argToken));
+      }
+    }
+    // Expressions span their arguments; statements are located at their keyword
+    const end = isExpressionBuiltin(builtin) && argLocs.length > 0 ? argLocs[argLocs.length - 1].end : start;
+    return createBuiltinNode(builtin, args, { start, end }, argLocs);
+  }
+
   canStartExpression(token) {
     return (
       token.type === TokenType.identifier ||
       token.type === TokenType.number ||
       token.type === TokenType.string ||
-      (token.type === TokenType.keyword && (token.value === 'sin' || token.value === 'cos' || token.value === 'rnd')) ||
-      (token.type === TokenType.operator && token.value === '-')
+      (token.type === TokenType.keyword && ['true', 'false', 'bool', 'not'].includes(token.value)) ||
+      (token.type === TokenType.keyword &&
+        builtinsByName.has(token.value) &&
+        isExpressionBuiltin(builtinsByName.get(token.value))) ||
+      (token.type === TokenType.operator && ['-', '~', '('].includes(token.value))
     );
   }
 }
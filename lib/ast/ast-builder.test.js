@@ -7,23 +7,34 @@
 import assert from 'node:assert';
 import { describe, it } from 'node:test';
 import { TokenType } from '../tokenizer/token-type.js';
-import { ASTBuilder } from './ast-builder.js';
+import { ASTBuilder, ASTError } from './ast-builder.js';
 import {
   ArrayAccess,
   ArrayAssignment,
   ArrayDeclaration,
   AssignmentExpression,
   BinaryExpression,
+  BitwiseNotExpression,
+  BoolExpression,
+  BooleanLiteral,
+  BreakStatement,
+  CallExpression,
   CallStatement,
+  ContinueStatement,
   CosExpression,
+  ForStatement,
   FreeStatement,
   FunctionDeclaration,
   Identifier,
   IfStatement,
+  LogicalExpression,
+  NotExpression,
   NumericLiteral,
   PrintStatement,
   Program,
   ReturnStatement,
+  RndExpression,
+  SDLGetPixelStatement,
   SDLInitStatement,
   SinExpression,
   StringLiteral,
@@ -219,7 +230,8 @@ describe('ASTBuilder', () => {
     assert.deepEqual(stmt.params, ['a', 'b']);
     assert(stmt.body.length === 1);
     assert(stmt.body[0] instanceof ReturnStatement);
-    assert(stmt.body[0].argument === 'result');
+    assert(stmt.body[0].argument instanceof Identifier);
+    assert(stmt.body[0].argument.name === 'result');
   });
 
   it('return statement', async () => {
@@ -234,7 +246,8 @@ describe('ASTBuilder', () => {
     assert(ir.statements.length === 1);
     const stmt = ir.statements[0];
     assert(stmt instanceof ReturnStatement);
-    assert(stmt.argument === 'x');
+    assert(stmt.argument instanceof Identifier);
+    assert(stmt.argument.name === 'x');
   });
 
   it('call statement with result', async () => {
@@ -493,8 +506,8 @@ describe('ASTBuilder', () => {
     const stmt = ir.statements[0];
     assert(stmt instanceof ArrayDeclaration);
     assert(stmt.identifier === 'arr');
-    assert(stmt.size instanceof NumericLiteral);
-    assert(stmt.size.value === 100);
+    assert(stmt.dimensions[0] instanceof NumericLiteral);
+    assert(stmt.dimensions[0].value === 100);
   });
 
   it('array access in assignment', async () => {
@@ -516,8 +529,8 @@ describe('ASTBuilder', () => {
     assert(stmt.left === 'x');
     assert(stmt.right instanceof ArrayAccess);
     assert(stmt.right.array === 'arr');
-    assert(stmt.right.index instanceof NumericLiteral);
-    assert(stmt.right.index.value === 5);
+    assert(stmt.right.indices[0] instanceof NumericLiteral);
+    assert(stmt.right.indices[0].value === 5);
   });
 
   it('array assignment', async () => {
@@ -537,8 +550,8 @@ describe('ASTBuilder', () => {
     const stmt = ir.statements[0];
     assert(stmt instanceof ArrayAssignment);
     assert(stmt.array === 'arr');
-    assert(stmt.index instanceof NumericLiteral);
-    assert(stmt.index.value === 5);
+    assert(stmt.indices[0] instanceof NumericLiteral);
+    assert(stmt.indices[0].value === 5);
     assert(stmt.value instanceof NumericLiteral);
     assert(stmt.value.value === 42);
   });
@@ -562,13 +575,892 @@ describe('ASTBuilder', () => {
     const stmt = ir.statements[0];
     assert(stmt instanceof ArrayAssignment);
     assert(stmt.array === 'arr');
-    assert(stmt.index instanceof BinaryExpression);
-    assert(stmt.index.operator === '+');
-    assert(stmt.index.left instanceof Identifier);
-    assert(stmt.index.left.name === 'i');
-    assert(stmt.index.right instanceof NumericLiteral);
-    assert(stmt.index.right.value === 1);
+    assert(stmt.indices[0] instanceof BinaryExpression);
+    assert(stmt.indices[0].operator === '+');
+    assert(stmt.indices[0].left instanceof Identifier);
+    assert(stmt.indices[0].left.name === 'i');
+    assert(stmt.indices[0].right instanceof NumericLiteral);
+    assert(stmt.indices[0].right.value === 1);
     assert(stmt.value instanceof NumericLiteral);
     assert(stmt.value.value === 99);
   });
+
+  it('missing block terminator reports last token location', async () => {
+    const tokens = [
+      { type: TokenType.keyword, value: 'if', line: 1, column: 1 },
+      { type: TokenType.identifier, value: 'x', line: 1, column: 4 },
+      { type: TokenType.keyword, value: 'print', line: 2, column: 3 },
+      { type: TokenType.identifier, value: 'x', line: 2, column: 9 },
+    ];
+
+    const builder = new ASTBuilder();
+    await assert.rejects(builder.build(tokenGenerator(tokens)), (err) => {
+      assert(err instanceof ASTError);
+      assert(err.message === "Expected 'endif'");
+      assert.deepStrictEqual(err.loc, { line: 2, column: 9 });
+      return true;
+    });
+  });
+
+  it('unexpected end of input in expression', async () => {
+    const tokens = [
+      { type: TokenType.keyword, value: 'make', line: 1, column: 1 },
+      { type: TokenType.identifier, value: 'x', line: 1, column: 6 },
+    ];
+
+    const builder = new ASTBuilder();
+    await assert.rejects(builder.build(tokenGenerator(tokens)), (err) => {
+      assert(err instanceof ASTError);
+      assert(err.message === 'Unexpected end of input');
+      assert.deepStrictEqual(err.loc, { line: 1, column: 6 });
+      return true;
+    });
+  });
+
+  for (const keyword of ['make', 'assign', 'free', 'func', 'call']) {
+    it(`unexpected end of input after ${keyword}`, async () => {
+      const tokens = [
+        { type: TokenType.keyword, value: 'print', line: 1, column: 1 },
+        { type: TokenType.number, value: 1, line: 1, column: 7 },
+        { type: TokenType.keyword, value: keyword, line: 2, column: 1 },
+      ];
+
+      const builder = new ASTBuilder();
+      await assert.rejects(builder.build(tokenGenerator(tokens)), (err) => {
+        assert(err instanceof ASTError);
+        assert(err.message === 'Unexpected end of input');
+        assert.deepStrictEqual(err.loc, { line: 2, column: 1 });
+        return true;
+      });
+    });
+  }
+
+  it('sdlGetPixel records output variable locations', async () => {
+    const tokens = [
+      { type: TokenType.keyword, value: 'sdlGetPixel', line: 1, column: 1 },
+      { type: TokenType.number, value: '1', line: 1, column: 13 },
+      { type: TokenType.number, value: '2', line: 1, column: 15 },
+      { type: TokenType.identifier, value: 'r', line: 1, column: 17 },
+      { type: TokenType.identifier, value: 'g', line: 1, column: 19 },
+      { type: TokenType.identifier, value: 'b', line: 1, column: 21 },
+    ];
+
+    const builder = new ASTBuilder();
+    const ir = await builder.build(tokenGenerator(tokens));
+    const stmt = ir.statements[0];
+    assert(stmt instanceof SDLGetPixelStatement);
+    assert(stmt.x instanceof NumericLiteral);
+    assert(stmt.r === 'r' && stmt.g === 'g' && stmt.b === 'b');
+    assert.deepStrictEqual(stmt.componentLocs.b.start, { line: 1, column: 21 });
+  });
+
+  it('builtin argument of the wrong kind reports its name', async () => {
+    const tokens = [
+      { type: TokenType.keyword, value: 'sdlWindow', line: 1, column: 1 },
+      { type: TokenType.number, value: '640', line: 1, column: 11 },
+      { type: TokenType.number, value: '480', line: 1, column: 15 },
+      { type: TokenType.number, value: '1', line: 1, column: 19 },
+    ];
+
+    const builder = new ASTBuilder();
+    await assert.rejects(builder.build(tokenGenerator(tokens)), (err) => {
+      assert(err instanceof ASTError);
+      assert(err.message === 'Expected string for title in sdlWindow');
+      assert.deepStrictEqual(err.loc, { line: 1, column: 19 });
+      return true;
+    });
+  });
+
+  it('rnd expression', async () => {
+    const tokens = [
+      { type: TokenType.keyword, value: 'print', line: 1, column: 1 },
+      { type: TokenType.keyword, value: 'rnd', line: 1, column: 7 },
+      { type: TokenType.identifier, value: 'seed', line: 1, column: 11 },
+      { type: TokenType.number, value: '100', line: 1, column: 16 },
+    ];
+
+    const builder = new ASTBuilder();
+    const ir = await builder.build(tokenGenerator(tokens));
+    const expr = ir.statements[0].argument;
+    assert(expr instanceof RndExpression);
+    assert(expr.seed instanceof Identifier);
+    assert(expr.scale.value === 100);
+    assert.deepStrictEqual(expr.loc, { start: { line: 1, column: 7 }, end: { line: 1, column: 16 } });
+  });
+
+  it('parentheses override precedence', async () => {
+    const tokens = [
+      { type: TokenType.identifier, value: 'x', line: 1, column: 1 },
+      { type: TokenType.operator, value: '=', line: 1, column: 3 },
+      { type: TokenType.operator, value: '(', line: 1, column: 5 },
+      { type: TokenType.identifier, value: 'a', line: 1, column: 6 },
+      { type: TokenType.operator, value: '+', line: 1, column: 8 },
+      { type: TokenType.identifier, value: 'b', line: 1, column: 10 },
+      { type: TokenType.operator, value: ')', line: 1, column: 11 },
+      { type: TokenType.operator, value: '*', line: 1, column: 13 },
+      { type: TokenType.identifier, value: 'c', line: 1, column: 15 },
+    ];
+
+    const builder = new ASTBuilder();
+    const ir = await builder.build(tokenGenerator(tokens));
+
+    const expr = ir.statements[0].right;
+    assert(expr instanceof BinaryExpression);
+    assert(expr.operator === '*');
+    assert(expr.left instanceof BinaryExpression);
+    assert(expr.left.operator === '+');
+    assert(expr.left.left.name === 'a');
+    assert(expr.left.right.name === 'b');
+    assert(expr.right instanceof Identifier);
+    assert(expr.right.name === 'c');
+  });
+
+  it('unclosed parenthesis', async () => {
+    const tokens = [
+      { type: TokenType.keyword, value: 'print', line: 1, column: 1 },
+      { type: TokenType.operator, value: '(', line: 1, column: 7 },
+      { type: TokenType.identifier, value: 'a', line: 1, column: 8 },
+      { type: TokenType.operator, value: '+', line: 1, column: 10 },
+      { type: TokenType.number, value: '1', line: 1, column: 12 },
+    ];
+
+    const builder = new ASTBuilder();
+    await assert.rejects(builder.build(tokenGenerator(tokens)), (err) => {
+      assert(err instanceof ASTError);
+      assert(err.message === "Expected ')' to close '('");
+      assert.deepStrictEqual(err.loc, { line: 1, column: 7 });
+      return true;
+    });
+  });
+
+  it('if statement with else', async () => {
+    const tokens = [
+      { type: TokenType.keyword, value: 'if', line: 1, column: 1 },
+      { type: TokenType.identifier, value: 'x', line: 1, column: 4 },
+      { type: TokenType.keyword, value: 'print', line: 2, column: 3 },
+      { type: TokenType.number, value: '1', line: 2, column: 9 },
+      { type: TokenType.keyword, value: 'else', line: 3, column: 1 },
+      { type: TokenType.keyword, value: 'print', line: 4, column: 3 },
+      { type: TokenType.number, value: '2', line: 4, column: 9 },
+      { type: TokenType.keyword, value: 'endif', line: 5, column: 1 },
+    ];
+
+    const builder = new ASTBuilder();
+    const ir = await builder.build(tokenGenerator(tokens));
+
+    assert(ir.statements.length === 1);
+    const stmt = ir.statements[0];
+    assert(stmt instanceof IfStatement);
+    assert(stmt.consequent.length === 1);
+    assert(stmt.alternate.length === 1);
+    assert(stmt.alternate[0] instanceof PrintStatement);
+    assert(stmt.alternate[0].argument.value === 2);
+  });
+
+  it('if statement with elseif chain', async () => {
+    const tokens = [
+      { type: TokenType.keyword, value: 'if', line: 1, column: 1 },
+      { type: TokenType.identifier, value: 'a', line: 1, column: 4 },
+      { type: TokenType.keyword, value: 'print', line: 2, column: 3 },
+      { type: TokenType.number, value: '1', line: 2, column: 9 },
+      { type: TokenType.keyword, value: 'elseif', line: 3, column: 1 },
+      { type: TokenType.identifier, value: 'b', line: 3, column: 8 },
+      { type: TokenType.keyword, value: 'print', line: 4, column: 3 },
+      { type: TokenType.number, value: '2', line: 4, column: 9 },
+      { type: TokenType.keyword, value: 'else', line: 5, column: 1 },
+      { type: TokenType.keyword, value: 'print', line: 6, column: 3 },
+      { type: TokenType.number, value: '3', line: 6, column: 9 },
+      { type: TokenType.keyword, value: 'endif', line: 7, column: 1 },
+      { type: TokenType.keyword, value: 'print', line: 8, column: 1 },
+      { type: TokenType.number, value: '4', line: 8, column: 7 },
+    ];
+
+    const builder = new ASTBuilder();
+    const ir = await builder.build(tokenGenerator(tokens));
+
+    assert(ir.statements.length === 2);
+    const stmt = ir.statements[0];
+    assert(stmt.test.name === 'a');
+    assert(stmt.alternate.length === 1);
+    const elseif = stmt.alternate[0];
+    assert(elseif instanceof IfStatement);
+    assert(elseif.test.name === 'b');
+    assert.deepStrictEqual(elseif.loc.start, { line: 3, column: 1 });
+    assert(elseif.consequent[0].argument.value === 2);
+    assert(elseif.alternate[0].argument.value === 3);
+    assert(ir.statements[1].argument.value === 4);
+  });
+
+  it('else without endif', async () => {
+    const tokens = [
+      { type: TokenType.keyword, value: 'if', line: 1, column: 1 },
+      { type: TokenType.identifier, value: 'x', line: 1, column: 4 },
+      { type: TokenType.keyword, value: 'else', line: 2, column: 1 },
+      { type: TokenType.keyword, value: 'print', line: 3, column: 3 },
+      { type: TokenType.identifier, value: 'x', line: 3, column: 9 },
+    ];
+
+    const builder = new ASTBuilder();
+    await assert.rejects(builder.build(tokenGenerator(tokens)), (err) => {
+      assert(err instanceof ASTError);
+      assert(err.message === "Expected 'endif'");
+      return true;
+    });
+  });
+
+  it('break and continue inside a loop', async () => {
+    const tokens = [
+      { type: TokenType.keyword, value: 'as', line: 1, column: 1 },
+      { type: TokenType.identifier, value: 'x', line: 1, column: 4 },
+      { type: TokenType.keyword, value: 'if', line: 2, column: 3 },
+      { type: TokenType.identifier, value: 'y', line: 2, column: 6 },
+      { type: TokenType.keyword, value: 'break', line: 3, column: 5 },
+      { type: TokenType.keyword, value: 'endif', line: 4, column: 3 },
+      { type: TokenType.keyword, value: 'continue', line: 5, column: 3 },
+      { type: TokenType.keyword, value: 'repeat', line: 6, column: 1 },
+    ];
+
+    const builder = new ASTBuilder();
+    const ir = await builder.build(tokenGenerator(tokens));
+
+    const loop = ir.statements[0];
+    assert(loop instanceof WhileStatement);
+    assert(loop.body[0].consequent[0] instanceof BreakStatement);
+    assert(loop.body[1] instanceof ContinueStatement);
+    assert.deepStrictEqual(loop.body[1].loc.start, { line: 5, column: 3 });
+  });
+
+  it('break outside a loop', async () => {
+    const tokens = [{ type: TokenType.keyword, value: 'break', line: 1, column: 1 }];
+
+    const builder = new ASTBuilder();
+    await assert.rejects(builder.build(tokenGenerator(tokens)), (err) => {
+      assert(err instanceof ASTError);
+      assert(err.message === "'break' outside of a loop");
+      assert.deepStrictEqual(err.loc, { line: 1, column: 1 });
+      return true;
+    });
+  });
+
+  it('continue in a function declared inside a loop', async () => {
+    const tokens = [
+      { type: TokenType.keyword, value: 'as', line: 1, column: 1 },
+      { type: TokenType.identifier, value: 'x', line: 1, column: 4 },
+      { type: TokenType.keyword, value: 'func', line: 2, column: 3 },
+      { type: TokenType.identifier, value: 'f', line: 2, column: 8 },
+      { type: TokenType.keyword, value: 'continue', line: 3, column: 5 },
+      { type: TokenType.keyword, value: 'end', line: 4, column: 3 },
+      { type: TokenType.keyword, value: 'repeat', line: 5, column: 1 },
+    ];
+
+    const builder = new ASTBuilder();
+    await assert.rejects(builder.build(tokenGenerator(tokens)), (err) => {
+      assert(err instanceof ASTError);
+      assert(err.message === "'continue' outside of a loop");
+      assert.deepStrictEqual(err.loc, { line: 3, column: 5 });
+      return true;
+    });
+  });
+
+  it('for loop with step', async () => {
+    const tokens = [
+      { type: TokenType.keyword, value: 'for', line: 1, column: 1 },
+      { type: TokenType.identifier, value: 'i', line: 1, column: 5 },
+      { type: TokenType.number, value: '0', line: 1, column: 7 },
+      { type: TokenType.keyword, value: 'to', line: 1, column: 9 },
+      { type: TokenType.identifier, value: 'n', line: 1, column: 12 },
+      { type: TokenType.operator, value: '-', line: 1, column: 14 },
+      { type: TokenType.number, value: '1', line: 1, column: 16 },
+      { type: TokenType.keyword, value: 'step', line: 1, column: 18 },
+      { type: TokenType.number, value: '2', line: 1, column: 23 },
+      { type: TokenType.keyword, value: 'print', line: 2, column: 3 },
+      { type: TokenType.identifier, value: 'i', line: 2, column: 9 },
+      { type: TokenType.keyword, value: 'next', line: 3, column: 1 },
+    ];
+
+    const builder = new ASTBuilder();
+    const ir = await builder.build(tokenGenerator(tokens));
+
+    const stmt = ir.statements[0];
+    assert(stmt instanceof ForStatement);
+    assert(stmt.variable === 'i');
+    assert.deepStrictEqual(stmt.variableLoc.start, { line: 1, column: 5 });
+    assert(stmt.start.value === 0);
+    assert(stmt.end instanceof BinaryExpression);
+    assert(stmt.end.operator === '-');
+    assert(stmt.step.value === 2);
+    assert(stmt.body.length === 1);
+    assert(stmt.body[0] instanceof PrintStatement);
+  });
+
+  it('for loop step defaults to 1', async () => {
+    const tokens = [
+      { type: TokenType.keyword, value: 'for', line: 1, column: 1 },
+      { type: TokenType.identifier, value: 'i', line: 1, column: 5 },
+      { type: TokenType.number, value: '1', line: 1, column: 7 },
+      { type: TokenType.keyword, value: 'to', line: 1, column: 9 },
+      { type: TokenType.number, value: '3', line: 1, column: 12 },
+      { type: TokenType.keyword, value: 'break', line: 2, column: 3 },
+      { type: TokenType.keyword, value: 'next', line: 3, column: 1 },
+    ];
+
+    const builder = new ASTBuilder();
+    const ir = await builder.build(tokenGenerator(tokens));
+
+    const stmt = ir.statements[0];
+    assert(stmt.step instanceof NumericLiteral);
+    assert(stmt.step.value === 1);
+    assert(stmt.body[0] instanceof BreakStatement);
+  });
+
+  it('for loop without to', async () => {
+    const tokens = [
+      { type: TokenType.keyword, value: 'for', line: 1, column: 1 },
+      { type: TokenType.identifier, value: 'i', line: 1, column: 5 },
+      { type: TokenType.number, value: '1', line: 1, column: 7 },
+      { type: TokenType.number, value: '3', line: 1, column: 9 },
+    ];
+
+    const builder = new ASTBuilder();
+    await assert.rejects(builder.build(tokenGenerator(tokens)), (err) => {
+      assert(err instanceof ASTError);
+      assert(err.message === "Expected 'to' in for loop");
+      return true;
+    });
+  });
+
+  it('call expression', async () => {
+    // make y add(x 1) + 1
+    const tokens = [
+      { type: TokenType.keyword, value: 'make', line: 1, column: 1 },
+      { type: TokenType.identifier, value: 'y', line: 1, column: 6 },
+      { type: TokenType.identifier, value: 'add', line: 1, column: 8 },
+      { type: TokenType.operator, value: '(', line: 1, column: 11 },
+      { type: TokenType.identifier, value: 'x', line: 1, column: 12 },
+      { type: TokenType.number, value: '1', line: 1, column: 14 },
+      { type: TokenType.operator, value: ')', line: 1, column: 15 },
+      { type: TokenType.operator, value: '+', line: 1, column: 17 },
+      { type: TokenType.number, value: '1', line: 1, column: 19 },
+    ];
+
+    const builder = new ASTBuilder();
+    const ir = await builder.build(tokenGenerator(tokens));
+
+    const value = ir.statements[0].value;
+    assert(value instanceof BinaryExpression);
+    const call = value.left;
+    assert(call instanceof CallExpression);
+    assert(call.callee === 'add');
+    assert(call.arguments.length === 2);
+    assert(call.arguments[0] instanceof Identifier);
+    assert(call.arguments[1].value === 1);
+    assert.deepStrictEqual(call.calleeLoc.start, { line: 1, column: 8 });
+    assert.deepStrictEqual(call.loc.end, { line: 1, column: 15 });
+  });
+
+  it('spaced parenthesis after a name is grouping, not a call', async () => {
+    // call f a (b)
+    const tokens = [
+      { type: TokenType.keyword, value: 'call', line: 1, column: 1 },
+      { type: TokenType.identifier, value: 'f', line: 1, column: 6 },
+      { type: TokenType.identifier, value: 'a', line: 1, column: 8 },
+      { type: TokenType.operator, value: '(', line: 1, column: 10 },
+      { type: TokenType.identifier, value: 'b', line: 1, column: 11 },
+      { type: TokenType.operator, value: ')', line: 1, column: 12 },
+    ];
+
+    const builder = new ASTBuilder();
+    const ir = await builder.build(tokenGenerator(tokens));
+
+    const stmt = ir.statements[0];
+    assert(stmt instanceof CallStatement);
+    assert(stmt.arguments.length === 2);
+    assert(stmt.arguments[0] instanceof Identifier);
+    assert(stmt.arguments[1] instanceof Identifier);
+  });
+
+  it('call expression without closing parenthesis', async () => {
+    const tokens = [
+      { type: TokenType.keyword, value: 'print', line: 1, column: 1 },
+      { type: TokenType.identifier, value: 'f', line: 1, column: 7 },
+      { type: TokenType.operator, value: '(', line: 1, column: 8 },
+      { type: TokenType.number, value: '1', line: 1, column: 9 },
+    ];
+
+    const builder = new ASTBuilder();
+    await assert.rejects(builder.build(tokenGenerator(tokens)), (err) => {
+      assert(err instanceof ASTError);
+      assert(err.message === "Expected ')' to close call to 'f'");
+      assert.deepStrictEqual(err.loc, { line: 1, column: 8 });
+      return true;
+    });
+  });
+
+  it('return with an expression', async () => {
+    const tokens = [
+      { type: TokenType.keyword, value: 'return', line: 1, column: 1 },
+      { type: TokenType.identifier, value: 'n', line: 1, column: 8 },
+      { type: TokenType.operator, value: '*', line: 1, column: 10 },
+      { type: TokenType.number, value: '2', line: 1, column: 12 },
+    ];
+
+    const builder = new ASTBuilder();
+    const ir = await builder.build(tokenGenerator(tokens));
+
+    const stmt = ir.statements[0];
+    assert(stmt.argument instanceof BinaryExpression);
+    assert(stmt.argument.operator === '*');
+    assert.deepStrictEqual(stmt.loc.end, { line: 1, column: 12 });
+  });
+
+  it('bare return ends at the line', async () => {
+    // return / x = 1
+    const tokens = [
+      { type: TokenType.keyword, value: 'return', line: 1, column: 1 },
+      { type: TokenType.identifier, value: 'x', line: 2, column: 1 },
+      { type: TokenType.operator, value: '=', line: 2, column: 3 },
+      { type: TokenType.number, value: '1', line: 2, column: 5 },
+    ];
+
+    const builder = new ASTBuilder();
+    const ir = await builder.build(tokenGenerator(tokens));
+
+    assert(ir.statements.length === 2);
+    assert(ir.statements[0] instanceof ReturnStatement);
+    assert(ir.statements[0].argument === null);
+    assert(ir.statements[1] instanceof AssignmentExpression);
+  });
+
+  it('boolean literals and bool conversion', async () => {
+    // make ok bool n + true
+    const tokens = [
+      { type: TokenType.keyword, value: 'make', line: 1, column: 1 },
+      { type: TokenType.identifier, value: 'ok', line: 1, column: 6 },
+      { type: TokenType.keyword, value: 'bool', line: 1, column: 9 },
+      { type: TokenType.identifier, value: 'n', line: 1, column: 14 },
+      { type: TokenType.operator, value: '+', line: 1, column: 16 },
+      { type: TokenType.keyword, value: 'true', line: 1, column: 18 },
+      { type: TokenType.keyword, value: 'print', line: 2, column: 1 },
+      { type: TokenType.keyword, value: 'false', line: 2, column: 7 },
+    ];
+
+    const builder = new ASTBuilder();
+    const ir = await builder.build(tokenGenerator(tokens));
+
+    // bool binds tighter than +
+    const value = ir.statements[0].value;
+    assert(value instanceof BinaryExpression);
+    assert(value.left instanceof BoolExpression);
+    assert(value.left.expression instanceof Identifier);
+    assert(value.right instanceof BooleanLiteral);
+    assert(value.right.value === true);
+
+    const printed = ir.statements[1].argument;
+    assert(printed instanceof BooleanLiteral);
+    assert(printed.value === false);
+  });
+
+  it('logical operators bind below comparisons', async () => {
+    // print a or not b == 1 and c
+    const tokens = [
+      { type: TokenType.keyword, value: 'print', line: 1, column: 1 },
+      { type: TokenType.identifier, value: 'a', line: 1, column: 7 },
+      { type: TokenType.keyword, value: 'or', line: 1, column: 9 },
+      { type: TokenType.keyword, value: 'not', line: 1, column: 12 },
+      { type: TokenType.identifier, value: 'b', line: 1, column: 16 },
+      { type: TokenType.operator, value: '==', line: 1, column: 18 },
+      { type: TokenType.number, value: '1', line: 1, column: 21 },
+      { type: TokenType.keyword, value: 'and', line: 1, column: 23 },
+      { type: TokenType.identifier, value: 'c', line: 1, column: 27 },
+    ];
+
+    const builder = new ASTBuilder();
+    const ir = await builder.build(tokenGenerator(tokens));
+
+    // a or ((not (b == 1)) and c)
+    const or = ir.statements[0].argument;
+    assert(or instanceof LogicalExpression);
+    assert(or.operator === 'or');
+    assert(or.left instanceof Identifier);
+    const and = or.right;
+    assert(and instanceof LogicalExpression);
+    assert(and.operator === 'and');
+    assert(and.left instanceof NotExpression);
+    assert(and.left.expression instanceof BinaryExpression);
+    assert(and.left.expression.operator === '==');
+    assert.deepStrictEqual(and.left.loc.start, { line: 1, column: 12 });
+    assert(and.right instanceof Identifier);
+  });
+
+  it('bitwise operators bind between arithmetic and comparisons', async () => {
+    // print r << 16 | g & 255 == ~0 + 1
+    const tokens = [
+      { type: TokenType.keyword, value: 'print', line: 1, column: 1 },
+      { type: TokenType.identifier, value: 'r', line: 1, column: 7 },
+      { type: TokenType.operator, value: '<<', line: 1, column: 9 },
+      { type: TokenType.number, value: '16', line: 1, column: 12 },
+      { type: TokenType.operator, value: '|', line: 1, column: 15 },
+      { type: TokenType.identifier, value: 'g', line: 1, column: 17 },
+      { type: TokenType.operator, value: '&', line: 1, column: 19 },
+      { type: TokenType.number, value: '255', line: 1, column: 21 },
+      { type: TokenType.operator, value: '==', line: 1, column: 25 },
+      { type: TokenType.operator, value: '~', line: 1, column: 28 },
+      { type: TokenType.number, value: '0', line: 1, column: 29 },
+      { type: TokenType.operator, value: '+', line: 1, column: 31 },
+      { type: TokenType.number, value: '1', line: 1, column: 33 },
+    ];
+
+    const builder = new ASTBuilder();
+    const ir = await builder.build(tokenGenerator(tokens));
+
+    // ((r << 16) | (g & 255)) == ((~0) + 1)
+    const eq = ir.statements[0].argument;
+    assert(eq instanceof BinaryExpression);
+    assert(eq.operator === '==');
+    const or = eq.left;
+    assert(or.operator === '|');
+    assert(or.left.operator === '<<');
+    assert(or.right.operator === '&');
+    const add = eq.right;
+    assert(add.operator === '+');
+    assert(add.left instanceof BitwiseNotExpression);
+    assert(add.left.expression instanceof NumericLiteral);
+    assert.deepStrictEqual(add.left.loc.start, { line: 1, column: 28 });
+  });
+
+  it('shifts bind below addition and xor between and and or', async () => {
+    // print a | b ^ c & d << 1 + 2
+    const tokens = [
+      { type: TokenType.keyword, value: 'print', line: 1, column: 1 },
+      { type: TokenType.identifier, value: 'a', line: 1, column: 7 },
+      { type: TokenType.operator, value: '|', line: 1, column: 9 },
+      { type: TokenType.identifier, value: 'b', line: 1, column: 11 },
+      { type: TokenType.operator, value: '^', line: 1, column: 13 },
+      { type: TokenType.identifier, value: 'c', line: 1, column: 15 },
+      { type: TokenType.operator, value: '&', line: 1, column: 17 },
+      { type: TokenType.identifier, value: 'd', line: 1, column: 19 },
+      { type: TokenType.operator, value: '<<', line: 1, column: 21 },
+      { type: TokenType.number, value: '1', line: 1, column: 24 },
+      { type: TokenType.operator, value: '+', line: 1, column: 26 },
+      { type: TokenType.number, value: '2', line: 1, column: 28 },
+    ];
+
+    const builder = new ASTBuilder();
+    const ir = await builder.build(tokenGenerator(tokens));
+
+    // a | (b ^ (c & (d << (1 + 2))))
+    const or = ir.statements[0].argument;
+    assert(or.operator === '|');
+    const xor = or.right;
+    assert(xor.operator === '^');
+    const and = xor.right;
+    assert(and.operator === '&');
+    const shl = and.right;
+    assert(shl.operator === '<<');
+    assert(shl.right.operator === '+');
+  });
+
+  it('compound assignment keeps its operator', async () => {
+    const tokens = [
+      { type: TokenType.identifier, value: 'total', line: 1, column: 1 },
+      { type: TokenType.operator, value: '+=', line: 1, column: 7 },
+      { type: TokenType.identifier, value: 'x', line: 1, column: 10 },
+      { type: TokenType.operator, value: '*', line: 1, column: 12 },
+      { type: TokenType.number, value: '2', line: 1, column: 14 },
+    ];
+
+    const builder = new ASTBuilder();
+    const ir = await builder.build(tokenGenerator(tokens));
+
+    const stmt = ir.statements[0];
+    assert(stmt instanceof AssignmentExpression);
+    assert(stmt.left === 'total');
+    assert(stmt.operator === '+');
+    assert(stmt.right instanceof BinaryExpression);
+    assert(stmt.right.operator === '*');
+  });
+
+  it('increment and decrement add or subtract one', async () => {
+    const tokens = [
+      { type: TokenType.identifier, value: 'i', line: 1, column: 1 },
+      { type: TokenType.operator, value: '++', line: 1, column: 2 },
+      { type: TokenType.identifier, value: 'arr', line: 2, column: 1 },
+      { type: TokenType.operator, value: '[', line: 2, column: 4 },
+      { type: TokenType.identifier, value: 'i', line: 2, column: 5 },
+      { type: TokenType.operator, value: ']', line: 2, column: 6 },
+      { type: TokenType.operator, value: '--', line: 2, column: 7 },
+    ];
+
+    const builder = new ASTBuilder();
+    const ir = await builder.build(tokenGenerator(tokens));
+
+    const [inc, dec] = ir.statements;
+    assert(inc instanceof AssignmentExpression);
+    assert(inc.operator === '+');
+    assert(inc.right instanceof NumericLiteral);
+    assert(inc.right.value === 1);
+    assert(dec instanceof ArrayAssignment);
+    assert(dec.operator === '-');
+    assert(dec.indices[0] instanceof Identifier);
+    assert(dec.value.value === 1);
+    assert.deepStrictEqual(dec.value.loc.start, { line: 2, column: 7 });
+  });
+
+  it('array compound assignment', async () => {
+    const tokens = [
+      { type: TokenType.identifier, value: 'arr', line: 1, column: 1 },
+      { type: TokenType.operator, value: '[', line: 1, column: 4 },
+      { type: TokenType.number, value: '0', line: 1, column: 5 },
+      { type: TokenType.operator, value: ']', line: 1, column: 6 },
+      { type: TokenType.operator, value: '%=', line: 1, column: 8 },
+      { type: TokenType.number, value: '7', line: 1, column: 11 },
+    ];
+
+    const builder = new ASTBuilder();
+    const ir = await builder.build(tokenGenerator(tokens));
+
+    const stmt = ir.statements[0];
+    assert(stmt instanceof ArrayAssignment);
+    assert(stmt.operator === '%');
+    assert(stmt.value.value === 7);
+  });
+
+  it('rejects a non-assignment operator after an identifier', async () => {
+    const tokens = [
+      { type: TokenType.identifier, value: 'x', line: 1, column: 1 },
+      { type: TokenType.operator, value: '+', line: 1, column: 3 },
+      { type: TokenType.number, value: '1', line: 1, column: 5 },
+    ];
+
+    const builder = new ASTBuilder();
+    await assert.rejects(builder.build(tokenGenerator(tokens)), {
+      name: 'ASTError',
+      message: "Expected '=' after identifier",
+    });
+  });
+
+  it('array declaration with initial values', async () => {
+    // make pal[4] = [0, -1,
+    //   255,]
+    const tokens = [
+      { type: TokenType.keyword, value: 'make', line: 1, column: 1 },
+      { type: TokenType.identifier, value: 'pal', line: 1, column: 6 },
+      { type: TokenType.operator, value: '[', line: 1, column: 9 },
+      { type: TokenType.number, value: '4', line: 1, column: 10 },
+      { type: TokenType.operator, value: ']', line: 1, column: 11 },
+      { type: TokenType.operator, value: '=', line: 1, column: 13 },
+      { type: TokenType.operator, value: '[', line: 1, column: 15 },
+      { type: TokenType.number, value: '0', line: 1, column: 16 },
+      { type: TokenType.operator, value: ',', line: 1, column: 17 },
+      { type: TokenType.number, value: '-1', line: 1, column: 19 },
+      { type: TokenType.operator, value: ',', line: 1, column: 21 },
+      { type: TokenType.number, value: '255', line: 2, column: 3 },
+      { type: TokenType.operator, value: ',', line: 2, column: 6 },
+      { type: TokenType.operator, value: ']', line: 2, column: 7 },
+      { type: TokenType.keyword, value: 'print', line: 3, column: 1 },
+      { type: TokenType.identifier, value: 'pal', line: 3, column: 7 },
+      { type: TokenType.operator, value: '[', line: 3, column: 10 },
+      { type: TokenType.number, value: '0', line: 3, column: 11 },
+      { type: TokenType.operator, value: ']', line: 3, column: 12 },
+    ];
+
+    const builder = new ASTBuilder();
+    const ir = await builder.build(tokenGenerator(tokens));
+
+    assert(ir.statements.length === 2);
+    const decl = ir.statements[0];
+    assert(decl instanceof ArrayDeclaration);
+    assert(decl.dimensions[0].value === 4);
+    assert.deepStrictEqual(
+      decl.initializer.map((value) => value.value),
+      [0, -1, 255],
+    );
+  });
+
+  it('array declaration without initial values', async () => {
+    const tokens = [
+      { type: TokenType.keyword, value: 'make', line: 1, column: 1 },
+      { type: TokenType.identifier, value: 'buf', line: 1, column: 6 },
+      { type: TokenType.operator, value: '[', line: 1, column: 9 },
+      { type: TokenType.number, value: '4', line: 1, column: 10 },
+      { type: TokenType.operator, value: ']', line: 1, column: 11 },
+    ];
+
+    const builder = new ASTBuilder();
+    const ir = await builder.build(tokenGenerator(tokens));
+
+    assert(ir.statements[0].initializer === null);
+  });
+
+  it('rejects more initial values than the array size', async () => {
+    const tokens = [
+      { type: TokenType.keyword, value: 'make', line: 1, column: 1 },
+      { type: TokenType.identifier, value: 'pal', line: 1, column: 6 },
+      { type: TokenType.operator, value: '[', line: 1, column: 9 },
+      { type: TokenType.number, value: '1', line: 1, column: 10 },
+      { type: TokenType.operator, value: ']', line: 1, column: 11 },
+      { type: TokenType.operator, value: '=', line: 1, column: 13 },
+      { type: TokenType.operator, value: '[', line: 1, column: 15 },
+      { type: TokenType.number, value: '1', line: 1, column: 16 },
+      { type: TokenType.operator, value: ',', line: 1, column: 17 },
+      { type: TokenType.number, value: '2', line: 1, column: 19 },
+      { type: TokenType.operator, value: ']', line: 1, column: 20 },
+    ];
+
+    const builder = new ASTBuilder();
+    await assert.rejects(builder.build(tokenGenerator(tokens)), (err) => {
+      assert(err instanceof ASTError);
+      assert(err.message === "Array 'pal' has 2 values but size 1");
+      assert.deepStrictEqual(err.loc, { line: 1, column: 15 });
+      return true;
+    });
+  });
+
+  it('rejects array initial values that are not numbers', async () => {
+    const tokens = [
+      { type: TokenType.keyword, value: 'make', line: 1, column: 1 },
+      { type: TokenType.identifier, value: 'pal', line: 1, column: 6 },
+      { type: TokenType.operator, value: '[', line: 1, column: 9 },
+      { type: TokenType.number, value: '2', line: 1, column: 10 },
+      { type: TokenType.operator, value: ']', line: 1, column: 11 },
+      { type: TokenType.operator, value: '=', line: 1, column: 13 },
+      { type: TokenType.operator, value: '[', line: 1, column: 15 },
+      { type: TokenType.identifier, value: 'x', line: 1, column: 16 },
+      { type: TokenType.operator, value: ']', line: 1, column: 17 },
+    ];
+
+    const builder = new ASTBuilder();
+    await assert.rejects(builder.build(tokenGenerator(tokens)), (err) => {
+      assert(err instanceof ASTError);
+      assert(err.message === "Values of array 'pal' must be numbers");
+      assert.deepStrictEqual(err.loc, { line: 1, column: 16 });
+      return true;
+    });
+  });
+
+  it('rejects unclosed array initial values', async () => {
+    const tokens = [
+      { type: TokenType.keyword, value: 'make', line: 1, column: 1 },
+      { type: TokenType.identifier, value: 'pal', line: 1, column: 6 },
+      { type: TokenType.operator, value: '[', line: 1, column: 9 },
+      { type: TokenType.number, value: '2', line: 1, column: 10 },
+      { type: TokenType.operator, value: ']', line: 1, column: 11 },
+      { type: TokenType.operator, value: '=', line: 1, column: 13 },
+      { type: TokenType.operator, value: '[', line: 1, column: 15 },
+      { type: TokenType.number, value: '1', line: 1, column: 16 },
+      { type: TokenType.number, value: '2', line: 1, column: 18 },
+    ];
+
+    const builder = new ASTBuilder();
+    await assert.rejects(builder.build(tokenGenerator(tokens)), (err) => {
+      assert(err instanceof ASTError);
+      assert(err.message === "Expected ']' to close the values of array 'pal'");
+      assert.deepStrictEqual(err.loc, { line: 1, column: 15 });
+      return true;
+    });
+  });
+
+  it('array declaration with element type', async () => {
+    // make buf[4] byte = [1]
+    const tokens = [
+      { type: TokenType.keyword, value: 'make', line: 1, column: 1 },
+      { type: TokenType.identifier, value: 'buf', line: 1, column: 6 },
+      { type: TokenType.operator, value: '[', line: 1, column: 9 },
+      { type: TokenType.number, value: '4', line: 1, column: 10 },
+      { type: TokenType.operator, value: ']', line: 1, column: 11 },
+      { type: TokenType.keyword, value: 'byte', line: 1, column: 13 },
+      { type: TokenType.operator, value: '=', line: 1, column: 18 },
+      { type: TokenType.operator, value: '[', line: 1, column: 20 },
+      { type: TokenType.number, value: '1', line: 1, column: 21 },
+      { type: TokenType.operator, value: ']', line: 1, column: 22 },
+      { type: TokenType.keyword, value: 'make', line: 2, column: 1 },
+      { type: TokenType.identifier, value: 'big', line: 2, column: 6 },
+      { type: TokenType.operator, value: '[', line: 2, column: 9 },
+      { type: TokenType.number, value: '4', line: 2, column: 10 },
+      { type: TokenType.operator, value: ']', line: 2, column: 11 },
+    ];
+
+    const builder = new ASTBuilder();
+    const ir = await builder.build(tokenGenerator(tokens));
+
+    const [buf, big] = ir.statements;
+    assert(buf.elementType === 'byte');
+    assert(buf.initializer.length === 1);
+    assert(big.elementType === 'int32');
+  });
+
+  it('multi-dimensional arrays', async () => {
+    // make grid[h][4]
+    // grid[y][x + 1] = grid[1][2]
+    const tokens = [
+      { type: TokenType.keyword, value: 'make', line: 1, column: 1 },
+      { type: TokenType.identifier, value: 'grid', line: 1, column: 6 },
+      { type: TokenType.operator, value: '[', line: 1, column: 10 },
+      { type: TokenType.identifier, value: 'h', line: 1, column: 11 },
+      { type: TokenType.operator, value: ']', line: 1, column: 12 },
+      { type: TokenType.operator, value: '[', line: 1, column: 13 },
+      { type: TokenType.number, value: '4', line: 1, column: 14 },
+      { type: TokenType.operator, value: ']', line: 1, column: 15 },
+      { type: TokenType.identifier, value: 'grid', line: 2, column: 1 },
+      { type: TokenType.operator, value: '[', line: 2, column: 5 },
+      { type: TokenType.identifier, value: 'y', line: 2, column: 6 },
+      { type: TokenType.operator, value: ']', line: 2, column: 7 },
+      { type: TokenType.operator, value: '[', line: 2, column: 8 },
+      { type: TokenType.identifier, value: 'x', line: 2, column: 9 },
+      { type: TokenType.operator, value: '+', line: 2, column: 11 },
+      { type: TokenType.number, value: '1', line: 2, column: 13 },
+      { type: TokenType.operator, value: ']', line: 2, column: 14 },
+      { type: TokenType.operator, value: '=', line: 2, column: 16 },
+      { type: TokenType.identifier, value: 'grid', line: 2, column: 18 },
+      { type: TokenType.operator, value: '[', line: 2, column: 22 },
+      { type: TokenType.number, value: '1', line: 2, column: 23 },
+      { type: TokenType.operator, value: ']', line: 2, column: 24 },
+      { type: TokenType.operator, value: '[', line: 2, column: 25 },
+      { type: TokenType.number, value: '2', line: 2, column: 26 },
+      { type: TokenType.operator, value: ']', line: 2, column: 27 },
+    ];
+
+    const builder = new ASTBuilder();
+    const ir = await builder.build(tokenGenerator(tokens));
+
+    const [decl, assign] = ir.statements;
+    assert(decl instanceof ArrayDeclaration);
+    assert(decl.dimensions.length === 2);
+    assert(decl.dimensions[0] instanceof Identifier);
+    assert(decl.dimensions[1].value === 4);
+    assert(assign instanceof ArrayAssignment);
+    assert(assign.indices.length === 2);
+    assert(assign.indices[0].name === 'y');
+    assert(assign.indices[1] instanceof BinaryExpression);
+    assert(assign.value instanceof ArrayAccess);
+    assert.deepStrictEqual(
+      assign.value.indices.map((index) => index.value),
+      [1, 2],
+    );
+  });
+
+  it('rejects initial values for multi-dimensional arrays', async () => {
+    const tokens = [
+      { type: TokenType.keyword, value: 'make', line: 1, column: 1 },
+      { type: TokenType.identifier, value: 'grid', line: 1, column: 6 },
+      { type: TokenType.operator, value: '[', line: 1, column: 10 },
+      { type: TokenType.number, value: '2', line: 1, column: 11 },
+      { type: TokenType.operator, value: ']', line: 1, column: 12 },
+      { type: TokenType.operator, value: '[', line: 1, column: 13 },
+      { type: TokenType.number, value: '2', line: 1, column: 14 },
+      { type: TokenType.operator, value: ']', line: 1, column: 15 },
+      { type: TokenType.operator, value: '=', line: 1, column: 17 },
+      { type: TokenType.operator, value: '[', line: 1, column: 19 },
+      { type: TokenType.number, value: '1', line: 1, column: 20 },
+      { type: TokenType.operator, value: ']', line: 1, column: 21 },
+    ];
+
+    const builder = new ASTBuilder();
+    await assert.rejects(builder.build(tokenGenerator(tokens)), (err) => {
+      assert(err instanceof ASTError);
+      assert(err.message === "Only one-dimensional arrays take initial values, 'grid' has 2");
+      assert.deepStrictEqual(err.loc, { line: 1, column: 6 });
+      return true;
+    });
+  });
 });
@@ -27,19 +27,22 @@ export class Program extends Node {
 
 // Variable declaration (e.g., make x 5)
 export class VariableDeclaration extends Statement {
-  constructor(identifier, value, loc) {
+  constructor(identifier, value, loc, identifierLoc = null) {
     super(loc);
     this.identifier = identifier; // string (variable name)
     this.value = value; // Expression (initial value)
+    this.identifierLoc = identifierLoc; // location of the variable name token
   }
 }
 
-// Assignment expression (e.g., x = 5 or assign x 5)
+// Assignment expression (e.g., x = 5, assign x 5, x += 5 or x++)
 export class AssignmentExpression extends Statement {
-  constructor(left, right, loc) {
+  constructor(left, right, loc, leftLoc = null, operator = null) {
     super(loc);
     this.left = left; // string (variable name)
     this.right = right; // Expression
+    this.leftLoc = leftLoc; // location of the variable name token
+    this.operator = operator; // arithmetic operator of a compound assignment ('+' for += and ++), null for '='
   }
 }
 
@@ -53,12 +56,13 @@ export class BinaryExpression extends Expression {
   }
 }
 
-// If statement (e.g., if condition ... endif)
+// If statement (e.g., if condition ... else ... endif)
 export class IfStatement extends Statement {
-  constructor(test, consequent, loc) {
+  constructor(test, consequent, loc, alternate = null) {
     super(loc);
     this.test = test; // Expression (condition)
     this.consequent = consequent; // Array of Statement (body)
+    this.alternate = alternate; // Array of Statement (else body; a single IfStatement for elseif) or null
   }
 }
 
@@ -71,6 +75,27 @@ export class WhileStatement extends Statement {
   }
 }
 
+// Counted loop (e.g., for i 0 to 10 step 2 ... next)
+// end is inclusive; end and step are evaluated once before the first iteration and a negative step counts down.
+// The loop variable only exists inside the loop.
+export class ForStatement extends Statement {
+  constructor(variable, start, end, step, body, loc, variableLoc = null) {
+    super(loc);
+    this.variable = variable; // String (loop variable name)
+    this.start = start; // Expression
+    this.end = end; // Expression
+    this.step = step; // Expression (NumericLiteral 1 when omitted)
+    this.body = body; // Array of Statement
+    this.variableLoc = variableLoc; // Location of the loop variable name
+  }
+}
+
+// Break statement (e.g., break) - leaves the innermost loop
+export class BreakStatement extends Statement {}
+
+// Continue statement (e.g., continue) - skips to the next test of the innermost loop
+export class ContinueStatement extends Statement {}
+
 // Print statement (e.g., print x)
 export class PrintStatement extends Statement {
   constructor(argument, loc) {
@@ -81,9 +106,10 @@ export class PrintStatement extends Statement {
 
 // Free statement (e.g., free x)
 export class FreeStatement extends Statement {
-  constructor(identifier, loc) {
+  constructor(identifier, loc, identifierLoc = null) {
     super(loc);
     this.identifier = identifier; // string (variable name)
+    this.identifierLoc = identifierLoc; // location of the variable name token
   }
 }
 
@@ -111,6 +137,14 @@ export class StringLiteral extends Expression {
   }
 }
 
+// Boolean literal (e.g., true)
+export class BooleanLiteral extends Expression {
+  constructor(value, loc) {
+    super(loc);
+    this.value = value; // boolean
+  }
+}
+
 // Sin expression (e.g., sin angle scale)
 export class SinExpression extends Expression {
   constructor(argument, scale, loc) {
@@ -146,31 +180,79 @@ export class UnaryMinusExpression extends Expression {
   }
 }
 
+// Bitwise not (e.g., ~mask) - flips every bit of a 32-bit integer
+export class BitwiseNotExpression extends Expression {
+  constructor(expression, loc) {
+    super(loc);
+    this.expression = expression; // Expression
+  }
+}
+
+// Logical expression (e.g., x > 0 and x < width) - the right side is only evaluated when needed
+export class LogicalExpression extends Expression {
+  constructor(left, operator, right, loc) {
+    super(loc);
+    this.left = left; // Expression
+    this.operator = operator; // 'and' or 'or'
+    this.right = right; // Expression
+  }
+}
+
+// Logical not (e.g., not done)
+export class NotExpression extends Expression {
+  constructor(expression, loc) {
+    super(loc);
+    this.expression = expression; // Expression
+  }
+}
+
+// Boolean conversion (e.g., bool count) - true for non-zero numbers and non-empty strings
+export class BoolExpression extends Expression {
+  constructor(expression, loc) {
+    super(loc);
+    this.expression = expression; // Expression
+  }
+}
+
 // Function declaration (e.g., function name param1 param2 ... end)
 export class FunctionDeclaration extends Statement {
-  constructor(name, params, body, loc) {
+  constructor(name, params, body, loc, nameLoc = null, paramLocs = []) {
     super(loc);
     this.name = name; // string (function name)
     this.params = params; // array of strings (parameter names)
     this.body = body; // array of Statement
+    this.nameLoc = nameLoc; // location of the function name token
+    this.paramLocs = paramLocs; // array of locations, one per parameter name token
   }
 }
 
-// Return statement (e.g., return variable)
+// Return statement (e.g., return x + 1, or a bare return)
 export class ReturnStatement extends Statement {
   constructor(argument, loc) {
     super(loc);
-    this.argument = argument; // string (variable name to return)
+    this.argument = argument; // Expression, or null for a bare return
   }
 }
 
 // Call statement (e.g., call func arg1 arg2 result)
 export class CallStatement extends Statement {
-  constructor(callee, args, result, loc) {
+  constructor(callee, args, result, loc, calleeLoc = null, resultLoc = null) {
     super(loc);
     this.callee = callee; // string (function name)
     this.arguments = args; // array of Expression
     this.result = result; // string or null (result variable, null for void calls)
+    this.calleeLoc = calleeLoc; // location of the function name token
+    this.resultLoc = resultLoc; // location of the result variable token, null for void calls
+  }
+}
+
+// Call expression (e.g., add(a b) in make y add(a b) + 1) - the called function's return value
+export class CallExpression extends Expression {
+  constructor(callee, args, loc, calleeLoc = null) {
+    super(loc);
+    this.callee = callee; // string (function name)
+    this.arguments = args; // array of Expression
+    this.calleeLoc = calleeLoc; // location of the function name token
   }
 }
 
@@ -215,13 +297,14 @@ export class SDLPutPixelStatement extends Statement {
 
 // SDL get pixel statement (e.g., sdlGetPixel x y into r g b)
 export class SDLGetPixelStatement extends Statement {
-  constructor(x, y, r, g, b, loc) {
+  constructor(x, y, r, g, b, loc, componentLocs = null) {
     super(loc);
     this.x = x;
     this.y = y;
     this.r = r;
     this.g = g;
     this.b = b;
+    this.componentLocs = componentLocs; // { r, g, b } locations of the variable name tokens
   }
 }
 
@@ -252,30 +335,35 @@ export class SDLDrawLineStatement extends Statement {
   }
 }
 
-// Array declaration (e.g., make arr[100])
+// Array declaration (e.g., make arr[100], make grid[240][320], make buf[100] byte or make pal[4] = [0, 60, 101, 255])
 export class ArrayDeclaration extends Statement {
-  constructor(identifier, size, loc) {
+  constructor(identifier, dimensions, loc, identifierLoc = null, initializer = null, elementType = 'int32') {
     super(loc);
     this.identifier = identifier; // string (array name)
-    this.size = size; // Expression (array size)
+    this.dimensions = dimensions; // Expression[] (size of each dimension, outermost first: [h, w] for grid[h][w])
+    this.identifierLoc = identifierLoc; // location of the array name token
+    this.initializer = initializer; // NumericLiteral[] (initial values of the first elements) or null
+    this.elementType = elementType; // 'int32' (signed 32-bit) or 'byte' (unsigned 8-bit)
   }
 }
 
-// Array access (e.g., arr[5] in expressions)
+// Array access (e.g., arr[5] or grid[y][x] in expressions)
 export class ArrayAccess extends Expression {
-  constructor(array, index, loc) {
+  constructor(array, indices, loc) {
     super(loc);
     this.array = array; // string (array name)
-    this.index = index; // Expression (index)
+    this.indices = indices; // Expression[] (one index per dimension, outermost first)
   }
 }
 
-// Array assignment (e.g., arr[5] = value)
+// Array assignment (e.g., arr[5] = value, grid[y][x] = value, arr[5] += value or arr[5]++)
 export class ArrayAssignment extends Statement {
-  constructor(array, index, value, loc) {
+  constructor(array, indices, value, loc, arrayLoc = null, operator = null) {
     super(loc);
     this.array = array; // string (array name)
-    this.index = index; // Expression (index)
+    this.indices = indices; // Expression[] (one index per dimension, outermost first)
     this.value = value; // Expression (value to assign)
+    this.arrayLoc = arrayLoc; // location of the array name token
+    this.operator = operator; // arithmetic operator of a compound assignment ('+' for += and ++), null for '='
   }
 }
@@ -0,0 +1,224 @@
+/* Complect - Compiler for the Complect programming language
+ *
+ * Copyright © 2024 Jarrod Connolly
+ * MIT License
+ */
+
+import { keywords } from '../tokenizer/keywords.js';
+import {
+  ArrayAccess,
+  ArrayAssignment,
+  ArrayDeclaration,
+  AssignmentExpression,
+  CallExpression,
+  CallStatement,
+  ForStatement,
+  FreeStatement,
+  FunctionDeclaration,
+  Identifier,
+  Node,
+  SDLGetPixelStatement,
+  VariableDeclaration,
+} from './ir-nodes.js';
+
+// Yield every IR node held directly by a node's fields, in field order
+function* childNodes(node) {
+  for (const value of Object.values(node)) {
+    if (value instanceof Node) {
+      yield value;
+    } else if (Array.isArray(value)) {
+      for (const item of value) {
+        if (item instanceof Node) yield item;
+      }
+    }
+  }
+}
+
+// SymbolIndex maps every variable, array, parameter and function in a program to its
+// definition and references. Scoping follows the LLVM backend: functions are global,
+// program-level variables are global, each function body sees its own parameters and
+// locals over the globals, and program-level code only sees program-level variables.
+export class SymbolIndex {
+  constructor(program) {
+    this.symbols = []; // Array of { name, kind, scope, definition, references }
+    this.functions = new Map(); // name -> function symbol
+    this.functionBodies = []; // FunctionDeclarations waiting to be indexed
+
+    // Functions can be called before they are declared, so register them first
+    this.collectFunctions(program.statements);
+    const programScope = { name: null, variables: new Map(), parent: null };
+    this.indexStatements(program.statements, programScope);
+
+    // Globals declared after a function are still visible in its body, so bodies are indexed last
+    for (const node of this.functionBodies) {
+      const functionScope = { name: node.name, variables: new Map(), parent: programScope };
+      node.params.forEach((param, i) => {
+        this.declare(functionScope, param, 'parameter', node.paramLocs[i] ?? null);
+      });
+      this.indexStatements(node.body, functionScope);
+    }
+  }
+
+  collectFunctions(nodes) {
+    for (const node of nodes) {
+      if (node instanceof FunctionDeclaration && !this.functions.has(node.name)) {
+        this.functions.set(node.name, this.createSymbol(node.name, 'function', null, node.nameLoc));
+      }
+      this.collectFunctions([...childNodes(node)]);
+    }
+  }
+
+  createSymbol(name, kind, scope, definition) {
+    const symbol = { name, kind, scope, definition, references: [] };
+    this.symbols.push(symbol);
+    return symbol;
+  }
+
+  // Record a declaration; re-declaring a name in the same scope reuses the existing symbol
+  declare(scope, name, kind, loc) {
+    const existing = scope.variables.get(name);
+    if (existing) {
+      if (loc) existing.references.push(loc);
+      return;
+    }
+    scope.variables.set(name, this.createSymbol(name, kind, scope.name, loc));
+  }
+
+  // Record a use of a variable; names used without a declaration get a symbol with no definition
+  reference(scope, name, loc) {
+    if (!name || !loc) return;
+    let symbol = scope.variables.get(name) ?? scope.parent?.variables.get(name);
+    if (!symbol) {
+      symbol = this.createSymbol(name, 'variable', scope.name, null);
+      scope.variables.set(name, symbol);
+    }
+    symbol.references.push(loc);
+  }
+
+  referenceFunction(name, loc) {
+    if (!loc) return;
+    let symbol = this.functions.get(name);
+    if (!symbol) {
+      symbol = this.createSymbol(name, 'function', null, null);
+      this.functions.set(name, symbol);
+    }
+    symbol.references.push(loc);
+  }
+
+  indexStatements(nodes, scope) {
+    for (const node of nodes) {
+      this.indexNode(node, scope);
+    }
+  }
+
+  indexNode(node, scope) {
+    if (node instanceof FunctionDeclaration) {
+      this.functionBodies.push(node);
+    } else if (node instanceof ForStatement) {
+      this.indexNode(node.start, scope);
+      this.indexNode(node.end, scope);
+      this.indexNode(node.step, scope);
+      // The loop variable is a fresh symbol visible only in the body
+      const outer = scope.variables.get(node.variable);
+      scope.variables.delete(node.variable);
+      this.declare(scope, node.variable, 'variable', node.variableLoc);
+      this.indexStatements(node.body, scope);
+      if (outer) {
+        scope.variables.set(node.variable, outer);
+      } else {
+        scope.variables.delete(node.variable);
+      }
+    } else if (node instanceof VariableDeclaration) {
+      this.indexNode(node.value, scope);
+      this.declare(scope, node.identifier, 'variable', node.identifierLoc);
+    } else if (node instanceof ArrayDeclaration) {
+      this.indexStatements(node.dimensions, scope);
+      this.declare(scope, node.identifier, 'array', node.identifierLoc);
+    } else if (node instanceof AssignmentExpression) {
+      this.indexNode(node.right, scope);
+      this.reference(scope, node.left, node.leftLoc);
+    } else if (node instanceof ArrayAssignment) {
+      this.reference(scope, node.array, node.arrayLoc);
+      this.indexStatements(node.indices, scope);
+      this.indexNode(node.value, scope);
+    } else if (node instanceof ArrayAccess) {
+      this.reference(scope, node.array, node.loc);
+      this.indexStatements(node.indices, scope);
+    } else if (node instanceof Identifier) {
+      this.reference(scope, node.name, node.loc);
+    } else if (node instanceof CallStatement) {
+      this.referenceFunction(node.callee, node.calleeLoc);
+      this.indexStatements(node.arguments, scope);
+      this.reference(scope, node.result, node.resultLoc);
+    } else if (node instanceof CallExpression) {
+      this.referenceFunction(node.callee, node.calleeLoc);
+      this.indexStatements(node.arguments, scope);
+    } else if (node instanceof FreeStatement) {
+      this.reference(scope, node.identifier, node.identifierLoc);
+    } else if (node instanceof SDLGetPixelStatement) {
+      this.indexNode(node.x, scope);
+      this.indexNode(node.y, scope);
+      this.reference(scope, node.r, node.componentLocs?.r);
+      this.reference(scope, node.g, node.componentLocs?.g);
+      this.reference(scope, node.b, node.componentLocs?.b);
+    } else if (node instanceof Node) {
+      this.indexStatements([...childNodes(node)], scope);
+    }
+  }
+
+  // All source locations of a symbol, definition first
+  locations(symbol) {
+    return symbol.definition ? [symbol.definition, ...symbol.references] : [...symbol.references];
+  }
+
+  // Symbols that have a declaration in the source, in source order (for document outlines)
+  declarations() {
+    return this.symbols
+      .filter((symbol) => symbol.definition)
+      .sort(
+        (a, b) =>
+          a.definition.start.line - b.definition.start.line || a.definition.start.column - b.definition.start.column,
+      );
+  }
+
+  // Check whether a symbol can be renamed to newName; returns an error message or null
+  renameError(symbol, newName) {
+    if (!/^[A-Za-z][A-Za-z0-9]*$/.test(newName)) {
+      return `'${newName}' is not a valid identifier`;
+    }
+    if (keywords.includes(newName)) {
+      return `'${newName}' is a reserved keyword`;
+    }
+    // Functions share one global namespace. A variable clashes with one in its own scope, and program-level
+    // variables are seen in every function, so a global and a function's local of the same name would hide one
+    // another and could change which symbol a reference reads.
+    const clash = this.symbols.find(
+      (other) =>
+        other !== symbol &&
+        other.name === newName &&
+        (symbol.kind === 'function'
+          ? other.kind === 'function'
+          : other.kind !== 'function' &&
+            (other.scope === symbol.scope || other.scope === null || symbol.scope === null)),
+    );
+    if (clash) {
+      const where =
+        clash.kind === 'function' ? 'as a function' : clash.scope ? `in '${clash.scope}'` : 'at program level';
+      return `'${newName}' is already declared ${where}`;
+    }
+    return null;
+  }
+
+  // Whether the occurrence of a symbol at loc covers the given 1-based line and column
+  covers(symbol, loc, line, column) {
+    return loc.start.line === line && column >= loc.start.column && column <= loc.start.column + symbol.name.length;
+  }
+
+  // Find the symbol whose name covers the given 1-based line and column
+  symbolAt(line, column) {
+    return (
+      this.symbols.find((symbol) => this.locations(symbol).some((loc) => this.covers(symbol, loc, line, column))) ??
+      null
+    );
+  }
+}
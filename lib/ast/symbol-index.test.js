@@ -0,0 +1,204 @@
+/* Complect - Compiler for the Complect programming language
+ *
+ * Copyright © 2024 Jarrod Connolly
+ * MIT License
+ */
+
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import { Preprocessor } from '../preprocessing/preprocessor.js';
+import { Tokenizer } from '../tokenizer/tokenizer.js';
+import { ASTBuilder } from './ast-builder.js';
+import { SymbolIndex } from './symbol-index.js';
+
+async function buildIndex(source) {
+  const preprocessor = new Preprocessor();
+  const tokenizer = new Tokenizer();
+  const astBuilder = new ASTBuilder();
+  const ir = await astBuilder.build(tokenizer.process(preprocessor.process([source])));
+  return new SymbolIndex(ir);
+}
+
+function positions(index, symbol) {
+  return index.locations(symbol).map((loc) => [loc.start.line, loc.start.column]);
+}
+
+describe('SymbolIndex', () => {
+  it('variable definition and references', async () => {
+    const index = await buildIndex('make x 1\nx = x + 1\nprint x\n');
+
+    const symbol = index.symbolAt(3, 7);
+    assert.strictEqual(symbol.name, 'x');
+    assert.strictEqual(symbol.kind, 'variable');
+    assert.deepStrictEqual(symbol.definition.start, { line: 1, column: 6 });
+    assert.deepStrictEqual(positions(index, symbol), [
+      [1, 6],
+      [2, 5],
+      [2, 1],
+      [3, 7],
+    ]);
+  });
+
+  it('array declaration, access and assignment', async () => {
+    const index = await buildIndex('make buf[10]\nbuf[1] = 5\nprint buf[1]\n');
+
+    const symbol = index.symbolAt(2, 2);
+    assert.strictEqual(symbol.name, 'buf');
+    assert.strictEqual(symbol.kind, 'array');
+    assert.deepStrictEqual(positions(index, symbol), [
+      [1, 6],
+      [2, 1],
+      [3, 7],
+    ]);
+  });
+
+  it('functions are found from calls before their declaration', async () => {
+    const index = await buildIndex('make r 0\ncall add 1 2 into r\nfunc add a b\n  make s a + b\n  return s\nend\n');
+
+    const symbol = index.symbolAt(2, 6);
+    assert.strictEqual(symbol.name, 'add');
+    assert.strictEqual(symbol.kind, 'function');
+    assert.deepStrictEqual(symbol.definition.start, { line: 3, column: 6 });
+    assert.deepStrictEqual(positions(index, symbol), [
+      [3, 6],
+      [2, 6],
+    ]);
+
+    const result = index.symbolAt(2, 19);
+    assert.strictEqual(result.name, 'r');
+    assert.deepStrictEqual(result.definition.start, { line: 1, column: 6 });
+  });
+
+  it('function parameters and locals are scoped to the function', async () => {
+    const index = await buildIndex('make x 1\nfunc show x\n  print x\nend\nprint x\n');
+
+    const param = index.symbolAt(3, 9);
+    assert.strictEqual(param.kind, 'parameter');
+    assert.strictEqual(param.scope, 'show');
+    assert.deepStrictEqual(positions(index, param), [
+      [2, 11],
+      [3, 9],
+    ]);
+
+    const global = index.symbolAt(5, 7);
+    assert.strictEqual(global.scope, null);
+    assert.deepStrictEqual(positions(index, global), [
+      [1, 6],
+      [5, 7],
+    ]);
+  });
+
+  it('functions see program-level variables unless they shadow them', async () => {
+    const index = await buildIndex('func show\n  print count\n  make n 2\n  print n\nend\nmake count 1\nmake n 3\n');
+
+    const count = index.symbolAt(2, 9);
+    assert.strictEqual(count.scope, null);
+    assert.deepStrictEqual(positions(index, count), [
+      [6, 6],
+      [2, 9],
+    ]);
+
+    const local = index.symbolAt(4, 9);
+    assert.strictEqual(local.scope, 'show');
+    assert.deepStrictEqual(positions(index, local), [
+      [3, 8],
+      [4, 9],
+    ]);
+  });
+
+  it('declarations lists symbols defined in the source', async () => {
+    const index = await buildIndex('func f n\n  return n\nend\nmake y 2\nprint z\n');
+
+    const names = index.declarations().map((symbol) => `${symbol.kind}:${symbol.name}`);
+    assert.deepStrictEqual(names, ['function:f', 'parameter:n', 'variable:y']);
+  });
+
+  it('returns null when no symbol is at the position', async () => {
+    const index = await buildIndex('make x 1\n');
+    assert.strictEqual(index.symbolAt(1, 1), null);
+  });
+
+  it('rename rejects keywords and invalid identifiers', async () => {
+    const index = await buildIndex('make x 1\nprint x\n');
+    const symbol = index.symbolAt(1, 6);
+
+    assert.strictEqual(index.renameError(symbol, 'total'), null);
+    assert.strictEqual(index.renameError(symbol, 'repeat'), "'repeat' is a reserved keyword");
+    assert.strictEqual(index.renameError(symbol, 'sdlInit'), "'sdlInit' is a reserved keyword");
+    assert.strictEqual(index.renameError(symbol, '2x'), "'2x' is not a valid identifier");
+  });
+
+  it('rename clashes with names in the same scope and with globals', async () => {
+    const index = await buildIndex(
+      'make x 1\nmake y 2\nfunc add a b\n  make x a + b\n  return x\nend\nfunc neg c\n  return 0 - c\nend\n',
+    );
+    const local = index.symbolAt(4, 8);
+    const global = index.symbolAt(1, 6);
+    const fn = index.symbolAt(3, 6);
+
+    assert.strictEqual(local.scope, 'add');
+    assert.strictEqual(index.renameError(local, 'c'), null);
+    assert.strictEqual(index.renameError(local, 'a'), "'a' is already declared in 'add'");
+    assert.strictEqual(index.renameError(global, 'y'), "'y' is already declared at program level");
+    assert.strictEqual(index.renameError(global, 'z'), null);
+    assert.strictEqual(index.renameError(fn, 'x'), null);
+    assert.deepStrictEqual(positions(index, local), [
+      [4, 8],
+      [5, 10],
+    ]);
+  });
+
+  it('rename rejects a local hiding a global', async () => {
+    const index = await buildIndex('make g 1\nfunc f a\n  make t 2\n  print g + t\nend\n');
+    const local = index.symbolAt(3, 8);
+
+    // print g + t would read the local twice
+    assert.strictEqual(index.renameError(local, 'g'), "'g' is already declared at program level");
+    assert.strictEqual(index.renameError(index.symbolAt(2, 8), 'g'), "'g' is already declared at program level");
+  });
+
+  it('rename rejects a global hidden by a local', async () => {
+    const index = await buildIndex('make g 1\nfunc f a\n  make t 2\n  print g + t\nend\nfunc h\n  make u 3\nend\n');
+    const global = index.symbolAt(1, 6);
+
+    // f's local t would capture the use of g
+    assert.strictEqual(index.renameError(global, 't'), "'t' is already declared in 'f'");
+    // h does not use g, but its u would still hide it
+    assert.strictEqual(index.renameError(global, 'u'), "'u' is already declared in 'h'");
+  });
+
+  it('for loop variable is scoped to the loop body', async () => {
+    const index = await buildIndex('make i 5\nfor i 0 to i\n  print i\nnext\nprint i\n');
+
+    const loopVariable = index.symbolAt(3, 9);
+    assert.deepStrictEqual(positions(index, loopVariable), [
+      [2, 5],
+      [3, 9],
+    ]);
+
+    const outer = index.symbolAt(5, 7);
+    assert.deepStrictEqual(positions(index, outer), [
+      [1, 6],
+      [2, 12],
+      [5, 7],
+    ]);
+  });
+
+  it('call expressions reference the function and their arguments', async () => {
+    const index = await buildIndex(
+      'func twice n\n  make r n * 2\n  return r\nend\nmake x 3\nprint twice(x) + twice(1)\n',
+    );
+
+    const symbol = index.symbolAt(6, 7);
+    assert.strictEqual(symbol.kind, 'function');
+    assert.deepStrictEqual(positions(index, symbol), [
+      [1, 6],
+      [6, 7],
+      [6, 18],
+    ]);
+
+    const argument = index.symbolAt(6, 13);
+    assert.strictEqual(argument.name, 'x');
+    assert.deepStrictEqual(argument.definition.start, { line: 5, column: 6 });
+  });
+});
@@ -5,28 +5,57 @@
  */
 
 import { CodeGenerator } from '@babel/generator';
+import { parse } from '@babel/parser';
 import _traverse from '@babel/traverse';
 import * as t from '@babel/types';
 
 const traverse = _traverse.default;
 
 import {
+  ArrayAccess,
+  ArrayAssignment,
+  ArrayDeclaration,
   AssignmentExpression,
   BinaryExpression,
+  BitwiseNotExpression,
+  BoolExpression,
+  BooleanLiteral,
+  BreakStatement,
+  CallExpression,
   CallStatement,
+  ContinueStatement,
+  ForStatement,
   FreeStatement,
   FunctionDeclaration,
   Identifier,
   IfStatement,
+  LogicalExpression,
+  NotExpression,
   NumericLiteral,
   PrintStatement,
   ReturnStatement,
   StringLiteral,
+  UnaryMinusExpression,
   VariableDeclaration,
   WhileStatement,
 } from '../ast/ir-nodes.js';
+import { builtinsByNode } from '../builtins/builtins.js';
+
+// Runtime check used by checked builds, matching the message and exit status of the LLVM backend
+const checkIndexSource = `function __checkIndex(index, size, name, line, column) {
+  if (index < 0 || index >= size) {
+    console.error(\`index \${index} out of bounds for '\${name}' (size \${size}) at line \${line}, col \${column}\`);
+    process.exit(1);
+  }
+  return index;
+}`;
 
 export class BabelTranslator {
+  // checked: stop with the source location when an array index is out of bounds
+  constructor({ checked = false } = {}) {
+    this.checked = checked;
+  }
+
   translate(ir) {
     const program = this.translateProgram(ir);
     const file = t.file(program);
@@ -48,6 +77,9 @@ export class BabelTranslator {
 
   translateProgram(program) {
     const statements = program.statements.map((s) => this.translateStatement(s));
+    if (this.checked) {
+      statements.unshift(...parse(checkIndexSource).program.body);
+    }
     return t.program(statements, [], 'script');
   }
 
@@ -60,17 +92,43 @@ export class BabelTranslator {
       const decl = t.variableDeclaration('let', [declarator]);
       decl.loc = stmt.loc;
       return decl;
+    } else if (stmt instanceof ArrayDeclaration) {
+      const id = t.identifier(stmt.identifier);
+      id.loc = stmt.identifierLoc;
+      // Typed arrays give the same wrap-around as the LLVM element types; initial values are an array
+      // literal copied over the start of the array
+      const array = this.translateArrayStorage(stmt.elementType, stmt.dimensions);
+      const init = stmt.initializer
+        ? t.callExpression(t.memberExpression(t.identifier('Object'), t.identifier('assign')), [
+            array,
+            t.arrayExpression(stmt.initializer.map((value) => this.translateExpression(value))),
+          ])
+        : array;
+      const decl = t.variableDeclaration('let', [t.variableDeclarator(id, init)]);
+      decl.loc = stmt.loc;
+      return decl;
+    } else if (stmt instanceof ArrayAssignment) {
+      const array = t.identifier(stmt.array);
+      array.loc = stmt.arrayLoc;
+      const element = this.translateElement(array, stmt.indices, stmt.loc);
+      const assign = t.assignmentExpression(
+        stmt.operator ? `${stmt.operator}=` : '=',
+        element,
+        this.translateExpression(stmt.value),
+      );
+      assign.loc = stmt.loc;
+      return t.expressionStatement(assign);
     } else if (stmt instanceof AssignmentExpression) {
       const left = t.identifier(stmt.left);
       left.loc = stmt.loc;
       const right = this.translateExpression(stmt.right);
-      const assign = t.assignmentExpression('=', left, right);
+      const assign = t.assignmentExpression(stmt.operator ? `${stmt.operator}=` : '=', left, right);
       assign.loc = stmt.loc;
       return t.expressionStatement(assign);
     } else if (stmt instanceof IfStatement) {
       const test = this.translateExpression(stmt.test);
       const consequent = t.blockStatement(stmt.consequent.map((s) => this.translateStatement(s)));
-      const ifStmt = t.ifStatement(test, consequent);
+      const ifStmt = t.ifStatement(test, consequent, this.translateAlternate(stmt.alternate));
       ifStmt.loc = stmt.loc;
       return ifStmt;
     } else if (stmt instanceof WhileStatement) {
@@ -79,6 +137,16 @@ export class BabelTranslator {
       const whileStmt = t.whileStatement(test, body);
       whileStmt.loc = stmt.loc;
       return whileStmt;
+    } else if (stmt instanceof ForStatement) {
+      return this.translateFor(stmt);
+    } else if (stmt instanceof BreakStatement) {
+      const breakStmt = t.breakStatement();
+      breakStmt.loc = stmt.loc;
+      return breakStmt;
+    } else if (stmt instanceof ContinueStatement) {
+      const continueStmt = t.continueStatement();
+      continueStmt.loc = stmt.loc;
+      return continueStmt;
     } else if (stmt instanceof PrintStatement) {
       const arg = this.translateExpression(stmt.argument);
       const consoleId = t.identifier('console');
@@ -111,9 +179,7 @@ export class BabelTranslator {
       func.loc = stmt.loc;
       return func;
     } else if (stmt instanceof ReturnStatement) {
-      const arg = t.identifier(stmt.argument);
-      arg.loc = stmt.loc;
-      const ret = t.returnStatement(arg);
+      const ret = t.returnStatement(stmt.argument ? this.translateExpression(stmt.argument) : null);
       ret.loc = stmt.loc;
       return ret;
     } else if (stmt instanceof CallStatement) {
@@ -137,6 +203,10 @@ export class BabelTranslator {
         exprStmt.loc = stmt.loc;
         return exprStmt;
       }
+    } else if (builtinsByNode.has(stmt.constructor)) {
+      const exprStmt = t.expressionStatement(this.translateBuiltin(builtinsByNode.get(stmt.constructor), stmt));
+      exprStmt.loc = stmt.loc;
+      return exprStmt;
     } else {
       throw new Error(`Unknown statement type: ${stmt.constructor.name}`);
     }
@@ -155,14 +225,155 @@ export class BabelTranslator {
       const str = t.stringLiteral(expr.value);
       str.loc = expr.loc;
       return str;
+    } else if (expr instanceof BooleanLiteral) {
+      const bool = t.booleanLiteral(expr.value);
+      bool.loc = expr.loc;
+      return bool;
+    } else if (expr instanceof LogicalExpression) {
+      const logical = t.logicalExpression(
+        expr.operator === 'and' ? '&&' : '||',
+        this.translateExpression(expr.left),
+        this.translateExpression(expr.right),
+      );
+      logical.loc = expr.loc;
+      return logical;
+    } else if (expr instanceof NotExpression) {
+      const not = t.unaryExpression('!', this.translateExpression(expr.expression));
+      not.loc = expr.loc;
+      return not;
+    } else if (expr instanceof BoolExpression) {
+      const call = t.callExpression(t.identifier('Boolean'), [this.translateExpression(expr.expression)]);
+      call.loc = expr.loc;
+      return call;
     } else if (expr instanceof BinaryExpression) {
       const left = this.translateExpression(expr.left);
       const right = this.translateExpression(expr.right);
       const bin = t.binaryExpression(expr.operator, left, right);
       bin.loc = expr.loc;
       return bin;
+    } else if (expr instanceof ArrayAccess) {
+      const element = this.translateElement(t.identifier(expr.array), expr.indices, expr.loc);
+      element.loc = expr.loc;
+      return element;
+    } else if (expr instanceof CallExpression) {
+      const callee = t.identifier(expr.callee);
+      callee.loc = expr.calleeLoc;
+      const call = t.callExpression(
+        callee,
+        expr.arguments.map((a) => this.translateExpression(a)),
+      );
+      call.loc = expr.loc;
+      return call;
+    } else if (expr instanceof UnaryMinusExpression) {
+      const unary = t.unaryExpression('-', this.translateExpression(expr.expression));
+      unary.loc = expr.loc;
+      return unary;
+    } else if (expr instanceof BitwiseNotExpression) {
+      const unary = t.unaryExpression('~', this.translateExpression(expr.expression));
+      unary.loc = expr.loc;
+      return unary;
+    } else if (builtinsByNode.has(expr.constructor)) {
+      const builtin = this.translateBuiltin(builtinsByNode.get(expr.constructor), expr);
+      builtin.loc = expr.loc;
+      return builtin;
     } else {
       throw new Error(`Unknown expression type: ${expr.constructor.name}`);
     }
   }
+
+  // Multi-dimensional arrays are nested: grid[h][w] is h rows that are each a typed array of w elements.
+  // Sizes other than literals and names are passed into an arrow function so they are evaluated once, in
+  // order, rather than once per row.
+  translateArrayStorage(elementType, dimensions) {
+    const sizes = dimensions.map((dimension) => this.translateExpression(dimension));
+    const params = [];
+    const args = [];
+    for (let i = 0; i < sizes.length && sizes.length > 1; i++) {
+      if (t.isNumericLiteral(sizes[i]) || t.isIdentifier(sizes[i])) continue;
+      const param = t.identifier(`size${i}`);
+      params.push(param);
+      args.push(sizes[i]);
+      sizes[i] = param;
+    }
+    let storage = t.newExpression(t.identifier(elementType === 'byte' ? 'Uint8Array' : 'Int32Array'), [
+      sizes[sizes.length - 1],
+    ]);
+    for (let i = sizes.length - 2; i >= 0; i--) {
+      storage = t.callExpression(t.memberExpression(t.identifier('Array'), t.identifier('from')), [
+        t.objectExpression([t.objectProperty(t.identifier('length'), sizes[i])]),
+        t.arrowFunctionExpression([], storage),
+      ]);
+    }
+    return params.length > 0 ? t.callExpression(t.arrowFunctionExpression(params, storage), args) : storage;
+  }
+
+  // grid[y][x] indexes the row array, then the element. Checked builds pass each index through __checkIndex;
+  // every row has the same length, so the first row gives the size of the inner dimensions.
+  translateElement(array, indices, loc) {
+    let element = array;
+    let dimension = t.identifier(array.name);
+    for (const index of indices) {
+      let property = this.translateExpression(index);
+      if (this.checked) {
+        property = t.callExpression(t.identifier('__checkIndex'), [
+          property,
+          t.memberExpression(dimension, t.identifier('length')),
+          t.stringLiteral(array.name),
+          t.numericLiteral(loc.start.line),
+          t.numericLiteral(loc.start.column),
+        ]);
+        dimension = t.memberExpression(dimension, t.numericLiteral(0), true);
+      }
+      element = t.memberExpression(element, property, true);
+    }
+    return element;
+  }
+
+  // for i a to b step s becomes a native for loop; non-literal end and step are evaluated once into
+  // i$end / i$step, names that cannot clash with Complect identifiers
+  translateFor(stmt) {
+    const declarators = [t.variableDeclarator(t.identifier(stmt.variable), this.translateExpression(stmt.start))];
+    const bound = (expr, suffix) => {
+      if (expr instanceof NumericLiteral) return this.translateExpression(expr);
+      const id = t.identifier(`${stmt.variable}$${suffix}`);
+      declarators.push(t.variableDeclarator(id, this.translateExpression(expr)));
+      return t.identifier(id.name);
+    };
+    const end = bound(stmt.end, 'end');
+    const step = bound(stmt.step, 'step');
+
+    const variable = () => t.identifier(stmt.variable);
+    let test;
+    if (stmt.step instanceof NumericLiteral) {
+      test = t.binaryExpression(stmt.step.value >= 0 ? '<=' : '>=', variable(), end);
+    } else {
+      test = t.conditionalExpression(
+        t.binaryExpression('>=', step, t.numericLiteral(0)),
+        t.binaryExpression('<=', variable(), end),
+        t.binaryExpression('>=', variable(), t.cloneNode(end)),
+      );
+    }
+    const update = t.assignmentExpression('+=', variable(), t.cloneNode(step));
+    const body = t.blockStatement(stmt.body.map((s) => this.translateStatement(s)));
+    const forStmt = t.forStatement(t.variableDeclaration('let', declarators), test, update, body);
+    forStmt.loc = stmt.loc;
+    return forStmt;
+  }
+
+  // An elseif chain becomes `else if`, an else body becomes an `else` block
+  translateAlternate(alternate) {
+    if (!alternate) return null;
+    if (alternate.length === 1 && alternate[0] instanceof IfStatement) {
+      return this.translateStatement(alternate[0]);
+    }
+    return t.blockStatement(alternate.map((s) => this.translateStatement(s)));
+  }
+
+  // Generate code for a builtin through its registry lowering
+  translateBuiltin(builtin, node) {
+    if (!builtin.lower.babel) {
+      throw new Error(`'${builtin.name}' is not supported by the JavaScript backend`);
+    }
+    return builtin.lower.babel(this, node, t);
+  }
 }
@@ -7,17 +7,33 @@
 import assert from 'node:assert';
 import { describe, it } from 'node:test';
 import {
+  ArrayAccess,
+  ArrayAssignment,
+  ArrayDeclaration,
   AssignmentExpression,
   BinaryExpression,
+  BitwiseNotExpression,
+  BoolExpression,
+  BooleanLiteral,
+  BreakStatement,
+  CallExpression,
   CallStatement,
+  ContinueStatement,
+  ForStatement,
   FunctionDeclaration,
   Identifier,
   IfStatement,
+  LogicalExpression,
+  NotExpression,
   NumericLiteral,
   PrintStatement,
   Program,
   ReturnStatement,
+  RndExpression,
+  SDLInitStatement,
+  SinExpression,
   StringLiteral,
+  UnaryMinusExpression,
   VariableDeclaration,
   WhileStatement,
 } from '../ast/ir-nodes.js';
@@ -240,7 +256,15 @@ while (a < 10) {
         new FunctionDeclaration(
           'add',
           ['a', 'b'],
-          [new ReturnStatement('result', { start: { line: 2, column: 3 }, end: { line: 2, column: 10 } })],
+          [
+            new ReturnStatement(
+              new Identifier('result', { start: { line: 2, column: 10 }, end: { line: 2, column: 10 } }),
+              {
+                start: { line: 2, column: 3 },
+                end: { line: 2, column: 10 },
+              },
+            ),
+          ],
           { start: { line: 1, column: 1 }, end: { line: 3, column: 1 } },
         ),
       ],
@@ -301,4 +325,406 @@ result = double(x);`;
     const expected = `print("hello");`;
     assert(result.code.trim() === expected);
   });
+
+  it('translates builtin expressions', () => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const ir = new Program(
+      [
+        new PrintStatement(new SinExpression(new NumericLiteral(90, loc), new NumericLiteral(100, loc), loc), loc),
+        new PrintStatement(new RndExpression(new Identifier('seed', loc), new NumericLiteral(10, loc), loc), loc),
+      ],
+      null,
+    );
+
+    const translator = new BabelTranslator();
+    const result = translator.translate(ir);
+
+    const expected = `console.log(Math.trunc(Math.sin(90 * (Math.PI / 180)) * 100));
+console.log((Math.imul(seed, 1103515245) + 12345 | 0) % 10);`;
+    assert.strictEqual(result.code.trim(), expected);
+  });
+
+  it('rejects builtins without a JavaScript lowering', () => {
+    const ir = new Program(
+      [new SDLInitStatement({ start: { line: 1, column: 1 }, end: { line: 1, column: 1 } })],
+      null,
+    );
+
+    const translator = new BabelTranslator();
+    assert.throws(() => translator.translate(ir), /'sdlInit' is not supported by the JavaScript backend/);
+  });
+
+  it('translates grouped expressions', () => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    // (a + b) * c and -(a - b)
+    const ir = new Program(
+      [
+        new PrintStatement(
+          new BinaryExpression(
+            new BinaryExpression(new Identifier('a', loc), '+', new Identifier('b', loc), loc),
+            '*',
+            new Identifier('c', loc),
+            loc,
+          ),
+          loc,
+        ),
+        new PrintStatement(
+          new UnaryMinusExpression(
+            new BinaryExpression(new Identifier('a', loc), '-', new Identifier('b', loc), loc),
+            loc,
+          ),
+          loc,
+        ),
+      ],
+      null,
+    );
+
+    const translator = new BabelTranslator();
+    const result = translator.translate(ir);
+
+    assert.strictEqual(result.code.trim(), 'console.log((a + b) * c);\nconsole.log(-(a - b));');
+  });
+
+  it('translates if statement with elseif and else', () => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const print = (value) => new PrintStatement(new NumericLiteral(value, loc), loc);
+    const ir = new Program(
+      [
+        new IfStatement(new Identifier('a', loc), [print(1)], loc, [
+          new IfStatement(new Identifier('b', loc), [print(2)], loc, [print(3)]),
+        ]),
+      ],
+      null,
+    );
+
+    const translator = new BabelTranslator();
+    const result = translator.translate(ir);
+
+    const expected = `if (a) {
+  console.log(1);
+} else if (b) {
+  console.log(2);
+} else {
+  console.log(3);
+}`;
+    assert.strictEqual(result.code.trim(), expected);
+  });
+
+  it('translates break and continue', () => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const ir = new Program(
+      [
+        new WhileStatement(
+          new Identifier('x', loc),
+          [new IfStatement(new Identifier('y', loc), [new BreakStatement(loc)], loc), new ContinueStatement(loc)],
+          loc,
+        ),
+      ],
+      null,
+    );
+
+    const translator = new BabelTranslator();
+    const result = translator.translate(ir);
+
+    const expected = `while (x) {
+  if (y) {
+    break;
+  }
+  continue;
+}`;
+    assert.strictEqual(result.code.trim(), expected);
+  });
+
+  it('translates for loop', () => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const ir = new Program(
+      [
+        new ForStatement(
+          'i',
+          new NumericLiteral(0, loc),
+          new Identifier('n', loc),
+          new NumericLiteral(2, loc),
+          [new PrintStatement(new Identifier('i', loc), loc)],
+          loc,
+        ),
+        new ForStatement(
+          'j',
+          new Identifier('n', loc),
+          new NumericLiteral(0, loc),
+          new Identifier('s', loc),
+          [new ContinueStatement(loc)],
+          loc,
+        ),
+      ],
+      null,
+    );
+
+    const translator = new BabelTranslator();
+    const result = translator.translate(ir);
+
+    const expected = `for (let i = 0, i$end = n; i <= i$end; i += 2) {
+  console.log(i);
+}
+for (let j = n, j$step = s; j$step >= 0 ? j <= 0 : j >= 0; j += j$step) {
+  continue;
+}`;
+    assert.strictEqual(result.code.trim(), expected);
+  });
+
+  it('translates call expressions', () => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const ir = new Program(
+      [
+        new PrintStatement(
+          new BinaryExpression(
+            new CallExpression('add', [new Identifier('x', loc), new CallExpression('one', [], loc)], loc),
+            '+',
+            new NumericLiteral(1, loc),
+            loc,
+          ),
+          loc,
+        ),
+      ],
+      null,
+    );
+
+    const translator = new BabelTranslator();
+    const result = translator.translate(ir);
+
+    assert.strictEqual(result.code.trim(), 'console.log(add(x, one()) + 1);');
+  });
+
+  it('translates return with an expression and bare return', () => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const ir = new Program(
+      [
+        new FunctionDeclaration(
+          'f',
+          ['n'],
+          [
+            new IfStatement(
+              new BinaryExpression(new Identifier('n', loc), '<', new NumericLiteral(0, loc), loc),
+              [new ReturnStatement(null, loc)],
+              loc,
+            ),
+            new ReturnStatement(
+              new BinaryExpression(new Identifier('n', loc), '*', new NumericLiteral(2, loc), loc),
+              loc,
+            ),
+          ],
+          loc,
+        ),
+      ],
+      null,
+    );
+
+    const translator = new BabelTranslator();
+    const result = translator.translate(ir);
+
+    const expected = `function f(n) {
+  if (n < 0) {
+    return;
+  }
+  return n * 2;
+}`;
+    assert.strictEqual(result.code.trim(), expected);
+  });
+
+  it('translates booleans', () => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const ir = new Program(
+      [
+        new VariableDeclaration('done', new BooleanLiteral(false, loc), loc),
+        new PrintStatement(new BoolExpression(new Identifier('n', loc), loc), loc),
+      ],
+      null,
+    );
+
+    const translator = new BabelTranslator();
+    const result = translator.translate(ir);
+
+    assert.strictEqual(result.code.trim(), 'let done = false;\nconsole.log(Boolean(n));');
+  });
+
+  it('translates logical operators', () => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const ir = new Program(
+      [
+        new PrintStatement(
+          new LogicalExpression(
+            new NotExpression(new Identifier('a', loc), loc),
+            'and',
+            new LogicalExpression(new Identifier('b', loc), 'or', new Identifier('c', loc), loc),
+            loc,
+          ),
+          loc,
+        ),
+      ],
+      null,
+    );
+
+    const translator = new BabelTranslator();
+    const result = translator.translate(ir);
+
+    assert.strictEqual(result.code.trim(), 'console.log(!a && (b || c));');
+  });
+
+  it('translates bitwise operators', () => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const ir = new Program(
+      [
+        new PrintStatement(
+          new BinaryExpression(
+            new BinaryExpression(new Identifier('r', loc), '<<', new NumericLiteral(16, loc), loc),
+            '|',
+            new BinaryExpression(
+              new BitwiseNotExpression(new Identifier('g', loc), loc),
+              '&',
+              new BinaryExpression(new Identifier('b', loc), '>>', new NumericLiteral(8, loc), loc),
+              loc,
+            ),
+            loc,
+          ),
+          loc,
+        ),
+      ],
+      null,
+    );
+
+    const translator = new BabelTranslator();
+    const result = translator.translate(ir);
+
+    assert.strictEqual(result.code.trim(), 'console.log(r << 16 | ~g & b >> 8);');
+  });
+
+  it('translates compound assignment', () => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const ir = new Program(
+      [
+        new AssignmentExpression('total', new Identifier('x', loc), loc, loc, '+'),
+        new AssignmentExpression('i', new NumericLiteral(1, loc), loc, loc, '-'),
+      ],
+      null,
+    );
+
+    const translator = new BabelTranslator();
+    const result = translator.translate(ir);
+
+    assert.strictEqual(result.code.trim(), 'total += x;\ni -= 1;');
+  });
+
+  it('translates arrays', () => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const ir = new Program(
+      [
+        new ArrayDeclaration('pal', [new NumericLiteral(4, loc)], loc, loc, [
+          new NumericLiteral(0, loc),
+          new NumericLiteral(60, loc),
+        ]),
+        new ArrayDeclaration('buf', [new Identifier('n', loc)], loc, loc),
+        new ArrayAssignment('buf', [new NumericLiteral(0, loc)], new NumericLiteral(1, loc), loc, loc),
+        new ArrayAssignment('buf', [new Identifier('i', loc)], new NumericLiteral(2, loc), loc, loc, '*'),
+        new PrintStatement(new ArrayAccess('pal', [new Identifier('i', loc)], loc), loc),
+      ],
+      null,
+    );
+
+    const translator = new BabelTranslator();
+    const result = translator.translate(ir);
+
+    assert.strictEqual(
+      result.code.trim(),
+      'let pal = Object.assign(new Int32Array(4), [0, 60]);\nlet buf = new Int32Array(n);\nbuf[0] = 1;\nbuf[i] *= 2;\nconsole.log(pal[i]);',
+    );
+  });
+
+  it('translates byte arrays to Uint8Array', () => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const ir = new Program(
+      [new ArrayDeclaration('fb', [new NumericLiteral(64000, loc)], loc, loc, null, 'byte')],
+      null,
+    );
+
+    const translator = new BabelTranslator();
+    const result = translator.translate(ir);
+
+    assert.strictEqual(result.code.trim(), 'let fb = new Uint8Array(64000);');
+  });
+
+  it('translates multi-dimensional arrays to nested arrays', () => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const ir = new Program(
+      [
+        new ArrayDeclaration('grid', [new Identifier('h', loc), new NumericLiteral(4, loc)], loc, loc, null, 'byte'),
+        new ArrayAssignment(
+          'grid',
+          [new Identifier('y', loc), new Identifier('x', loc)],
+          new NumericLiteral(1, loc),
+          loc,
+          loc,
+        ),
+        new PrintStatement(new ArrayAccess('grid', [new NumericLiteral(1, loc), new NumericLiteral(2, loc)], loc), loc),
+      ],
+      null,
+    );
+
+    const translator = new BabelTranslator();
+    const result = translator.translate(ir);
+
+    assert.strictEqual(
+      result.code.trim(),
+      'let grid = Array.from({\n  length: h\n}, () => new Uint8Array(4));\ngrid[y][x] = 1;\nconsole.log(grid[1][2]);',
+    );
+  });
+
+  it('evaluates computed sizes of multi-dimensional arrays once', () => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const ir = new Program(
+      [new ArrayDeclaration('grid', [new NumericLiteral(2, loc), new CallExpression('width', [], loc, loc)], loc, loc)],
+      null,
+    );
+
+    const translator = new BabelTranslator();
+    const result = translator.translate(ir);
+
+    assert.strictEqual(
+      result.code.trim(),
+      'let grid = (size1 => Array.from({\n  length: 2\n}, () => new Int32Array(size1)))(width());',
+    );
+  });
+
+  it('checks array indices in checked builds', () => {
+    const loc = { start: { line: 3, column: 5 }, end: { line: 3, column: 5 } };
+    const ir = new Program(
+      [
+        new ArrayAssignment(
+          'grid',
+          [new Identifier('y', loc), new Identifier('x', loc)],
+          new NumericLiteral(1, loc),
+          loc,
+          loc,
+        ),
+      ],
+      null,
+    );
+
+    const translator = new BabelTranslator({ checked: true });
+    const result = translator.translate(ir);
+
+    assert.match(result.code, /^function __checkIndex\(index, size, name, line, column\) {/);
+    assert.match(
+      result.code,
+      /grid\[__checkIndex\(y, grid\.length, "grid", 3, 5\)\]\[__checkIndex\(x, grid\[0\]\.length, "grid", 3, 5\)\] = 1;/,
+    );
+  });
+
+  it('leaves array indices unchecked by default', () => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const ir = new Program([new PrintStatement(new ArrayAccess('arr', [new Identifier('i', loc)], loc), loc)], null);
+
+    const translator = new BabelTranslator();
+    const result = translator.translate(ir);
+
+    assert.strictEqual(result.code.trim(), 'console.log(arr[i]);');
+  });
 });
@@ -0,0 +1,487 @@
+/* Complect - Compiler for the Complect programming language
+ *
+ * Copyright © 2024 Jarrod Connolly
+ * MIT License
+ */
+
+import {
+  CosExpression,
+  RndExpression,
+  SDLClearStatement,
+  SDLCreateRendererStatement,
+  SDLDelayStatement,
+  SDLDrawLineStatement,
+  SDLGetPixelStatement,
+  SDLHandleEventsStatement,
+  SDLInitStatement,
+  SDLPresentStatement,
+  SDLPutPixelStatement,
+  SDLSetColorStatement,
+  SDLWindowStatement,
+  SinExpression,
+} from '../ast/ir-nodes.js';
+
+// Registry of the builtin statements and expressions. Each entry describes:
+//   name     - keyword used in source
+//   args     - arguments in source order; kind is 'int' (any expression), 'string' (string literal)
+//              or 'variable' (name of an int variable that receives a value)
+//   result   - 'void' for statements, otherwise the kind of value the expression produces
+//   docs     - one-line description shown by editor tooling
+//   node     - IR node class produced by the parser
+//   create   - optional factory (args, loc, argLocs) when the node constructor needs more than args and loc
+//   runtime  - external functions the LLVM backend declares for this builtin
+//   library  - optional system library defining those functions, linked into executables that use the builtin
+//   lower    - per-backend code generation; lower.llvm(translator, node, llvm) and lower.babel(translator, node, t).
+//              A backend without a lowering reports the builtin as unsupported.
+//
+// The backend libraries are passed in by the translators so that the tokenizer, parser and
+// language server can load this registry without pulling in llvm-bindings or Babel.
+
+// Load the global renderer pointer
+function loadRenderer(translator) {
+  return translator.builder.CreateLoad(translator.builder.getInt8PtrTy(), translator.renderer);
+}
+
+// Set the renderer draw colour from int expressions, truncating each channel to a byte
+function setDrawColor(translator, node) {
+  const { builder } = translator;
+  const r = builder.CreateTrunc(translator.translateExpression(node.r), builder.getInt8Ty());
+  const g = builder.CreateTrunc(translator.translateExpression(node.g), builder.getInt8Ty());
+  const b = builder.CreateTrunc(translator.translateExpression(node.b), builder.getInt8Ty());
+  builder.CreateCall(translator.module.getFunction('SDL_SetRenderDrawColor'), [
+    loadRenderer(translator),
+    r,
+    g,
+    b,
+    builder.getInt8(255),
+  ]);
+}
+
+// sin/cos take degrees and an integer scale: trunc(fn(angle * pi / 180) * scale)
+function lowerTrigLLVM(fn) {
+  return (translator, node, llvm) => {
+    const { builder } = translator;
+    const arg = translator.translateExpression(node.argument);
+    const scale = translator.translateExpression(node.scale);
+    const argDouble = builder.CreateSIToFP(arg, builder.getDoubleTy());
+    const piOver180 = llvm.ConstantFP.get(builder.getDoubleTy(), Math.PI / 180.0);
+    const radians = builder.CreateFMul(argDouble, piOver180);
+    const resultDouble = builder.CreateCall(translator.module.getFunction(fn), [radians]);
+    const scaleDouble = builder.CreateSIToFP(scale, builder.getDoubleTy());
+    const scaled = builder.CreateFMul(resultDouble, scaleDouble);
+    return builder.CreateFPToSI(scaled, builder.getInt32Ty());
+  };
+}
+
+function lowerTrigBabel(fn) {
+  return (translator, node, t) => {
+    const math = (name) => t.memberExpression(t.identifier('Math'), t.identifier(name));
+    const radians = t.binaryExpression(
+      '*',
+      translator.translateExpression(node.argument),
+      t.binaryExpression('/', math('PI'), t.numericLiteral(180)),
+    );
+    const scaled = t.binaryExpression(
+      '*',
+      t.callExpression(math(fn), [radians]),
+      translator.translateExpression(node.scale),
+    );
+    return t.callExpression(math('trunc'), [scaled]);
+  };
+}
+
+export const builtins = [
+  {
+    name: 'sdlInit',
+    args: [],
+    result: 'void',
+    docs: 'Initialize the SDL graphics system',
+    node: SDLInitStatement,
+    library: 'SDL2',
+    runtime: [
+      { name: 'SDL_Init', returns: 'i32', params: ['i32'] },
+      { name: 'SDL_Quit', returns: 'void', params: [] },
+    ],
+    lower: {
+      llvm(translator) {
+        // SDL_INIT_VIDEO
+        translator.builder.CreateCall(translator.module.getFunction('SDL_Init'), [translator.builder.getInt32(32)]);
+      },
+    },
+  },
+  {
+    name: 'sdlWindow',
+    args: [
+      { name: 'width', kind: 'int' },
+      { name: 'height', kind: 'int' },
+      { name: 'title', kind: 'string' },
+    ],
+    result: 'void',
+    docs: 'Create an SDL window with the given dimensions and title',
+    node: SDLWindowStatement,
+    library: 'SDL2',
+    runtime: [{ name: 'SDL_CreateWindow', returns: 'i8*', params: ['i8*', 'i32', 'i32', 'i32', 'i32', 'i32'] }],
+    lower: {
+      llvm(translator, node) {
+        const { builder } = translator;
+        const title = translator.getStringConstant(node.title);
+        const width = translator.translateExpression(node.width);
+        const height = translator.translateExpression(node.height);
+        // SDL_WINDOWPOS_UNDEFINED is -1 for x and y
+        const window = builder.CreateCall(translator.module.getFunction('SDL_CreateWindow'), [
+          title,
+          builder.getInt32(-1),
+          builder.getInt32(-1),
+          width,
+          height,
+          builder.getInt32(0),
+        ]);
+        builder.CreateStore(window, translator.window);
+      },
+    },
+  },
+  {
+    name: 'sdlDelay',
+    args: [{ name: 'milliseconds', kind: 'int' }],
+    result: 'void',
+    docs: 'Pause execution for the given number of milliseconds',
+    node: SDLDelayStatement,
+    library: 'SDL2',
+    runtime: [{ name: 'SDL_Delay', returns: 'void', params: ['i32'] }],
+    lower: {
+      llvm(translator, node) {
+        const delay = translator.translateExpression(node.delay);
+        translator.builder.CreateCall(translator.module.getFunction('SDL_Delay'), [delay]);
+      },
+    },
+  },
+  {
+    name: 'sdlEvents',
+    args: [],
+    result: 'void',
+    docs: 'Handle pending SDL events and exit when the window is closed',
+    node: SDLHandleEventsStatement,
+    library: 'SDL2',
+    runtime: [
+      { name: 'SDL_PollEvent', returns: 'i32', params: ['SDL_Event*'] },
+      { name: 'exit', returns: 'void', params: ['i32'] },
+    ],
+    lower: {
+      llvm(translator, _node, llvm) {
+        const { builder } = translator;
+        // Poll for events and check for quit
+        const eventPtr = translator.entryAlloca(translator.eventType, 'event');
+        const pollResult = builder.CreateCall(translator.module.getFunction('SDL_PollEvent'), [eventPtr]);
+        // If pollResult != 0, check event.type == SDL_QUIT (256)
+        const pollNonZero = builder.CreateICmpNE(pollResult, builder.getInt32(0));
+        const thenBB = llvm.BasicBlock.Create(translator.context, 'poll_true', translator.function);
+        const elseBB = llvm.BasicBlock.Create(translator.context, 'poll_false', translator.function);
+        const quitBB = llvm.BasicBlock.Create(translator.context, 'quit', translator.function);
+        builder.CreateCondBr(pollNonZero, thenBB, elseBB);
+
+        builder.SetInsertPoint(thenBB);
+        const typePtr = builder.CreateGEP(
+          translator.eventType,
+          eventPtr,
+          [builder.getInt32(0), builder.getInt32(0)],
+          'typePtr',
+        );
+        const eventType = builder.CreateLoad(builder.getInt32Ty(), typePtr);
+        const isQuit = builder.CreateICmpEQ(eventType, builder.getInt32(256)); // SDL_QUIT
+        builder.CreateCondBr(isQuit, quitBB, elseBB);
+
+        builder.SetInsertPoint(quitBB);
+        builder.CreateCall(translator.module.getFunction('exit'), [builder.getInt32(0)]);
+        builder.CreateUnreachable();
+
+        builder.SetInsertPoint(elseBB);
+      },
+    },
+  },
+  {
+    name: 'sdlRenderer',
+    args: [],
+    result: 'void',
+    docs: 'Create an SDL renderer for the window',
+    node: SDLCreateRendererStatement,
+    library: 'SDL2',
+    runtime: [{ name: 'SDL_CreateRenderer', returns: 'i8*', params: ['i8*', 'i32', 'i32'] }],
+    lower: {
+      llvm(translator) {
+        const { builder } = translator;
+        const renderer = builder.CreateCall(translator.module.getFunction('SDL_CreateRenderer'), [
+          builder.CreateLoad(builder.getInt8PtrTy(), translator.window),
+          builder.getInt32(-1),
+          builder.getInt32(0),
+        ]);
+        builder.CreateStore(renderer, translator.renderer);
+      },
+    },
+  },
+  {
+    name: 'sdlSetColor',
+    args: [
+      { name: 'r', kind: 'int' },
+      { name: 'g', kind: 'int' },
+      { name: 'b', kind: 'int' },
+    ],
+    result: 'void',
+    docs: 'Set the drawing color to RGB values',
+    node: SDLSetColorStatement,
+    library: 'SDL2',
+    runtime: [{ name: 'SDL_SetRenderDrawColor', returns: 'i32', params: ['i8*', 'i8', 'i8', 'i8', 'i8'] }],
+    lower: {
+      llvm: setDrawColor,
+    },
+  },
+  {
+    name: 'sdlPutPixel',
+    args: [
+      { name: 'x', kind: 'int' },
+      { name: 'y', kind: 'int' },
+      { name: 'r', kind: 'int' },
+      { name: 'g', kind: 'int' },
+      { name: 'b', kind: 'int' },
+    ],
+    result: 'void',
+    docs: 'Draw a pixel at (x, y) with an RGB color',
+    node: SDLPutPixelStatement,
+    library: 'SDL2',
+    runtime: [
+      { name: 'SDL_SetRenderDrawColor', returns: 'i32', params: ['i8*', 'i8', 'i8', 'i8', 'i8'] },
+      { name: 'SDL_RenderDrawPoint', returns: 'i32', params: ['i8*', 'i32', 'i32'] },
+    ],
+    lower: {
+      llvm(translator, node) {
+        setDrawColor(translator, node);
+        const x = translator.translateExpression(node.x);
+        const y = translator.translateExpression(node.y);
+        translator.builder.CreateCall(translator.module.getFunction('SDL_RenderDrawPoint'), [
+          loadRenderer(translator),
+          x,
+          y,
+        ]);
+      },
+    },
+  },
+  {
+    name: 'sdlPresent',
+    args: [],
+    result: 'void',
+    docs: 'Present the rendered graphics to the screen',
+    node: SDLPresentStatement,
+    library: 'SDL2',
+    runtime: [{ name: 'SDL_RenderPresent', returns: 'void', params: ['i8*'] }],
+    lower: {
+      llvm(translator) {
+        translator.builder.CreateCall(translator.module.getFunction('SDL_RenderPresent'), [loadRenderer(translator)]);
+      },
+    },
+  },
+  {
+    name: 'sdlClear',
+    args: [],
+    result: 'void',
+    docs: 'Clear the screen with the current drawing color',
+    node: SDLClearStatement,
+    library: 'SDL2',
+    runtime: [{ name: 'SDL_RenderClear', returns: 'i32', params: ['i8*'] }],
+    lower: {
+      llvm(translator) {
+        translator.builder.CreateCall(translator.module.getFunction('SDL_RenderClear'), [loadRenderer(translator)]);
+      },
+    },
+  },
+  {
+    name: 'sdlDrawLine',
+    args: [
+      { name: 'x1', kind: 'int' },
+      { name: 'y1', kind: 'int' },
+      { name: 'x2', kind: 'int' },
+      { name: 'y2', kind: 'int' },
+    ],
+    result: 'void',
+    docs: 'Draw a line from (x1, y1) to (x2, y2)',
+    node: SDLDrawLineStatement,
+    library: 'SDL2',
+    runtime: [{ name: 'SDL_RenderDrawLine', returns: 'i32', params: ['i8*', 'i32', 'i32', 'i32', 'i32'] }],
+    lower: {
+      llvm(translator, node) {
+        const x1 = translator.translateExpression(node.x1);
+        const y1 = translator.translateExpression(node.y1);
+        const x2 = translator.translateExpression(node.x2);
+        const y2 = translator.translateExpression(node.y2);
+        translator.builder.CreateCall(translator.module.getFunction('SDL_RenderDrawLine'), [
+          loadRenderer(translator),
+          x1,
+          y1,
+          x2,
+          y2,
+        ]);
+      },
+    },
+  },
+  {
+    name: 'sdlGetPixel',
+    args: [
+      { name: 'x', kind: 'int' },
+      { name: 'y', kind: 'int' },
+      { name: 'r', kind: 'variable' },
+      { name: 'g', kind: 'variable' },
+      { name: 'b', kind: 'variable' },
+    ],
+    result: 'void',
+    docs: 'Read the RGB color of the pixel at (x, y) into three variables',
+    node: SDLGetPixelStatement,
+    create: ([x, y, r, g, b], loc, argLocs) =>
+      new SDLGetPixelStatement(x, y, r, g, b, loc, { r: argLocs[2], g: argLocs[3], b: argLocs[4] }),
+    library: 'SDL2',
+    runtime: [{ name: 'SDL_RenderReadPixels', returns: 'i32', params: ['i8*', 'SDL_Rect*', 'i32', 'i8*', 'i32'] }],
+    lower: {
+      llvm(translator, node, llvm) {
+        const { builder } = translator;
+        const rVar = translator.variables.get(node.r);
+        const gVar = translator.variables.get(node.g);
+        const bVar = translator.variables.get(node.b);
+        if (!rVar || !gVar || !bVar) {
+          throw new Error(`Undefined variables for SDLGetPixel: ${node.r}, ${node.g}, ${node.b}`);
+        }
+
+        // Fill an SDL_Rect covering the single pixel
+        const rectPtr = translator.entryAlloca(translator.rectType, 'rect');
+        const fields = ['xPtr', 'yPtr', 'wPtr', 'hPtr'].map((name, i) =>
+          builder.CreateGEP(translator.rectType, rectPtr, [builder.getInt32(0), builder.getInt32(i)], name),
+        );
+        builder.CreateStore(translator.translateExpression(node.x), fields[0]);
+        builder.CreateStore(translator.translateExpression(node.y), fields[1]);
+        builder.CreateStore(builder.getInt32(1), fields[2]); // width = 1
+        builder.CreateStore(builder.getInt32(1), fields[3]); // height = 1
+
+        // Allocate 4-byte buffer for RGBA pixel
+        const pixelBuffer = translator.entryAlloca(builder.getInt8Ty(), 'pixelBuffer', builder.getInt64(4));
+        const format = builder.getInt32(0x16462004); // SDL_PIXELFORMAT_RGBA8888
+        const pitch = builder.getInt32(4); // 4 bytes per pixel
+        const result = builder.CreateCall(
+          translator.module.getFunction('SDL_RenderReadPixels'),
+          [loadRenderer(translator), rectPtr, format, pixelBuffer, pitch],
+          'readResult',
+        );
+
+        // SDL_RenderReadPixels returns 0 on success; on failure the components read as 0
+        const successBlock = llvm.BasicBlock.Create(translator.context, 'readSuccess', translator.function);
+        const failBlock = llvm.BasicBlock.Create(translator.context, 'readFail', translator.function);
+        const continueBlock = llvm.BasicBlock.Create(translator.context, 'readContinue', translator.function);
+        builder.CreateCondBr(builder.CreateICmpEQ(result, builder.getInt32(0), 'isSuccess'), successBlock, failBlock);
+
+        builder.SetInsertPoint(successBlock);
+        const components = ['r', 'g', 'b'].map((name, i) => {
+          const ptr = builder.CreateGEP(builder.getInt8Ty(), pixelBuffer, [builder.getInt64(i)], `${name}Ptr`);
+          return builder.CreateZExt(builder.CreateLoad(builder.getInt8Ty(), ptr), builder.getInt32Ty());
+        });
+        builder.CreateBr(continueBlock);
+
+        builder.SetInsertPoint(failBlock);
+        builder.CreateBr(continueBlock);
+
+        builder.SetInsertPoint(continueBlock);
+        // PHI nodes must come first in the block, so create them all before storing
+        const values = ['r', 'g', 'b'].map((name, i) => {
+          const phi = builder.CreatePHI(builder.getInt32Ty(), 2, `${name}Value`);
+          phi.addIncoming(components[i], successBlock);
+          phi.addIncoming(builder.getInt32(0), failBlock);
+          return phi;
+        });
+        builder.CreateStore(values[0], rVar.value);
+        builder.CreateStore(values[1], gVar.value);
+        builder.CreateStore(values[2], bVar.value);
+      },
+    },
+  },
+  {
+    name: 'sin',
+    args: [
+      { name: 'angle', kind: 'int' },
+      { name: 'scale', kind: 'int' },
+    ],
+    result: 'int',
+    docs: 'Sine of an angle in degrees, multiplied by scale and truncated to an integer',
+    node: SinExpression,
+    library: 'm',
+    runtime: [{ name: 'sin', returns: 'double', params: ['double'] }],
+    lower: {
+      llvm: lowerTrigLLVM('sin'),
+      babel: lowerTrigBabel('sin'),
+    },
+  },
+  {
+    name: 'cos',
+    args: [
+      { name: 'angle', kind: 'int' },
+      { name: 'scale', kind: 'int' },
+    ],
+    result: 'int',
+    docs: 'Cosine of an angle in degrees, multiplied by scale and truncated to an integer',
+    node: CosExpression,
+    library: 'm',
+    runtime: [{ name: 'cos', returns: 'double', params: ['double'] }],
+    lower: {
+      llvm: lowerTrigLLVM('cos'),
+      babel: lowerTrigBabel('cos'),
+    },
+  },
+  {
+    name: 'rnd',
+    args: [
+      { name: 'seed', kind: 'int' },
+      { name: 'scale', kind: 'int' },
+    ],
+    result: 'int',
+    docs: 'Pseudo-random number from seed, in the range (-scale, scale)',
+    node: RndExpression,
+    runtime: [],
+    lower: {
+      llvm(translator, node) {
+        const { builder } = translator;
+        const seed = translator.translateExpression(node.seed);
+        const scale = translator.translateExpression(node.scale);
+        // Simple LCG: (seed * 1103515245 + 12345) % scale with 32-bit wraparound
+        const multiplied = builder.CreateMul(seed, builder.getInt32(1103515245));
+        const added = builder.CreateAdd(multiplied, builder.getInt32(12345));
+        return builder.CreateSRem(added, scale);
+      },
+      babel(translator, node, t) {
+        const multiplied = t.callExpression(t.memberExpression(t.identifier('Math'), t.identifier('imul')), [
+          translator.translateExpression(node.seed),
+          t.numericLiteral(1103515245),
+        ]);
+        const added = t.binaryExpression(
+          '|',
+          t.binaryExpression('+', multiplied, t.numericLiteral(12345)),
+          t.numericLiteral(0),
+        );
+        return t.binaryExpression('%', added, translator.translateExpression(node.scale));
+      },
+    },
+  },
+];
+
+// Builtins by source keyword
+export const builtinsByName = new Map(builtins.map((builtin) => [builtin.name, builtin]));
+
+// Builtins by the IR node class they produce, for the backends
+export const builtinsByNode = new Map(builtins.map((builtin) => [builtin.node, builtin]));
+
+// Whether a builtin produces a value and can be used inside expressions
+export function isExpressionBuiltin(builtin) {
+  return builtin.result !== 'void';
+}
+
+// Usage line for editor tooling, e.g. 'sdlWindow width height title'
+export function builtinSignature(builtin) {
+  return [builtin.name, ...builtin.args.map((arg) => arg.name)].join(' ');
+}
+
+// Build the IR node for a parsed builtin
+export function createBuiltinNode(builtin, args, loc, argLocs) {
+  return builtin.create ? builtin.create(args, loc, argLocs) : new builtin.node(...args, loc);
+}
@@ -0,0 +1,37 @@
+/* Complect - Compiler for the Complect programming language
+ *
+ * Copyright © 2024 Jarrod Connolly
+ * MIT License
+ */
+
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import { keywords } from '../tokenizer/keywords.js';
+import { builtinSignature, builtins, builtinsByName, isExpressionBuiltin } from './builtins.js';
+
+describe('builtins', () => {
+  it('every builtin is a keyword and has an LLVM lowering', () => {
+    for (const builtin of builtins) {
+      assert(keywords.includes(builtin.name), `${builtin.name} is not a keyword`);
+      assert.strictEqual(typeof builtin.lower.llvm, 'function', `${builtin.name} has no LLVM lowering`);
+      assert(builtin.docs.length > 0, `${builtin.name} has no docs`);
+      for (const arg of builtin.args) {
+        assert(['int', 'string', 'variable'].includes(arg.kind), `${builtin.name} ${arg.name} has unknown kind`);
+      }
+    }
+  });
+
+  it('keywords are unique', () => {
+    assert.strictEqual(new Set(keywords).size, keywords.length);
+  });
+
+  it('signature lists argument names', () => {
+    assert.strictEqual(builtinSignature(builtinsByName.get('sdlWindow')), 'sdlWindow width height title');
+    assert.strictEqual(builtinSignature(builtinsByName.get('sdlInit')), 'sdlInit');
+  });
+
+  it('only value-producing builtins are expressions', () => {
+    const expressions = builtins.filter(isExpressionBuiltin).map((builtin) => builtin.name);
+    assert.deepStrictEqual(expressions, ['sin', 'cos', 'rnd']);
+  });
+});
@@ -7,10 +7,15 @@
 import { ASTBuilder } from './ast/ast-builder.js';
 import { BabelTranslator } from './babel-ast/babel-translator.js';
 import { LLVMTranslator } from './llvm/llvm-translator.js';
+import { optimize } from './llvm/optimizer.js';
 import { Preprocessor } from './preprocessing/preprocessor.js';
 import { Tokenizer } from './tokenizer/tokenizer.js';
 
-export async function compile(inputStream, backend = 'babel') {
+// options.checked adds runtime array bounds checks to the generated code; options.cleanup frees local arrays
+// and strings on function return in the LLVM backend, options.optLevel (0 to 3) optimizes its output,
+// options.target is the target triple it generates code for and options.debug adds debug info naming
+// options.sourceFile
+export async function compile(inputStream, backend = 'babel', options = {}) {
   const preprocessor = new Preprocessor();
   const tokenizer = new Tokenizer();
   const astBuilder = new ASTBuilder();
@@ -21,10 +26,11 @@ export async function compile(inputStream, backend = 'babel') {
 
   let result;
   if (backend === 'llvm') {
-    const llvmTranslator = new LLVMTranslator();
-    result = { code: llvmTranslator.translate(ir), astNodeCount: 0 }; // TODO: count LLVM nodes
+    const llvmTranslator = new LLVMTranslator(options);
+    const code = await optimize(llvmTranslator.translate(ir), options.optLevel ?? 0);
+    result = { code, astNodeCount: 0, libraries: [...llvmTranslator.libraries] }; // TODO: count LLVM nodes
   } else {
-    const babelTranslator = new BabelTranslator();
+    const babelTranslator = new BabelTranslator(options);
     result = babelTranslator.translate(ir);
   }
 
@@ -34,5 +40,6 @@ export async function compile(inputStream, backend = 'babel') {
     preprocessorTokenCount: preprocessor.tokenCount,
     tokenCount: tokenizer.tokenCount,
     astNodeCount: result.astNodeCount,
+    libraries: result.libraries ?? [], // system libraries an LLVM executable links against
   };
 }
@@ -0,0 +1,46 @@
+/* Complect - Compiler for the Complect programming language
+ *
+ * Copyright © 2024 Jarrod Connolly
+ * MIT License
+ */
+
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import llvm from 'llvm-bindings';
+import { runTool } from '../util/run-tool.js';
+
+export const emitKinds = ['obj', 'asm', 'bc', 'exe'];
+
+// Write LLVM IR to file as an object file, assembly, bitcode or a linked executable.
+// Bitcode is written by llvm-bindings. Its TargetMachine cannot generate code, so object files and assembly
+// come from LLVM's llc, and executables are linked by the system C compiler (cc, or $CC) against libm and the
+// libraries of the builtins the program uses.
+export async function emit(ir, kind, file, libraries = []) {
+  if (!emitKinds.includes(kind)) {
+    throw new Error(`Unknown output kind: ${kind} (use ${emitKinds.join(', ')})`);
+  }
+
+  const workDir = await mkdtemp(join(tmpdir(), 'complect-'));
+  try {
+    const irFile = join(workDir, 'module.ll');
+    await writeFile(irFile, ir);
+
+    if (kind === 'bc') {
+      const module = llvm.parseIRFile(irFile, new llvm.SMDiagnostic(), new llvm.LLVMContext());
+      if (!module) {
+        throw new Error('Could not read the generated LLVM IR');
+      }
+      llvm.WriteBitcodeToFile(module, file);
+    } else if (kind === 'obj' || kind === 'asm') {
+      await runTool('llc', [`-filetype=${kind}`, '-relocation-model=pic', irFile, '-o', file]);
+    } else {
+      const objectFile = join(workDir, 'module.o');
+      await runTool('llc', ['-filetype=obj', '-relocation-model=pic', irFile, '-o', objectFile]);
+      const linked = new Set(['m', ...libraries]);
+      await runTool(process.env.CC || 'cc', [objectFile, '-o', file, ...[...linked].map((library) => `-l${library}`)]);
+    }
+  } finally {
+    await rm(workDir, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,90 @@
+/* Complect - Compiler for the Complect programming language
+ *
+ * Copyright © 2024 Jarrod Connolly
+ * MIT License
+ */
+
+import assert from 'node:assert';
+import { execFileSync, spawnSync } from 'node:child_process';
+import { createReadStream, mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import llvm from 'llvm-bindings';
+import { compile } from '../compiler.js';
+import { emit } from './emitter.js';
+
+const hasTools = ['llc', 'lli', 'cc'].every((tool) => !spawnSync(tool, ['--version']).error);
+const hasDwarfdump = ['llc', 'cc', 'llvm-dwarfdump'].every((tool) => !spawnSync(tool, ['--version']).error);
+const workDir = mkdtempSync(join(tmpdir(), 'complect-emit-'));
+
+function compileFixture(name, options = {}) {
+  const url = new URL(`../../fixtures/${name}.cplct`, import.meta.url);
+  return compile(createReadStream(url), 'llvm', { ...options, sourceFile: fileURLToPath(url) });
+}
+
+describe('emit', () => {
+  after(() => rmSync(workDir, { recursive: true, force: true }));
+
+  it('rejects unknown output kinds', async () => {
+    await assert.rejects(emit('', 'wasm', join(workDir, 'out')), /Unknown output kind: wasm \(use obj, asm, bc, exe\)/);
+  });
+
+  it('writes bitcode that reads back as the same module', async () => {
+    const { code } = await compileFixture('fib');
+    const file = join(workDir, 'fib.bc');
+    await emit(code, 'bc', file);
+
+    assert.strictEqual(readFileSync(file).subarray(0, 4).toString('latin1'), 'BC\xc0\xde');
+    const module = llvm.parseIRFile(file, new llvm.SMDiagnostic(), new llvm.LLVMContext());
+    assert.ok(!llvm.verifyModule(module));
+    assert.ok(module.getFunction('main'));
+  });
+
+  it('writes object files and assembly', { skip: !hasTools && 'LLVM tools or cc not installed' }, async () => {
+    const { code } = await compileFixture('fib');
+    await emit(code, 'obj', join(workDir, 'fib.o'));
+    await emit(code, 'asm', join(workDir, 'fib.s'));
+
+    assert.strictEqual(readFileSync(join(workDir, 'fib.o')).subarray(0, 4).toString('latin1'), '\x7fELF');
+    assert.match(readFileSync(join(workDir, 'fib.s'), 'utf8'), /^main:/m);
+  });
+
+  it('links an executable that runs the program', { skip: !hasTools && 'LLVM tools or cc not installed' }, async () => {
+    const { code, libraries } = await compileFixture('primes');
+    const file = join(workDir, 'primes');
+    await emit(code, 'exe', file, libraries);
+
+    const expected = execFileSync('lli', [], { input: code, timeout: 20000 }).toString();
+    assert.strictEqual(execFileSync(file, { timeout: 20000 }).toString(), expected);
+  });
+
+  it(
+    'links the debug info of debug builds',
+    { skip: !hasDwarfdump && 'llvm-dwarfdump, llc or cc not installed' },
+    async () => {
+      const { code, libraries } = await compileFixture('fib', { debug: true });
+      const file = join(workDir, 'fib-debug');
+      await emit(code, 'exe', file, libraries);
+
+      const info = execFileSync('llvm-dwarfdump', ['--debug-info', file]).toString();
+      assert.match(info, /DW_AT_name\s+\("fib\.cplct"\)/);
+      assert.match(info, /DW_TAG_subprogram[\s\S]*?DW_AT_name\s+\("main"\)/);
+      assert.match(info, /DW_TAG_variable\s+DW_AT_name\s+\("n"\)\s+DW_AT_type\s+\(0x[0-9a-f]+ "int"\)/);
+      // Rows of the line table, in address order: the loop on line 5 runs lines 6 to 10 and comes back
+      const lines = execFileSync('llvm-dwarfdump', ['--debug-line', file])
+        .toString()
+        .split('\n')
+        .filter((row) => /^0x[0-9a-f]+ +\d+ +\d+ +\d+/.test(row) && !row.includes('end_sequence'))
+        .map((row) => Number(row.split(/ +/)[1]));
+      assert.deepStrictEqual([...new Set(lines)], [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+      assert.strictEqual(lines.at(-1), 5);
+    },
+  );
+
+  it('reports the libraries of the builtins a program uses', async () => {
+    assert.deepStrictEqual((await compileFixture('primes')).libraries, []);
+    assert.deepStrictEqual((await compileFixture('sdl-cube')).libraries, ['SDL2', 'm']);
+  });
+});
@@ -4,6 +4,7 @@
  * MIT License
  */
 
+import { basename, dirname } from 'node:path';
 import llvm from 'llvm-bindings';
 import {
   ArrayAccess,
@@ -11,33 +12,31 @@ import {
   ArrayDeclaration,
   AssignmentExpression,
   BinaryExpression,
+  BitwiseNotExpression,
+  BoolExpression,
+  BooleanLiteral,
+  BreakStatement,
+  CallExpression,
   CallStatement,
-  CosExpression,
+  ContinueStatement,
+  Expression,
+  ForStatement,
   FreeStatement,
   FunctionDeclaration,
   Identifier,
   IfStatement,
+  LogicalExpression,
+  NotExpression,
   NumericLiteral,
   PrintStatement,
   ReturnStatement,
-  RndExpression,
-  SDLClearStatement,
-  SDLCreateRendererStatement,
-  SDLDelayStatement,
-  SDLDrawLineStatement,
-  SDLGetPixelStatement,
-  SDLHandleEventsStatement,
-  SDLInitStatement,
-  SDLPresentStatement,
-  SDLPutPixelStatement,
-  SDLSetColorStatement,
-  SDLWindowStatement,
-  SinExpression,
   StringLiteral,
   UnaryMinusExpression,
   VariableDeclaration,
   WhileStatement,
 } from '../ast/ir-nodes.js';
+import { builtins, builtinsByNode } from '../builtins/builtins.js';
+import { dataLayoutFor, defaultTarget } from './targets.js';
 
 // Custom error class for AST building with location info
 class LLVMTranslatorError extends Error {
@@ -49,24 +48,63 @@ class LLVMTranslatorError extends Error {
 }
 
 export class LLVMTranslator {
-  constructor() {
+  // checked: stop with the source location when an array index is out of bounds
+  // cleanup: free the arrays and strings a function still owns when it returns
+  // target: the target triple to generate code for
+  // debug: describe the program in DWARF debug info, from the source locations of the IR
+  // sourceFile: path of the source file named in the debug info (stdin when null)
+  constructor({ checked = false, cleanup = false, target = defaultTarget, debug = false, sourceFile = null } = {}) {
+    this.checked = checked;
+    this.cleanup = cleanup;
+    this.target = target;
+    this.debug = debug;
+    this.sourceFile = sourceFile;
+    this.dataLayout = new llvm.DataLayout(dataLayoutFor(target));
+    this.sizeType = null; // pointer-sized integer of the target, for malloc and strlen sizes
+    this.ownedSlots = []; // entry-block allocas holding the buffers the current function owns (cleanup builds)
+    this.hoistedAllocas = new Map(); // declaring statement -> its alloca in the entry block of its function, or its global
+    this.dimensionGlobals = new Map(); // program-level ArrayDeclaration -> i32 globals holding its dimensions
     this.context = new llvm.LLVMContext();
     this.module = null;
     this.builder = null;
-    this.variables = new Map(); // name -> { type: 'int'|'string', value: LLVM Value }
+    // name -> { type: 'int'|'string'|'bool'|'array', value: LLVM Value }; arrays also carry elementType and
+    // dimensions (i32 Values, outermost first)
+    this.variables = new Map();
+    // name -> variable info of the last program-level make of that name, marked isGlobal; every function
+    // starts out with these in scope
+    this.globals = new Map();
     this.function = null;
+    this.functionDeclaration = null; // FunctionDeclaration being translated, null in main
     this.stringLiterals = new Map(); // value -> global string constant
     this.functionSignatures = new Map(); // name -> array of types
     this.functionParamTypes = new Map(); // funcName -> [paramTypes] inferred from usage
+    this.functionArrayParams = new Map(); // funcName -> [{ elementType, rank }] of the arrays passed at call sites
+    this.functionDeclarations = new Map(); // funcName -> FunctionDeclaration, for return type inference
+    this.functionReturnTypes = new Map(); // funcName -> 'int'|'string', fixed once the function is translated
+    this.inferringReturnTypes = new Set(); // functions whose return type is being inferred (recursion guard)
     this.eventType = null;
     this.rectType = null;
     this.renderer = null; // Global renderer
+    this.loops = []; // Stack of { continueBB, exitBB } for the enclosing loops
+    this.libraries = new Set(); // system libraries of the builtins the program uses, for linking
+    // Debug builds only
+    this.diBuilder = null;
+    this.diFile = null;
+    this.diCompileUnit = null;
+    this.debugScope = null; // DISubprogram of the function being translated, or DILexicalBlock of a for loop in it
+    this.debugScopes = new Map(); // ForStatement -> DILexicalBlock its loop variable is declared in
+    this.debugTypes = new Map(); // 'int'|'bool'|'string'|'array' -> DIBasicType
   }
 
   translate(ir) {
     this.module = new llvm.Module('complect', this.context);
-    this.module.setTargetTriple('x86_64-pc-linux-gnu');
+    this.module.setTargetTriple(this.target);
+    this.module.setDataLayout(this.dataLayout);
     this.builder = new llvm.IRBuilder(this.context);
+    this.sizeType = this.builder.getIntPtrTy(this.dataLayout);
+    if (this.debug) {
+      this.createDebugInfo();
+    }
 
     // Define SDL_Event struct (simplified, 14 int32 fields for 56 bytes)
     this.eventType = llvm.StructType.create(this.context, 'SDL_Event');
@@ -102,13 +140,22 @@ export class LLVMTranslator {
 
     // Collect function signatures by traversing all statements (infer parameter types from usage)
     this.collectFunctionSignatures(ir.statements);
+    this.variables.clear();
 
     // Create main function
+    this.functionDeclaration = null;
     const mainType = llvm.FunctionType.get(this.builder.getInt32Ty(), [], false);
     this.function = llvm.Function.Create(mainType, llvm.Function.LinkageTypes.ExternalLinkage, 'main', this.module);
+    if (this.debug) {
+      // main starts at the first statement that is not a function declaration
+      const first = ir.statements.find((stmt) => !(stmt instanceof FunctionDeclaration));
+      this.debugFunction(this.function, 'main', first?.loc?.start.line ?? 1, 'int', []);
+    }
 
     const entryBB = llvm.BasicBlock.Create(this.context, 'entry', this.function);
     this.builder.SetInsertPoint(entryBB);
+    this.ownedSlots = [];
+    this.hoistAllocas(ir.statements);
 
     // Translate statements
     for (const stmt of ir.statements) {
@@ -116,7 +163,14 @@ export class LLVMTranslator {
     }
 
     // Return 0
-    this.builder.CreateRet(this.builder.getInt32(0));
+    if (!this.builder.GetInsertBlock().getTerminator()) {
+      this.freeOwned();
+      this.builder.CreateRet(this.builder.getInt32(0));
+    }
+
+    if (this.debug) {
+      this.diBuilder.finalize();
+    }
 
     // Verify
     if (llvm.verifyFunction(this.function)) {
@@ -129,39 +183,184 @@ export class LLVMTranslator {
     return this.module.print();
   }
 
-  collectFunctionSignatures(statements) {
+  // Declarations are replayed into this.variables (types only) so identifiers passed as arguments
+  // contribute their declared type to the callee's signature. Program-level ones are also recorded as
+  // globals, so the functions declared after them see their types.
+  collectFunctionSignatures(statements, programLevel = true) {
     for (const stmt of statements) {
-      if (stmt instanceof CallStatement) {
-        const signature = this.functionSignatures.get(stmt.callee) || [];
-        const argTypes = stmt.arguments.map((arg) => this.getExpressionType(arg));
-
-        // Update signature with inferred types
-        for (let i = 0; i < argTypes.length; i++) {
-          if (i >= signature.length) {
-            signature.push(argTypes[i]);
-          } else if (signature[i] !== argTypes[i]) {
-            // Type conflict - for now, prefer string over int
-            if (signature[i] === 'int' && argTypes[i] === 'string') {
-              signature[i] = 'string';
-            }
-          }
-        }
+      for (const call of this.callsIn(stmt)) {
+        this.recordCallSignature(call);
+      }
 
-        this.functionSignatures.set(stmt.callee, signature);
+      if (stmt instanceof VariableDeclaration) {
+        this.variables.set(stmt.identifier, { type: this.getExpressionType(stmt.value), value: null });
+      } else if (stmt instanceof ArrayDeclaration) {
+        this.variables.set(stmt.identifier, {
+          type: 'array',
+          value: null,
+          elementType: stmt.elementType,
+          rank: stmt.dimensions.length,
+        });
       } else if (stmt instanceof FunctionDeclaration) {
-        // Collect function call signatures from nested function and control-flow bodies
-        this.collectFunctionSignatures(stmt.body);
+        // Collect function call signatures from nested function bodies, in the function's own scope.
+        // Array parameters only know their element type and rank once a call site passing them has been seen.
+        const savedVariables = this.variables;
+        this.variables = new Map([
+          ...this.globals,
+          ...stmt.params.map((param, i) => [
+            param,
+            {
+              type: this.functionParamTypes.get(stmt.name)?.[i] ?? 'int',
+              elementType: this.functionArrayParams.get(stmt.name)?.[i]?.elementType ?? null,
+              rank: this.functionArrayParams.get(stmt.name)?.[i]?.rank ?? null,
+            },
+          ]),
+        ]);
+        this.collectFunctionSignatures(stmt.body, false);
+        this.variables = savedVariables;
       } else if (stmt instanceof IfStatement) {
-        this.collectFunctionSignatures(stmt.consequent);
+        this.collectFunctionSignatures(stmt.consequent, programLevel);
+        this.collectFunctionSignatures(stmt.alternate ?? [], programLevel);
       } else if (stmt instanceof WhileStatement) {
-        this.collectFunctionSignatures(stmt.body);
+        this.collectFunctionSignatures(stmt.body, programLevel);
+      } else if (stmt instanceof ForStatement) {
+        const outer = this.variables.get(stmt.variable);
+        this.variables.set(stmt.variable, { type: 'int', value: null });
+        this.collectFunctionSignatures(stmt.body, programLevel);
+        this.restoreVariable(stmt.variable, outer);
+      }
+
+      if (programLevel && (stmt instanceof VariableDeclaration || stmt instanceof ArrayDeclaration)) {
+        this.globals.set(stmt.identifier, { ...this.variables.get(stmt.identifier), isGlobal: true });
       }
     }
   }
 
+  // Calls made by a node: the node itself for calls, plus call expressions among its expressions.
+  // Statement bodies are not entered; callers walk those in order.
+  *callsIn(node) {
+    if (node instanceof CallStatement || node instanceof CallExpression) {
+      yield node;
+    }
+    for (const value of Object.values(node)) {
+      for (const child of Array.isArray(value) ? value : [value]) {
+        if (child instanceof Expression) yield* this.callsIn(child);
+      }
+    }
+  }
+
+  recordCallSignature(call) {
+    const signature = this.functionSignatures.get(call.callee) || [];
+    const argTypes = call.arguments.map((arg) => this.getExpressionType(arg));
+
+    // Update signature with inferred types
+    for (let i = 0; i < argTypes.length; i++) {
+      if (i >= signature.length) {
+        signature.push(argTypes[i]);
+      } else if (signature[i] !== argTypes[i]) {
+        // Type conflict - for now, prefer string over int
+        if (signature[i] === 'int' && argTypes[i] === 'string') {
+          signature[i] = 'string';
+        }
+      }
+    }
+
+    this.functionSignatures.set(call.callee, signature);
+
+    // Array arguments fix the element type and rank of the parameter they are passed to
+    const arrayParams = this.functionArrayParams.get(call.callee) || [];
+    call.arguments.forEach((arg, i) => {
+      const arrayInfo = arg instanceof Identifier ? this.variables.get(arg.name) : null;
+      if (!arrayInfo?.elementType) return;
+      const { elementType, rank } = arrayInfo;
+      if (arrayParams[i] && arrayParams[i].elementType !== elementType) {
+        throw new LLVMTranslatorError(
+          `'${call.callee}' is passed both ${arrayParams[i].elementType} and ${elementType} arrays as argument ${i + 1}`,
+          arg.loc,
+        );
+      }
+      if (arrayParams[i] && arrayParams[i].rank !== rank) {
+        throw new LLVMTranslatorError(
+          `'${call.callee}' is passed both ${arrayParams[i].rank}- and ${rank}-dimensional arrays as argument ${i + 1}`,
+          arg.loc,
+        );
+      }
+      arrayParams[i] = { elementType, rank };
+    });
+    this.functionArrayParams.set(call.callee, arrayParams);
+  }
+
+  // Parameter type: body analysis takes precedence over call-site, then int
+  paramType(funcName, index) {
+    if (this.functionParamTypes.get(funcName)?.[index] === 'array') {
+      return 'array';
+    }
+    return this.functionSignatures.get(funcName)?.[index] || 'int';
+  }
+
+  // Element type and rank of an array parameter, from the arrays passed to it; a one-dimensional int32 array
+  // when no call passes one
+  arrayParam(funcName, index) {
+    return this.functionArrayParams.get(funcName)?.[index] ?? { elementType: 'int32', rank: 1 };
+  }
+
+  // A function returns a string when any of its return statements returns a string, otherwise the
+  // type of its first value return, and void when no return statement has a value.
+  // Before the function is translated the type is inferred from its declaration on demand.
+  functionReturnType(funcName) {
+    if (this.functionReturnTypes.has(funcName)) {
+      return this.functionReturnTypes.get(funcName);
+    }
+    const decl = this.functionDeclarations.get(funcName);
+    if (!decl || this.inferringReturnTypes.has(funcName)) {
+      return 'int';
+    }
+
+    this.inferringReturnTypes.add(funcName);
+    const savedVariables = this.variables;
+    this.variables = new Map([
+      ...this.globals,
+      ...decl.params.map((param, i) => [param, { type: this.paramType(funcName, i), value: null }]),
+    ]);
+    const type = this.returnTypeOf(decl.body) ?? 'void';
+    this.variables = savedVariables;
+    this.inferringReturnTypes.delete(funcName);
+    return type;
+  }
+
+  // Type returned by the value returns among statements, or null when none returns a value
+  returnTypeOf(statements) {
+    let type = null;
+    for (const stmt of statements) {
+      const found = [];
+      if (stmt instanceof VariableDeclaration) {
+        this.variables.set(stmt.identifier, { type: this.getExpressionType(stmt.value), value: null });
+      } else if (stmt instanceof ReturnStatement && stmt.argument) {
+        found.push(this.getExpressionType(stmt.argument));
+      } else if (stmt instanceof IfStatement) {
+        found.push(this.returnTypeOf(stmt.consequent), this.returnTypeOf(stmt.alternate ?? []));
+      } else if (stmt instanceof WhileStatement) {
+        found.push(this.returnTypeOf(stmt.body));
+      } else if (stmt instanceof ForStatement) {
+        const outer = this.variables.get(stmt.variable);
+        this.variables.set(stmt.variable, { type: 'int', value: null });
+        found.push(this.returnTypeOf(stmt.body));
+        this.restoreVariable(stmt.variable, outer);
+      }
+      if (found.includes('string')) {
+        type = 'string';
+      } else if (type === null) {
+        type = found.find((kind) => kind !== null) ?? null;
+      }
+    }
+    return type;
+  }
+
   analyzeFunctionBodies(statements) {
     for (const stmt of statements) {
       if (stmt instanceof FunctionDeclaration) {
+        this.functionDeclarations.set(stmt.name, stmt);
+
         // Analyze this function's body for parameter usage
         const paramTypes = new Array(stmt.params.length).fill('int'); // Default to int
 
@@ -175,7 +374,8 @@ export class LLVMTranslator {
         this.analyzeFunctionBodies(stmt.body);
       } else if (stmt instanceof IfStatement) {
         this.analyzeFunctionBodies(stmt.consequent);
-      } else if (stmt instanceof WhileStatement) {
+        this.analyzeFunctionBodies(stmt.alternate ?? []);
+      } else if (stmt instanceof WhileStatement || stmt instanceof ForStatement) {
         this.analyzeFunctionBodies(stmt.body);
       }
     }
@@ -190,6 +390,9 @@ export class LLVMTranslator {
         if (paramIndex >= 0) {
           paramTypes[paramIndex] = 'array';
         }
+        for (const index of stmt.indices) {
+          this.analyzeExpressionForArrayUsage(index, paramNames, paramTypes);
+        }
       } else if (stmt instanceof AssignmentExpression) {
         // Check right-hand side for array access
         this.analyzeExpressionForArrayUsage(stmt.right, paramNames, paramTypes);
@@ -204,15 +407,23 @@ export class LLVMTranslator {
           this.analyzeExpressionForArrayUsage(arg, paramNames, paramTypes);
         }
       } else if (stmt instanceof ReturnStatement) {
-        // Return statements don't typically contain array access
+        if (stmt.argument) {
+          this.analyzeExpressionForArrayUsage(stmt.argument, paramNames, paramTypes);
+        }
       } else if (stmt instanceof FreeStatement) {
         // Free statements don't contain array access
       } else if (stmt instanceof IfStatement) {
         this.analyzeExpressionForArrayUsage(stmt.test, paramNames, paramTypes);
         this.analyzeStatementsForArrayUsage(stmt.consequent, paramNames, paramTypes);
+        this.analyzeStatementsForArrayUsage(stmt.alternate ?? [], paramNames, paramTypes);
       } else if (stmt instanceof WhileStatement) {
         this.analyzeExpressionForArrayUsage(stmt.test, paramNames, paramTypes);
         this.analyzeStatementsForArrayUsage(stmt.body, paramNames, paramTypes);
+      } else if (stmt instanceof ForStatement) {
+        this.analyzeExpressionForArrayUsage(stmt.start, paramNames, paramTypes);
+        this.analyzeExpressionForArrayUsage(stmt.end, paramNames, paramTypes);
+        this.analyzeExpressionForArrayUsage(stmt.step, paramNames, paramTypes);
+        this.analyzeStatementsForArrayUsage(stmt.body, paramNames, paramTypes);
       } else if (stmt instanceof FunctionDeclaration) {
         // Nested functions - analyze recursively
         this.analyzeFunctionBodies([stmt]);
@@ -227,16 +438,30 @@ export class LLVMTranslator {
       if (paramIndex >= 0) {
         paramTypes[paramIndex] = 'array';
       }
-      // Also check the index expression
-      this.analyzeExpressionForArrayUsage(expr.index, paramNames, paramTypes);
+      // Also check the index expressions
+      for (const index of expr.indices) {
+        this.analyzeExpressionForArrayUsage(index, paramNames, paramTypes);
+      }
     } else if (expr instanceof BinaryExpression) {
       this.analyzeExpressionForArrayUsage(expr.left, paramNames, paramTypes);
       this.analyzeExpressionForArrayUsage(expr.right, paramNames, paramTypes);
-    } else if (expr instanceof UnaryMinusExpression) {
+    } else if (expr instanceof UnaryMinusExpression || expr instanceof BitwiseNotExpression) {
       this.analyzeExpressionForArrayUsage(expr.expression, paramNames, paramTypes);
-    } else if (expr instanceof SinExpression || expr instanceof CosExpression || expr instanceof RndExpression) {
-      this.analyzeExpressionForArrayUsage(expr.argument, paramNames, paramTypes);
-      this.analyzeExpressionForArrayUsage(expr.scale, paramNames, paramTypes);
+    } else if (expr instanceof CallExpression) {
+      for (const arg of expr.arguments) {
+        this.analyzeExpressionForArrayUsage(arg, paramNames, paramTypes);
+      }
+    } else if (expr instanceof LogicalExpression) {
+      this.analyzeExpressionForArrayUsage(expr.left, paramNames, paramTypes);
+      this.analyzeExpressionForArrayUsage(expr.right, paramNames, paramTypes);
+    } else if (expr instanceof NotExpression || expr instanceof BoolExpression) {
+      this.analyzeExpressionForArrayUsage(expr.expression, paramNames, paramTypes);
+    } else if (builtinsByNode.has(expr.constructor)) {
+      for (const value of Object.values(expr)) {
+        if (value instanceof Expression) {
+          this.analyzeExpressionForArrayUsage(value, paramNames, paramTypes);
+        }
+      }
     }
     // Other expression types (Identifier, NumericLiteral, StringLiteral) don't contain array access
   }
@@ -247,7 +472,7 @@ export class LLVMTranslator {
     this.module.getOrInsertFunction('printf', printfType);
 
     // Declare string functions
-    const mallocType = llvm.FunctionType.get(this.builder.getInt8PtrTy(), [this.builder.getInt64Ty()], false);
+    const mallocType = llvm.FunctionType.get(this.builder.getInt8PtrTy(), [this.sizeType], false);
     this.module.getOrInsertFunction('malloc', mallocType);
 
     const freeType = llvm.FunctionType.get(this.builder.getVoidTy(), [this.builder.getInt8PtrTy()], false);
@@ -281,151 +506,136 @@ export class LLVMTranslator {
     );
     this.module.getOrInsertFunction('sprintf', sprintfType);
 
-    const strlenType = llvm.FunctionType.get(this.builder.getInt64Ty(), [this.builder.getInt8PtrTy()], false);
+    const strlenType = llvm.FunctionType.get(this.sizeType, [this.builder.getInt8PtrTy()], false);
     this.module.getOrInsertFunction('strlen', strlenType);
 
-    // Declare SDL functions
-    const sdlInitType = llvm.FunctionType.get(this.builder.getInt32Ty(), [this.builder.getInt32Ty()], false);
-    this.module.getOrInsertFunction('SDL_Init', sdlInitType);
-
-    const sdlCreateWindowType = llvm.FunctionType.get(
-      this.builder.getInt8PtrTy(),
-      [
-        this.builder.getInt8PtrTy(),
-        this.builder.getInt32Ty(),
-        this.builder.getInt32Ty(),
-        this.builder.getInt32Ty(),
-        this.builder.getInt32Ty(),
-        this.builder.getInt32Ty(),
-      ],
-      false,
-    );
-    this.module.getOrInsertFunction('SDL_CreateWindow', sdlCreateWindowType);
-
-    const sdlQuitType = llvm.FunctionType.get(this.builder.getVoidTy(), [], false);
-    this.module.getOrInsertFunction('SDL_Quit', sdlQuitType);
-
-    // Declare SDL_Delay for keeping window open
-    const sdlDelayType = llvm.FunctionType.get(this.builder.getVoidTy(), [this.builder.getInt32Ty()], false);
-    this.module.getOrInsertFunction('SDL_Delay', sdlDelayType);
-
-    // Declare SDL_PollEvent
-    const sdlPollEventType = llvm.FunctionType.get(this.builder.getInt32Ty(), [this.eventType.getPointerTo()], false);
-    this.module.getOrInsertFunction('SDL_PollEvent', sdlPollEventType);
-
-    // Declare exit
-    const exitType = llvm.FunctionType.get(this.builder.getVoidTy(), [this.builder.getInt32Ty()], false);
-    this.module.getOrInsertFunction('exit', exitType);
-
-    // Declare SDL rendering functions
-    const createRendererType = llvm.FunctionType.get(
-      this.builder.getInt8PtrTy(),
-      [this.builder.getInt8PtrTy(), this.builder.getInt32Ty(), this.builder.getInt32Ty()],
-      false,
-    );
-    this.module.getOrInsertFunction('SDL_CreateRenderer', createRendererType);
-
-    const setDrawColorType = llvm.FunctionType.get(
-      this.builder.getInt32Ty(),
-      [
-        this.builder.getInt8PtrTy(),
-        this.builder.getInt8Ty(),
-        this.builder.getInt8Ty(),
-        this.builder.getInt8Ty(),
-        this.builder.getInt8Ty(),
-      ],
-      false,
-    );
-    this.module.getOrInsertFunction('SDL_SetRenderDrawColor', setDrawColorType);
-
-    const drawPointType = llvm.FunctionType.get(
-      this.builder.getInt32Ty(),
-      [this.builder.getInt8PtrTy(), this.builder.getInt32Ty(), this.builder.getInt32Ty()],
-      false,
-    );
-    this.module.getOrInsertFunction('SDL_RenderDrawPoint', drawPointType);
-
-    const renderPresentType = llvm.FunctionType.get(this.builder.getVoidTy(), [this.builder.getInt8PtrTy()], false);
-    this.module.getOrInsertFunction('SDL_RenderPresent', renderPresentType);
-
-    const renderClearType = llvm.FunctionType.get(this.builder.getInt32Ty(), [this.builder.getInt8PtrTy()], false);
-    this.module.getOrInsertFunction('SDL_RenderClear', renderClearType);
-
-    const renderDrawLineType = llvm.FunctionType.get(
-      this.builder.getInt32Ty(),
-      [
-        this.builder.getInt8PtrTy(),
-        this.builder.getInt32Ty(),
-        this.builder.getInt32Ty(),
-        this.builder.getInt32Ty(),
-        this.builder.getInt32Ty(),
-      ],
-      false,
-    );
-    this.module.getOrInsertFunction('SDL_RenderDrawLine', renderDrawLineType);
+    // Declare the external functions used by builtins
+    for (const builtin of builtins) {
+      for (const { name, returns, params } of builtin.runtime) {
+        const type = llvm.FunctionType.get(
+          this.runtimeType(returns),
+          params.map((param) => this.runtimeType(param)),
+          false,
+        );
+        this.module.getOrInsertFunction(name, type);
+      }
+    }
+  }
 
-    // Declare math functions
-    const sinType = llvm.FunctionType.get(this.builder.getDoubleTy(), [this.builder.getDoubleTy()], false);
-    this.module.getOrInsertFunction('sin', sinType);
+  // Map a type name used in builtin runtime declarations to an LLVM type
+  runtimeType(name) {
+    switch (name) {
+      case 'void':
+        return this.builder.getVoidTy();
+      case 'i8':
+        return this.builder.getInt8Ty();
+      case 'i32':
+        return this.builder.getInt32Ty();
+      case 'double':
+        return this.builder.getDoubleTy();
+      case 'i8*':
+        return this.builder.getInt8PtrTy();
+      case 'SDL_Event*':
+        return this.eventType.getPointerTo();
+      case 'SDL_Rect*':
+        return this.rectType.getPointerTo();
+      default:
+        throw new Error(`Unknown runtime type: ${name}`);
+    }
+  }
 
-    const cosType = llvm.FunctionType.get(this.builder.getDoubleTy(), [this.builder.getDoubleTy()], false);
-    this.module.getOrInsertFunction('cos', cosType);
+  // Generate code for a builtin statement or expression through its registry lowering
+  translateBuiltin(builtin, node) {
+    if (!builtin.lower.llvm) {
+      throw new LLVMTranslatorError(`'${builtin.name}' is not supported by the LLVM backend`, node.loc);
+    }
+    if (builtin.library) {
+      this.libraries.add(builtin.library);
+    }
+    return builtin.lower.llvm(this, node, llvm);
   }
 
   translateStatement(stmt) {
+    // Code after a return, break or continue is unreachable but still needs a block of its own
+    if (this.builder.GetInsertBlock().getTerminator()) {
+      this.builder.SetInsertPoint(llvm.BasicBlock.Create(this.context, 'unreachable', this.function));
+    }
+    this.setDebugLocation(stmt);
+
     if (stmt instanceof VariableDeclaration) {
       const value = this.translateExpression(stmt.value);
       const varInfo = { type: this.getExpressionType(stmt.value), value: null };
 
-      if (varInfo.type === 'int') {
-        // Create alloca for int variable
-        const alloca = this.builder.CreateAlloca(this.builder.getInt32Ty(), null, stmt.identifier);
+      // The alloca was hoisted into the entry block, so the declaration is only a store
+      if (varInfo.type === 'int' || varInfo.type === 'bool') {
+        const alloca = this.hoistedAllocas.get(stmt);
         this.builder.CreateStore(value, alloca);
         varInfo.value = alloca;
       } else if (varInfo.type === 'string') {
-        // Create alloca for string variable (i8**)
-        const alloca = this.builder.CreateAlloca(this.builder.getInt8PtrTy(), null, stmt.identifier);
+        // Cleanup builds free the value of an earlier pass through the declaration
+        const alloca = this.hoistedAllocas.get(stmt);
+        if (this.cleanup) {
+          this.builder.CreateCall(this.module.getFunction('free'), [
+            this.builder.CreateLoad(this.builder.getInt8PtrTy(), alloca),
+          ]);
+        }
 
         // For string variables, allocate a copy of the initial value
-        if (stmt.value instanceof StringLiteral) {
-          const strLen = this.builder.CreateCall(this.module.getFunction('strlen'), [value], 'strlen');
-          const allocSize = this.builder.CreateAdd(strLen, this.builder.getInt64(1), 'allocSize');
-          const buffer = this.builder.CreateCall(this.module.getFunction('malloc'), [allocSize], 'buffer');
-          this.builder.CreateCall(this.module.getFunction('strcpy'), [buffer, value], 'strcpy');
-          this.builder.CreateStore(buffer, alloca);
-        } else {
-          this.builder.CreateStore(value, alloca);
-        }
+        this.builder.CreateStore(this.ownedString(stmt.value, value), alloca);
 
         varInfo.value = alloca;
       }
 
       this.variables.set(stmt.identifier, varInfo);
     } else if (stmt instanceof ArrayDeclaration) {
-      const size = this.translateExpression(stmt.size);
-      // Arrays are pointers to allocated memory - allocate as bytes for flexibility
-      const totalSize = this.builder.CreateZExt(size, this.builder.getInt64Ty());
+      // Multi-dimensional arrays are stored flat in row-major order: grid[h][w] is h * w elements
+      const dimensions = stmt.dimensions.map((dimension) => this.translateExpression(dimension));
+      const size = dimensions.reduce((product, dimension) => this.builder.CreateMul(product, dimension, 'arraySize'));
+      // Arrays are i8* pointers to malloc'd memory, cast to their element type on access
+      const totalSize = this.builder.CreateMul(
+        this.builder.CreateZExt(size, this.sizeType),
+        this.sizeValue(this.elementSize(stmt.elementType)),
+        'arrayBytes',
+      );
+      // Cleanup builds free the buffer of an earlier pass through the declaration
+      const slot = this.hoistedAllocas.get(stmt) ?? null;
+      if (this.cleanup && slot) {
+        this.builder.CreateCall(this.module.getFunction('free'), [
+          this.builder.CreateLoad(this.builder.getInt8PtrTy(), slot),
+        ]);
+      }
       const arrayPtr = this.builder.CreateCall(this.module.getFunction('malloc'), [totalSize], 'arrayPtr');
+      if (slot) {
+        this.builder.CreateStore(arrayPtr, slot);
+      }
+      // Functions read a global array's dimensions from globals of their own
+      for (const [d, global] of (this.dimensionGlobals.get(stmt) ?? []).entries()) {
+        this.builder.CreateStore(dimensions[d], global);
+      }
+      if (stmt.initializer?.length) {
+        this.initializeArray(stmt, arrayPtr, size, totalSize);
+      }
+      // Program-level arrays are described with their globals
+      if (this.functionDeclaration) {
+        this.debugVariable(stmt.identifier, 'array', stmt.loc, arrayPtr);
+      }
 
-      const varInfo = { type: 'array', value: arrayPtr, size: size };
+      const varInfo = { type: 'array', value: arrayPtr, dimensions, elementType: stmt.elementType, slot };
       this.variables.set(stmt.identifier, varInfo);
     } else if (stmt instanceof AssignmentExpression) {
-      const rightExpr = stmt.right;
+      // x += 1 stores x + 1, so strings, booleans and type checks follow the binary expression rules
+      const rightExpr = stmt.operator
+        ? new BinaryExpression(new Identifier(stmt.left, stmt.leftLoc), stmt.operator, stmt.right, stmt.loc)
+        : stmt.right;
       const value = this.translateExpression(rightExpr);
       const varInfo = this.variables.get(stmt.left);
       if (!varInfo) {
         throw new Error(`Undefined variable: ${stmt.left}`);
       }
+      this.checkAssignable(stmt.left, varInfo.type, this.getExpressionType(rightExpr), stmt.loc);
 
       // For string assignments, ensure we store a malloc'd copy
-      let finalValue = value;
-      if (varInfo.type === 'string' && rightExpr instanceof StringLiteral) {
-        const strLen = this.builder.CreateCall(this.module.getFunction('strlen'), [value], 'strlen');
-        const allocSize = this.builder.CreateAdd(strLen, this.builder.getInt64(1), 'allocSize');
-        const buffer = this.builder.CreateCall(this.module.getFunction('malloc'), [allocSize], 'buffer');
-        this.builder.CreateCall(this.module.getFunction('strcpy'), [buffer, value], 'strcpy');
-        finalValue = buffer;
-      }
+      const finalValue = varInfo.type === 'string' ? this.ownedString(rightExpr, value) : value;
 
       // Automatically free old string value before assignment
       if (varInfo.type === 'string') {
@@ -435,57 +645,60 @@ export class LLVMTranslator {
 
       this.builder.CreateStore(finalValue, varInfo.value);
     } else if (stmt instanceof ArrayAssignment) {
-      const arrayInfo = this.variables.get(stmt.array);
+      const arrayInfo = this.lookupVariable(stmt.array);
       if (!arrayInfo || arrayInfo.type !== 'array') {
         throw new LLVMTranslatorError(`Undefined array: ${stmt.array}`, stmt.loc);
       }
 
-      const index = this.translateExpression(stmt.index);
-      const value = this.translateExpression(stmt.value);
+      const index = this.flatIndex(stmt.array, arrayInfo, stmt.indices, stmt.loc);
+      // A compound assignment reads the element before evaluating its value and reuses the index
+      const current = stmt.operator ? this.loadArrayElement(arrayInfo, index) : null;
+      let value = this.toInt(this.translateExpression(stmt.value), this.getExpressionType(stmt.value));
+      if (current) {
+        value = this.translateArithmetic(stmt.operator, current, value);
+      }
 
-      // Calculate address: arrayPtr + index (byte addressing)
-      const elementPtr = this.builder.CreateGEP(this.builder.getInt8Ty(), arrayInfo.value, [index], 'elementPtr');
-      // Truncate value to int8 for storage
-      const byteValue = this.builder.CreateTrunc(value, this.builder.getInt8Ty(), 'byteValue');
-      this.builder.CreateStore(byteValue, elementPtr);
+      const elementPtr = this.arrayElementPtr(arrayInfo, index);
+      if (arrayInfo.elementType === 'byte') {
+        // Truncate value to int8 for storage
+        value = this.builder.CreateTrunc(value, this.builder.getInt8Ty(), 'byteValue');
+      }
+      this.builder.CreateStore(value, elementPtr);
     } else if (stmt instanceof ArrayAccess) {
       // ArrayAccess should be handled in expressions, not statements
       throw new Error('ArrayAccess should not be a statement');
     } else if (stmt instanceof PrintStatement) {
       this.translatePrint(stmt);
     } else if (stmt instanceof FreeStatement) {
-      const varInfo = this.variables.get(stmt.identifier);
+      const varInfo = this.lookupVariable(stmt.identifier);
       if (!varInfo) {
         throw new Error(`Undefined variable: ${stmt.identifier}`);
       }
+      // The string is cleared so a later assignment or cleanup does not free it again
       if (varInfo.type === 'string') {
         const oldValue = this.builder.CreateLoad(this.builder.getInt8PtrTy(), varInfo.value);
         this.builder.CreateCall(this.module.getFunction('free'), [oldValue]);
+        this.builder.CreateStore(llvm.ConstantPointerNull.get(this.builder.getInt8PtrTy()), varInfo.value);
+      } else if (varInfo.type === 'array') {
+        this.builder.CreateCall(this.module.getFunction('free'), [varInfo.value]);
+        if (varInfo.slot) {
+          this.builder.CreateStore(llvm.ConstantPointerNull.get(this.builder.getInt8PtrTy()), varInfo.slot);
+        }
       }
+    } else if (stmt instanceof BreakStatement || stmt instanceof ContinueStatement) {
+      this.translateLoopJump(stmt);
     } else if (stmt instanceof IfStatement) {
       this.translateIf(stmt);
     } else if (stmt instanceof WhileStatement) {
       this.translateWhile(stmt);
+    } else if (stmt instanceof ForStatement) {
+      this.translateFor(stmt);
     } else if (stmt instanceof FunctionDeclaration) {
       this.translateFunctionDeclaration(stmt);
     } else if (stmt instanceof ReturnStatement) {
-      const varInfo = this.variables.get(stmt.argument);
-      if (!varInfo) {
-        throw new Error(`Undefined variable: ${stmt.argument}`);
-      }
-      const value = this.builder.CreateLoad(
-        varInfo.type === 'int' ? this.builder.getInt32Ty() : this.builder.getInt8PtrTy(),
-        varInfo.value,
-      );
-      this.builder.CreateRet(value);
+      this.translateReturn(stmt);
     } else if (stmt instanceof CallStatement) {
-      const callee = this.module.getFunction(stmt.callee);
-      if (!callee) {
-        throw new Error(`Undefined function: ${stmt.callee}`);
-      }
-
-      const args = stmt.arguments.map((arg) => this.translateExpression(arg));
-      const call = this.builder.CreateCall(callee, args, stmt.result ? 'call' : '');
+      const call = this.translateCall(stmt, stmt.result !== null);
 
       if (stmt.result) {
         // Store result in the pre-declared variable
@@ -493,255 +706,17 @@ export class LLVMTranslator {
         if (!resultVar) {
           throw new Error(`Undefined result variable: ${stmt.result}`);
         }
+        this.checkAssignable(stmt.result, resultVar.type, this.functionReturnType(stmt.callee), stmt.loc);
+        // Returned strings are copies in cleanup builds, so the variable takes over the new one
+        if (this.cleanup && resultVar.type === 'string') {
+          this.builder.CreateCall(this.module.getFunction('free'), [
+            this.builder.CreateLoad(this.builder.getInt8PtrTy(), resultVar.value),
+          ]);
+        }
         this.builder.CreateStore(call, resultVar.value);
       }
-    } else if (stmt instanceof SDLInitStatement) {
-      const sdlInitFunc = this.module.getFunction('SDL_Init');
-      this.builder.CreateCall(sdlInitFunc, [this.builder.getInt32(32)]); // SDL_INIT_VIDEO
-    } else if (stmt instanceof SDLWindowStatement) {
-      const sdlCreateWindowFunc = this.module.getFunction('SDL_CreateWindow');
-      const title = this.getStringConstant(stmt.title);
-      const width = this.translateExpression(stmt.width);
-      const height = this.translateExpression(stmt.height);
-      // SDL_WINDOWPOS_UNDEFINED is -1 for x and y
-      const window = this.builder.CreateCall(sdlCreateWindowFunc, [
-        title,
-        this.builder.getInt32(-1),
-        this.builder.getInt32(-1),
-        width,
-        height,
-        this.builder.getInt32(0),
-      ]);
-      if (!this.window) {
-        this.window = new llvm.GlobalVariable(
-          this.module,
-          this.builder.getInt8PtrTy(),
-          false,
-          llvm.GlobalValue.LinkageTypes.CommonLinkage,
-          llvm.ConstantPointerNull.get(this.builder.getInt8PtrTy()),
-          'window',
-        );
-      }
-      this.builder.CreateStore(window, this.window);
-    } else if (stmt instanceof SDLDelayStatement) {
-      const delay = this.translateExpression(stmt.delay);
-      this.builder.CreateCall(this.module.getFunction('SDL_Delay'), [delay]);
-    } else if (stmt instanceof SDLHandleEventsStatement) {
-      // Poll for events and check for quit
-      const eventPtr = this.builder.CreateAlloca(this.eventType, null, 'event');
-      const pollResult = this.builder.CreateCall(this.module.getFunction('SDL_PollEvent'), [eventPtr]);
-      // If pollResult != 0, check event.type == SDL_QUIT (256)
-      const pollNonZero = this.builder.CreateICmpNE(pollResult, this.builder.getInt32(0));
-      const thenBB = llvm.BasicBlock.Create(this.context, 'poll_true', this.function);
-      const elseBB = llvm.BasicBlock.Create(this.context, 'poll_false', this.function);
-      const quitBB = llvm.BasicBlock.Create(this.context, 'quit', this.function);
-      this.builder.CreateCondBr(pollNonZero, thenBB, elseBB);
-
-      this.builder.SetInsertPoint(thenBB);
-      const typePtr = this.builder.CreateGEP(
-        this.eventType,
-        eventPtr,
-        [this.builder.getInt32(0), this.builder.getInt32(0)],
-        'typePtr',
-      );
-      const eventType = this.builder.CreateLoad(this.builder.getInt32Ty(), typePtr);
-      const quitConst = this.builder.getInt32(256); // SDL_QUIT
-      const isQuit = this.builder.CreateICmpEQ(eventType, quitConst);
-      this.builder.CreateCondBr(isQuit, quitBB, elseBB);
-
-      this.builder.SetInsertPoint(quitBB);
-      const exitFunc = this.module.getFunction('exit');
-      this.builder.CreateCall(exitFunc, [this.builder.getInt32(0)]);
-      this.builder.CreateUnreachable();
-
-      this.builder.SetInsertPoint(elseBB);
-    } else if (stmt instanceof SDLCreateRendererStatement) {
-      // Assume window is in variables or global
-      // For simplicity, assume window is stored in a global
-      // But since we don't have globals, perhaps store in variables
-      // For now, assume window is the last created, but hard.
-      // Let's add a global for window
-      if (!this.window) {
-        this.window = new llvm.GlobalVariable(
-          this.module,
-          this.builder.getInt8PtrTy(),
-          false,
-          llvm.GlobalValue.LinkageTypes.InternalLinkage,
-          null,
-          'window',
-        );
-      }
-      const createRendererFunc = this.module.getFunction('SDL_CreateRenderer');
-      const renderer = this.builder.CreateCall(createRendererFunc, [
-        this.builder.CreateLoad(this.builder.getInt8PtrTy(), this.window),
-        this.builder.getInt32(-1),
-        this.builder.getInt32(0),
-      ]);
-      if (!this.renderer) {
-        this.renderer = new llvm.GlobalVariable(
-          this.module,
-          this.builder.getInt8PtrTy(),
-          false,
-          llvm.GlobalValue.LinkageTypes.CommonLinkage,
-          llvm.ConstantPointerNull.get(this.builder.getInt8PtrTy()),
-          'renderer',
-        );
-      }
-      this.builder.CreateStore(renderer, this.renderer);
-    } else if (stmt instanceof SDLPutPixelStatement) {
-      const setColorFunc = this.module.getFunction('SDL_SetRenderDrawColor');
-      const r = this.builder.CreateTrunc(this.translateExpression(stmt.r), this.builder.getInt8Ty());
-      const g = this.builder.CreateTrunc(this.translateExpression(stmt.g), this.builder.getInt8Ty());
-      const b = this.builder.CreateTrunc(this.translateExpression(stmt.b), this.builder.getInt8Ty());
-      this.builder.CreateCall(setColorFunc, [
-        this.builder.CreateLoad(this.builder.getInt8PtrTy(), this.renderer),
-        r,
-        g,
-        b,
-        this.builder.getInt8(255),
-      ]);
-
-      const drawPointFunc = this.module.getFunction('SDL_RenderDrawPoint');
-      const x = this.translateExpression(stmt.x);
-      const y = this.translateExpression(stmt.y);
-      this.builder.CreateCall(drawPointFunc, [
-        this.builder.CreateLoad(this.builder.getInt8PtrTy(), this.renderer),
-        x,
-        y,
-      ]);
-    } else if (stmt instanceof SDLPresentStatement) {
-      const presentFunc = this.module.getFunction('SDL_RenderPresent');
-      this.builder.CreateCall(presentFunc, [this.builder.CreateLoad(this.builder.getInt8PtrTy(), this.renderer)]);
-    } else if (stmt instanceof SDLClearStatement) {
-      const clearFunc = this.module.getFunction('SDL_RenderClear');
-      this.builder.CreateCall(clearFunc, [this.builder.CreateLoad(this.builder.getInt8PtrTy(), this.renderer)]);
-    } else if (stmt instanceof SDLSetColorStatement) {
-      const setColorFunc = this.module.getFunction('SDL_SetRenderDrawColor');
-      const r = this.builder.CreateTrunc(this.translateExpression(stmt.r), this.builder.getInt8Ty());
-      const g = this.builder.CreateTrunc(this.translateExpression(stmt.g), this.builder.getInt8Ty());
-      const b = this.builder.CreateTrunc(this.translateExpression(stmt.b), this.builder.getInt8Ty());
-      this.builder.CreateCall(setColorFunc, [
-        this.builder.CreateLoad(this.builder.getInt8PtrTy(), this.renderer),
-        r,
-        g,
-        b,
-        this.builder.getInt8(255),
-      ]);
-    } else if (stmt instanceof SDLDrawLineStatement) {
-      const drawLineFunc = this.module.getFunction('SDL_RenderDrawLine');
-      const x1 = this.translateExpression(stmt.x1);
-      const y1 = this.translateExpression(stmt.y1);
-      const x2 = this.translateExpression(stmt.x2);
-      const y2 = this.translateExpression(stmt.y2);
-      this.builder.CreateCall(drawLineFunc, [
-        this.builder.CreateLoad(this.builder.getInt8PtrTy(), this.renderer),
-        x1,
-        y1,
-        x2,
-        y2,
-      ]);
-    } else if (stmt instanceof SDLGetPixelStatement) {
-      // Allocate SDL_Rect for the pixel
-      const rectPtr = this.builder.CreateAlloca(this.rectType, null, 'rect');
-      const xPtr = this.builder.CreateGEP(
-        this.rectType,
-        rectPtr,
-        [this.builder.getInt32(0), this.builder.getInt32(0)],
-        'xPtr',
-      );
-      const yPtr = this.builder.CreateGEP(
-        this.rectType,
-        rectPtr,
-        [this.builder.getInt32(0), this.builder.getInt32(1)],
-        'yPtr',
-      );
-      const wPtr = this.builder.CreateGEP(
-        this.rectType,
-        rectPtr,
-        [this.builder.getInt32(0), this.builder.getInt32(2)],
-        'wPtr',
-      );
-      const hPtr = this.builder.CreateGEP(
-        this.rectType,
-        rectPtr,
-        [this.builder.getInt32(0), this.builder.getInt32(3)],
-        'hPtr',
-      );
-
-      const x = this.translateExpression(stmt.x);
-      const y = this.translateExpression(stmt.y);
-      this.builder.CreateStore(x, xPtr);
-      this.builder.CreateStore(y, yPtr);
-      this.builder.CreateStore(this.builder.getInt32(1), wPtr); // width = 1
-      this.builder.CreateStore(this.builder.getInt32(1), hPtr); // height = 1
-
-      // Allocate 4-byte buffer for RGBA pixel
-      const pixelBuffer = this.builder.CreateAlloca(this.builder.getInt8Ty(), this.builder.getInt64(4), 'pixelBuffer');
-
-      // Call SDL_RenderReadPixels
-      const readPixelsFunc = this.module.getFunction('SDL_RenderReadPixels');
-      const format = this.builder.getInt32(0x16462004); // SDL_PIXELFORMAT_RGBA8888
-      const pitch = this.builder.getInt32(4); // 4 bytes per pixel
-      const result = this.builder.CreateCall(
-        readPixelsFunc,
-        [this.builder.CreateLoad(this.builder.getInt8PtrTy(), this.renderer), rectPtr, format, pixelBuffer, pitch],
-        'readResult',
-      );
-
-      // Check if SDL_RenderReadPixels succeeded (returns 0 on success)
-      const successBlock = llvm.BasicBlock.Create(this.context, 'readSuccess', this.function);
-      const failBlock = llvm.BasicBlock.Create(this.context, 'readFail', this.function);
-      const continueBlock = llvm.BasicBlock.Create(this.context, 'readContinue', this.function);
-
-      const isSuccess = this.builder.CreateICmpEQ(result, this.builder.getInt32(0), 'isSuccess');
-      this.builder.CreateCondBr(isSuccess, successBlock, failBlock);
-
-      // Success block: extract RGB values
-      this.builder.SetInsertPoint(successBlock);
-      const rPtr = this.builder.CreateGEP(this.builder.getInt8Ty(), pixelBuffer, [this.builder.getInt64(0)], 'rPtr');
-      const gPtr = this.builder.CreateGEP(this.builder.getInt8Ty(), pixelBuffer, [this.builder.getInt64(1)], 'gPtr');
-      const bPtr = this.builder.CreateGEP(this.builder.getInt8Ty(), pixelBuffer, [this.builder.getInt64(2)], 'bPtr');
-
-      const rByte = this.builder.CreateLoad(this.builder.getInt8Ty(), rPtr);
-      const gByte = this.builder.CreateLoad(this.builder.getInt8Ty(), gPtr);
-      const bByte = this.builder.CreateLoad(this.builder.getInt8Ty(), bPtr);
-
-      const rInt = this.builder.CreateZExt(rByte, this.builder.getInt32Ty());
-      const gInt = this.builder.CreateZExt(gByte, this.builder.getInt32Ty());
-      const bInt = this.builder.CreateZExt(bByte, this.builder.getInt32Ty());
-      this.builder.CreateBr(continueBlock);
-
-      // Fail block: set RGB to 0
-      this.builder.SetInsertPoint(failBlock);
-      const zeroInt = this.builder.getInt32(0);
-      this.builder.CreateBr(continueBlock);
-
-      // Continue block: store the values (phi nodes for success/fail)
-      this.builder.SetInsertPoint(continueBlock);
-      const rPhi = this.builder.CreatePHI(this.builder.getInt32Ty(), 2, 'rValue');
-      rPhi.addIncoming(rInt, successBlock);
-      rPhi.addIncoming(zeroInt, failBlock);
-
-      const gPhi = this.builder.CreatePHI(this.builder.getInt32Ty(), 2, 'gValue');
-      gPhi.addIncoming(gInt, successBlock);
-      gPhi.addIncoming(zeroInt, failBlock);
-
-      const bPhi = this.builder.CreatePHI(this.builder.getInt32Ty(), 2, 'bValue');
-      bPhi.addIncoming(bInt, successBlock);
-      bPhi.addIncoming(zeroInt, failBlock);
-
-      // Store in variables
-      const rVar = this.variables.get(stmt.r);
-      const gVar = this.variables.get(stmt.g);
-      const bVar = this.variables.get(stmt.b);
-
-      if (!rVar || !gVar || !bVar) {
-        throw new Error(`Undefined variables for SDLGetPixel: ${stmt.r}, ${stmt.g}, ${stmt.b}`);
-      }
-
-      this.builder.CreateStore(rPhi, rVar.value);
-      this.builder.CreateStore(gPhi, gVar.value);
-      this.builder.CreateStore(bPhi, bVar.value);
+    } else if (builtinsByNode.has(stmt.constructor)) {
+      this.translateBuiltin(builtinsByNode.get(stmt.constructor), stmt);
     } else {
       throw new Error(`Unknown statement type: ${stmt.constructor.name}`);
     }
@@ -749,7 +724,7 @@ export class LLVMTranslator {
 
   translateExpression(expr) {
     if (expr instanceof Identifier) {
-      const varInfo = this.variables.get(expr.name);
+      const varInfo = this.lookupVariable(expr.name);
       if (!varInfo) {
         throw new Error(`Undefined variable: ${expr.name}`);
       }
@@ -759,150 +734,324 @@ export class LLVMTranslator {
         return varInfo.value;
       }
 
-      return this.builder.CreateLoad(
-        varInfo.type === 'int' ? this.builder.getInt32Ty() : this.builder.getInt8PtrTy(),
-        varInfo.value,
-        expr.name,
-      );
+      return this.builder.CreateLoad(this.llvmType(varInfo.type), varInfo.value, expr.name);
     } else if (expr instanceof NumericLiteral) {
       return this.builder.getInt32(expr.value);
+    } else if (expr instanceof BooleanLiteral) {
+      return this.builder.getInt1(expr.value);
+    } else if (expr instanceof BoolExpression) {
+      return this.translateCondition(expr.expression);
+    } else if (expr instanceof LogicalExpression) {
+      return this.translateLogical(expr);
+    } else if (expr instanceof NotExpression) {
+      return this.builder.CreateNot(this.translateCondition(expr.expression), 'not');
     } else if (expr instanceof StringLiteral) {
       return this.getStringConstant(expr.value);
     } else if (expr instanceof BinaryExpression) {
       return this.translateBinaryExpression(expr);
-    } else if (expr instanceof SinExpression) {
-      const arg = this.translateExpression(expr.argument);
-      const scale = this.translateExpression(expr.scale);
-      const argDouble = this.builder.CreateSIToFP(arg, this.builder.getDoubleTy());
-      const piOver180 = llvm.ConstantFP.get(this.builder.getDoubleTy(), Math.PI / 180.0);
-      const radians = this.builder.CreateFMul(argDouble, piOver180);
-      const sinFunc = this.module.getFunction('sin');
-      const resultDouble = this.builder.CreateCall(sinFunc, [radians]);
-      const scaleDouble = this.builder.CreateSIToFP(scale, this.builder.getDoubleTy());
-      const scaled = this.builder.CreateFMul(resultDouble, scaleDouble);
-      return this.builder.CreateFPToSI(scaled, this.builder.getInt32Ty());
-    } else if (expr instanceof CosExpression) {
-      const arg = this.translateExpression(expr.argument);
-      const scale = this.translateExpression(expr.scale);
-      const argDouble = this.builder.CreateSIToFP(arg, this.builder.getDoubleTy());
-      const piOver180 = llvm.ConstantFP.get(this.builder.getDoubleTy(), Math.PI / 180.0);
-      const radians = this.builder.CreateFMul(argDouble, piOver180);
-      const cosFunc = this.module.getFunction('cos');
-      const resultDouble = this.builder.CreateCall(cosFunc, [radians]);
-      const scaleDouble = this.builder.CreateSIToFP(scale, this.builder.getDoubleTy());
-      const scaled = this.builder.CreateFMul(resultDouble, scaleDouble);
-      return this.builder.CreateFPToSI(scaled, this.builder.getInt32Ty());
-    } else if (expr instanceof RndExpression) {
-      const seed = this.translateExpression(expr.seed);
-      const scale = this.translateExpression(expr.scale);
-      // Simple LCG: (seed * 1103515245 + 12345) % scale
-      const multiplier = this.builder.getInt32(1103515245);
-      const increment = this.builder.getInt32(12345);
-      const multiplied = this.builder.CreateMul(seed, multiplier);
-      const added = this.builder.CreateAdd(multiplied, increment);
-      const modded = this.builder.CreateSRem(added, scale);
-      return modded;
+    } else if (builtinsByNode.has(expr.constructor)) {
+      return this.translateBuiltin(builtinsByNode.get(expr.constructor), expr);
+    } else if (expr instanceof CallExpression) {
+      return this.translateCall(expr, true);
     } else if (expr instanceof UnaryMinusExpression) {
-      const value = this.translateExpression(expr.expression);
+      const value = this.toInt(this.translateExpression(expr.expression), this.getExpressionType(expr.expression));
       return this.builder.CreateNeg(value);
+    } else if (expr instanceof BitwiseNotExpression) {
+      const value = this.toInt(this.translateExpression(expr.expression), this.getExpressionType(expr.expression));
+      return this.builder.CreateNot(value, 'bitnot');
     } else if (expr instanceof ArrayAccess) {
-      const arrayInfo = this.variables.get(expr.array);
+      const arrayInfo = this.lookupVariable(expr.array);
       if (!arrayInfo || arrayInfo.type !== 'array') {
         throw new LLVMTranslatorError(`Undefined array: ${expr.array}`, expr.loc);
       }
 
-      const index = this.translateExpression(expr.index);
-
-      // Calculate address: arrayPtr + index (byte addressing)
-      const elementPtr = this.builder.CreateGEP(this.builder.getInt8Ty(), arrayInfo.value, [index], 'elementPtr');
-      // Load as int8 and extend to int32
-      const byteValue = this.builder.CreateLoad(this.builder.getInt8Ty(), elementPtr, 'arrayElement');
-      return this.builder.CreateZExt(byteValue, this.builder.getInt32Ty(), 'extendedElement');
+      return this.loadArrayElement(arrayInfo, this.flatIndex(expr.array, arrayInfo, expr.indices, expr.loc));
     } else {
       throw new Error(`Unknown expression type: ${expr.constructor.name}`);
     }
   }
 
+  // Zero an array's buffer and copy its initial values into it from a private constant table
+  initializeArray(stmt, arrayPtr, size, totalSize) {
+    const count = stmt.initializer.length;
+    const elementType = this.elementLLVMType(stmt.elementType);
+    const tableType = llvm.ArrayType.get(elementType, count);
+    const table = new llvm.GlobalVariable(
+      this.module,
+      tableType,
+      true,
+      llvm.GlobalValue.LinkageTypes.PrivateLinkage,
+      llvm.ConstantArray.get(
+        tableType,
+        stmt.initializer.map((value) =>
+          stmt.elementType === 'byte' ? this.builder.getInt8(value.value & 0xff) : this.builder.getInt32(value.value),
+        ),
+      ),
+      `${stmt.identifier}.init`,
+    );
+
+    // The parser checks literal sizes; a size computed at run time may still be smaller than the table
+    let length = this.builder.getInt32(count);
+    if (!(stmt.dimensions[0] instanceof NumericLiteral)) {
+      length = this.builder.CreateSelect(this.builder.CreateICmpSLT(size, length), size, length, 'initLength');
+    }
+    // Elements past the listed values start at zero, like the JavaScript backend's typed arrays
+    const memsetType = llvm.FunctionType.get(
+      this.builder.getInt8PtrTy(),
+      [this.builder.getInt8PtrTy(), this.builder.getInt32Ty(), this.sizeType],
+      false,
+    );
+    this.builder.CreateCall(this.module.getOrInsertFunction('memset', memsetType), [
+      arrayPtr,
+      this.builder.getInt32(0),
+      totalSize,
+    ]);
+    const memcpyType = llvm.FunctionType.get(
+      this.builder.getInt8PtrTy(),
+      [this.builder.getInt8PtrTy(), this.builder.getInt8PtrTy(), this.sizeType],
+      false,
+    );
+    this.builder.CreateCall(this.module.getOrInsertFunction('memcpy', memcpyType), [
+      arrayPtr,
+      this.builder.CreateBitCast(table, this.builder.getInt8PtrTy()),
+      this.builder.CreateMul(
+        this.builder.CreateZExt(length, this.sizeType),
+        this.sizeValue(this.elementSize(stmt.elementType)),
+      ),
+    ]);
+  }
+
+  elementLLVMType(elementType) {
+    return elementType === 'byte' ? this.builder.getInt8Ty() : this.builder.getInt32Ty();
+  }
+
+  elementSize(elementType) {
+    return elementType === 'byte' ? 1 : 4;
+  }
+
+  // A byte count as the target's pointer-sized integer
+  sizeValue(bytes) {
+    return llvm.ConstantInt.get(this.sizeType, bytes);
+  }
+
+  // Row-major element number of grid[y][x]: y * w + x, and ((z * h) + y) * w + x for three dimensions
+  flatIndex(name, arrayInfo, indices, loc) {
+    const rank = arrayInfo.dimensions.length;
+    if (indices.length !== rank) {
+      throw new LLVMTranslatorError(
+        `Array '${name}' has ${rank} dimension${rank === 1 ? '' : 's'} but ${indices.length} ind${indices.length === 1 ? 'ex' : 'ices'}`,
+        loc,
+      );
+    }
+    const values = indices.map((index, i) => {
+      const value = this.toInt(this.translateExpression(index), this.getExpressionType(index));
+      if (this.checked) {
+        this.checkIndex(name, value, arrayInfo.dimensions[i], loc);
+      }
+      return value;
+    });
+    let index = values[0];
+    for (let i = 1; i < rank; i++) {
+      const rowStart = this.builder.CreateMul(index, arrayInfo.dimensions[i], 'rowStart');
+      index = this.builder.CreateAdd(rowStart, values[i], 'flatIndex');
+    }
+    return index;
+  }
+
+  // Checked builds print the index, array and source location to stderr and exit with status 1 when an index
+  // is outside its dimension. The unsigned compare also catches negative indices.
+  checkIndex(name, index, size, loc) {
+    const inBoundsBB = llvm.BasicBlock.Create(this.context, 'in_bounds', this.function);
+    const outOfBoundsBB = llvm.BasicBlock.Create(this.context, 'out_of_bounds', this.function);
+    this.builder.CreateCondBr(this.builder.CreateICmpULT(index, size, 'inBounds'), inBoundsBB, outOfBoundsBB);
+
+    // Flush printed output first so the error follows it, as in the JavaScript backend
+    this.builder.SetInsertPoint(outOfBoundsBB);
+    const fflushType = llvm.FunctionType.get(this.builder.getInt32Ty(), [this.builder.getInt8PtrTy()], false);
+    this.builder.CreateCall(this.module.getOrInsertFunction('fflush', fflushType), [
+      llvm.ConstantPointerNull.get(this.builder.getInt8PtrTy()),
+    ]);
+    const dprintfType = llvm.FunctionType.get(
+      this.builder.getInt32Ty(),
+      [this.builder.getInt32Ty(), this.builder.getInt8PtrTy()],
+      true,
+    );
+    const message = this.getStringConstant(
+      `index %d out of bounds for '${name}' (size %d) at line ${loc.start.line}, col ${loc.start.column}\n`,
+    );
+    this.builder.CreateCall(this.module.getOrInsertFunction('dprintf', dprintfType), [
+      this.builder.getInt32(2),
+      message,
+      index,
+      size,
+    ]);
+    const exitType = llvm.FunctionType.get(this.builder.getVoidTy(), [this.builder.getInt32Ty()], false);
+    this.builder.CreateCall(this.module.getOrInsertFunction('exit', exitType), [this.builder.getInt32(1)]);
+    this.builder.CreateUnreachable();
+
+    this.builder.SetInsertPoint(inBoundsBB);
+  }
+
+  // Address of arr[index]; the i8* array pointer is cast to the element type first
+  arrayElementPtr(arrayInfo, index) {
+    const elementType = this.elementLLVMType(arrayInfo.elementType);
+    const elements =
+      arrayInfo.elementType === 'byte'
+        ? arrayInfo.value
+        : this.builder.CreateBitCast(arrayInfo.value, llvm.PointerType.getUnqual(elementType), 'elements');
+    return this.builder.CreateGEP(elementType, elements, [index], 'elementPtr');
+  }
+
+  loadArrayElement(arrayInfo, index) {
+    const elementPtr = this.arrayElementPtr(arrayInfo, index);
+    if (arrayInfo.elementType !== 'byte') {
+      return this.builder.CreateLoad(this.builder.getInt32Ty(), elementPtr, 'arrayElement');
+    }
+    // Load as int8 and extend to int32
+    const byteValue = this.builder.CreateLoad(this.builder.getInt8Ty(), elementPtr, 'arrayElement');
+    return this.builder.CreateZExt(byteValue, this.builder.getInt32Ty(), 'extendedElement');
+  }
+
+  // Call a user function from a call statement or call expression; usesResult when its value is needed
+  translateCall(call, usesResult) {
+    const callee = this.module.getFunction(call.callee);
+    if (!callee) {
+      throw new LLVMTranslatorError(`Undefined function: ${call.callee}`, call.loc);
+    }
+    if (usesResult && this.functionReturnType(call.callee) === 'void') {
+      throw new LLVMTranslatorError(`'${call.callee}' does not return a value`, call.loc);
+    }
+
+    // Arrays are passed as their pointer followed by the size of each dimension
+    const argValues = call.arguments.map((arg, i) => {
+      if (this.paramType(call.callee, i) !== 'array') {
+        return [this.translateExpression(arg)];
+      }
+      const arrayInfo = arg instanceof Identifier ? this.lookupVariable(arg.name) : null;
+      if (arrayInfo?.type !== 'array') {
+        throw new LLVMTranslatorError(`'${call.callee}' takes an array as argument ${i + 1}`, arg.loc);
+      }
+      const { elementType, rank } = this.arrayParam(call.callee, i);
+      if (arrayInfo.elementType !== elementType) {
+        throw new LLVMTranslatorError(
+          `'${call.callee}' takes a ${elementType} array as argument ${i + 1}, got ${arrayInfo.elementType} array '${arg.name}'`,
+          arg.loc,
+        );
+      }
+      if (arrayInfo.dimensions.length !== rank) {
+        throw new LLVMTranslatorError(
+          `'${call.callee}' takes a ${rank}-dimensional array as argument ${i + 1}, got ${arrayInfo.dimensions.length}-dimensional array '${arg.name}'`,
+          arg.loc,
+        );
+      }
+      return [arrayInfo.value, ...arrayInfo.dimensions];
+    });
+    // Void calls produce no value and so cannot be named
+    const result = this.builder.CreateCall(callee, argValues.flat(), usesResult ? 'call' : '');
+    // The callee copies the strings it is passed, so the caller still frees its own
+    call.arguments.forEach((arg, i) => {
+      this.freeTemporary(arg, argValues[i][0]);
+    });
+    return result;
+  }
+
   translateBinaryExpression(expr) {
-    const left = this.translateExpression(expr.left);
-    const right = this.translateExpression(expr.right);
+    let left = this.translateExpression(expr.left);
+    let right = this.translateExpression(expr.right);
     const leftType = this.getExpressionType(expr.left);
     const rightType = this.getExpressionType(expr.right);
 
+    if (expr.operator === '+' && (leftType === 'string' || rightType === 'string')) {
+      const result = this.stringConcat(left, right, leftType, rightType);
+      this.freeTemporary(expr.left, left);
+      this.freeTemporary(expr.right, right);
+      return result;
+    }
+    // Booleans take part in arithmetic and comparisons as 0 or 1
+    left = this.toInt(left, leftType);
+    right = this.toInt(right, rightType);
+
     switch (expr.operator) {
-      case '+':
-        if (leftType === 'string' || rightType === 'string') {
-          return this.stringConcat(left, right, leftType, rightType);
-        } else {
-          return this.builder.CreateAdd(left, right, 'add');
-        }
-      case '-':
-        return this.builder.CreateSub(left, right, 'sub');
-      case '*':
-        return this.builder.CreateMul(left, right, 'mul');
-      case '/': {
-        const safeDen = this.builder.CreateSelect(
-          this.builder.CreateICmpEQ(right, this.builder.getInt32(0)),
-          this.builder.getInt32(1),
-          right,
-        );
-        return this.builder.CreateSDiv(left, safeDen, 'div');
-      }
-      case '%':
-        return this.builder.CreateSRem(left, right, 'rem');
       case '==':
         if (leftType === 'string' && rightType === 'string') {
-          const cmp = this.stringCompare(left, right, 'eq');
-          return this.builder.CreateZExt(cmp, this.builder.getInt32Ty(), 'eq');
+          return this.stringCompare(expr, left, right, 'eq');
         } else {
-          const cmp = this.builder.CreateICmpEQ(left, right, 'eq');
-          return this.builder.CreateZExt(cmp, this.builder.getInt32Ty(), 'eq');
+          return this.builder.CreateICmpEQ(left, right, 'eq');
         }
       case '!=':
         if (leftType === 'string' && rightType === 'string') {
-          const cmp = this.stringCompare(left, right, 'ne');
-          return this.builder.CreateZExt(cmp, this.builder.getInt32Ty(), 'ne');
+          return this.stringCompare(expr, left, right, 'ne');
         } else {
-          const cmp = this.builder.CreateICmpNE(left, right, 'ne');
-          return this.builder.CreateZExt(cmp, this.builder.getInt32Ty(), 'ne');
+          return this.builder.CreateICmpNE(left, right, 'ne');
         }
       case '<':
         if (leftType === 'string' && rightType === 'string') {
-          const cmp = this.stringCompare(left, right, 'lt');
-          return this.builder.CreateZExt(cmp, this.builder.getInt32Ty(), 'lt');
+          return this.stringCompare(expr, left, right, 'lt');
         } else {
-          const cmp = this.builder.CreateICmpSLT(left, right, 'lt');
-          return this.builder.CreateZExt(cmp, this.builder.getInt32Ty(), 'lt');
+          return this.builder.CreateICmpSLT(left, right, 'lt');
         }
       case '<=':
         if (leftType === 'string' && rightType === 'string') {
-          const cmp = this.stringCompare(left, right, 'le');
-          return this.builder.CreateZExt(cmp, this.builder.getInt32Ty(), 'le');
+          return this.stringCompare(expr, left, right, 'le');
         } else {
-          const cmp = this.builder.CreateICmpSLE(left, right, 'le');
-          return this.builder.CreateZExt(cmp, this.builder.getInt32Ty(), 'le');
+          return this.builder.CreateICmpSLE(left, right, 'le');
         }
       case '>':
         if (leftType === 'string' && rightType === 'string') {
-          const cmp = this.stringCompare(left, right, 'gt');
-          return this.builder.CreateZExt(cmp, this.builder.getInt32Ty(), 'gt');
+          return this.stringCompare(expr, left, right, 'gt');
         } else {
-          const cmp = this.builder.CreateICmpSGT(left, right, 'gt');
-          return this.builder.CreateZExt(cmp, this.builder.getInt32Ty(), 'gt');
+          return this.builder.CreateICmpSGT(left, right, 'gt');
         }
       case '>=':
         if (leftType === 'string' && rightType === 'string') {
-          const cmp = this.stringCompare(left, right, 'ge');
-          return this.builder.CreateZExt(cmp, this.builder.getInt32Ty(), 'ge');
+          return this.stringCompare(expr, left, right, 'ge');
         } else {
-          const cmp = this.builder.CreateICmpSGE(left, right, 'ge');
-          return this.builder.CreateZExt(cmp, this.builder.getInt32Ty(), 'ge');
+          return this.builder.CreateICmpSGE(left, right, 'ge');
         }
       default:
-        throw new Error(`Unknown operator: ${expr.operator}`);
+        return this.translateArithmetic(expr.operator, left, right);
+    }
+  }
+
+  // Integer arithmetic, bitwise and shift operators on i32 values
+  translateArithmetic(operator, left, right) {
+    switch (operator) {
+      case '+':
+        return this.builder.CreateAdd(left, right, 'add');
+      case '-':
+        return this.builder.CreateSub(left, right, 'sub');
+      case '*':
+        return this.builder.CreateMul(left, right, 'mul');
+      case '/': {
+        const safeDen = this.builder.CreateSelect(
+          this.builder.CreateICmpEQ(right, this.builder.getInt32(0)),
+          this.builder.getInt32(1),
+          right,
+        );
+        return this.builder.CreateSDiv(left, safeDen, 'div');
+      }
+      case '%':
+        return this.builder.CreateSRem(left, right, 'rem');
+      case '&':
+        return this.builder.CreateAnd(left, right, 'and');
+      case '|':
+        return this.builder.CreateOr(left, right, 'or');
+      case '^':
+        return this.builder.CreateXor(left, right, 'xor');
+      // Shift counts wrap at 32 as in JavaScript; LLVM leaves larger counts undefined
+      case '<<':
+        return this.builder.CreateShl(left, this.shiftCount(right), 'shl');
+      case '>>':
+        return this.builder.CreateAShr(left, this.shiftCount(right), 'shr');
+      default:
+        throw new Error(`Unknown operator: ${operator}`);
     }
   }
 
+  shiftCount(value) {
+    return this.builder.CreateAnd(value, this.builder.getInt32(31), 'shamt');
+  }
+
   stringConcat(left, right, leftType, rightType) {
     // Convert integers to strings if needed
     let leftStr = left;
@@ -910,9 +1059,13 @@ export class LLVMTranslator {
 
     if (leftType === 'int') {
       leftStr = this.intToString(left);
+    } else if (leftType === 'bool') {
+      leftStr = this.boolToString(left);
     }
     if (rightType === 'int') {
       rightStr = this.intToString(right);
+    } else if (rightType === 'bool') {
+      rightStr = this.boolToString(right);
     }
 
     // Allocate space for concatenated string
@@ -920,7 +1073,7 @@ export class LLVMTranslator {
     const rightLen = this.builder.CreateCall(this.module.getFunction('strlen'), [rightStr], 'rightlen');
     const totalLen = this.builder.CreateAdd(
       this.builder.CreateAdd(leftLen, rightLen, 'total'),
-      this.builder.getInt64(1),
+      this.sizeValue(1),
       'totalplus1',
     );
     const buffer = this.builder.CreateCall(this.module.getFunction('malloc'), [totalLen], 'buffer');
@@ -941,9 +1094,11 @@ export class LLVMTranslator {
     return buffer;
   }
 
-  stringCompare(left, right, op) {
+  stringCompare(expr, left, right, op) {
     const strcmpFunc = this.module.getFunction('strcmp');
     const result = this.builder.CreateCall(strcmpFunc, [left, right], 'strcmp');
+    this.freeTemporary(expr.left, left);
+    this.freeTemporary(expr.right, right);
 
     switch (op) {
       case 'eq':
@@ -961,9 +1116,94 @@ export class LLVMTranslator {
     }
   }
 
+  // "true" or "false" for an i1; the constants are shared, so there is nothing to free
+  boolToString(value) {
+    return this.builder.CreateSelect(value, this.getStringConstant('true'), this.getStringConstant('false'), 'boolstr');
+  }
+
+  // Widen a bool (i1) to an i32 0 or 1; other values pass through
+  toInt(value, type) {
+    return type === 'bool' ? this.builder.CreateZExt(value, this.builder.getInt32Ty(), 'boolint') : value;
+  }
+
+  // Truth value of any value as an i1: non-zero numbers and non-empty strings are true
+  toBool(value, type) {
+    if (type === 'bool') {
+      return value;
+    } else if (type === 'string') {
+      const first = this.builder.CreateLoad(this.builder.getInt8Ty(), value, 'first');
+      return this.builder.CreateICmpNE(first, this.builder.getInt8(0), 'bool');
+    }
+    return this.builder.CreateICmpNE(value, this.builder.getInt32(0), 'bool');
+  }
+
+  // The truth value of an expression used as a condition, as an i1
+  translateCondition(expr) {
+    const value = this.translateExpression(expr);
+    const bool = this.toBool(value, this.getExpressionType(expr));
+    this.freeTemporary(expr, value);
+    return bool;
+  }
+
+  // a and b / a or b: the right side runs in its own block only when the left does not decide the
+  // result, and a phi joins the two paths. Operands must be booleans: JavaScript's && and || would
+  // hand back a number operand unchanged, so the backends could otherwise print different values.
+  translateLogical(expr) {
+    for (const operand of [expr.left, expr.right]) {
+      const type = this.getExpressionType(operand);
+      if (type !== 'bool') {
+        throw new LLVMTranslatorError(`'${expr.operator}' needs bool operands, got ${type}`, operand.loc);
+      }
+    }
+
+    const isAnd = expr.operator === 'and';
+    const left = this.translateExpression(expr.left);
+    const leftBB = this.builder.GetInsertBlock();
+    const rightBB = llvm.BasicBlock.Create(this.context, `${expr.operator}_rhs`, this.function);
+    const endBB = llvm.BasicBlock.Create(this.context, `${expr.operator}_end`, this.function);
+    if (isAnd) {
+      this.builder.CreateCondBr(left, rightBB, endBB);
+    } else {
+      this.builder.CreateCondBr(left, endBB, rightBB);
+    }
+
+    this.builder.SetInsertPoint(rightBB);
+    const right = this.translateExpression(expr.right);
+    // The right side may itself have branched; the phi needs the block it finished in
+    const rightEndBB = this.builder.GetInsertBlock();
+    this.builder.CreateBr(endBB);
+
+    this.builder.SetInsertPoint(endBB);
+    const phi = this.builder.CreatePHI(this.builder.getInt1Ty(), 2, expr.operator);
+    phi.addIncoming(isAnd ? this.builder.getFalse() : this.builder.getTrue(), leftBB);
+    phi.addIncoming(right, rightEndBB);
+    return phi;
+  }
+
+  // LLVM type that holds a value of the given Complect type
+  llvmType(type) {
+    switch (type) {
+      case 'bool':
+        return this.builder.getInt1Ty();
+      case 'string':
+      case 'array':
+        return this.builder.getInt8PtrTy();
+      default:
+        return this.builder.getInt32Ty();
+    }
+  }
+
+  // Variables keep the type they were declared with; booleans and numbers do not mix, so both
+  // backends print the same value
+  checkAssignable(name, varType, valueType, loc) {
+    if ((varType === 'bool') !== (valueType === 'bool')) {
+      throw new LLVMTranslatorError(`Cannot assign ${valueType} to ${varType} variable '${name}'`, loc);
+    }
+  }
+
   intToString(value) {
     // Allocate buffer for number string (up to 32 digits should be enough)
-    const buffer = this.builder.CreateCall(this.module.getFunction('malloc'), [this.builder.getInt64(32)], 'buffer');
+    const buffer = this.builder.CreateCall(this.module.getFunction('malloc'), [this.sizeValue(32)], 'buffer');
     const formatStr = this.getStringConstant('%d');
     this.builder.CreateCall(this.module.getFunction('sprintf'), [buffer, formatStr, value], 'sprintf');
     return buffer;
@@ -977,6 +1217,13 @@ export class LLVMTranslator {
       return 'int';
     } else if (expr instanceof StringLiteral) {
       return 'string';
+    } else if (
+      expr instanceof BooleanLiteral ||
+      expr instanceof BoolExpression ||
+      expr instanceof LogicalExpression ||
+      expr instanceof NotExpression
+    ) {
+      return 'bool';
     } else if (expr instanceof BinaryExpression) {
       // For binary expressions, we need to determine the result type
       const leftType = this.getExpressionType(expr.left);
@@ -989,15 +1236,17 @@ export class LLVMTranslator {
         }
       }
 
-      // For comparisons, result is always int (boolean)
+      // Comparisons produce booleans
       if (['==', '!=', '<', '<=', '>', '>='].includes(expr.operator)) {
-        return 'int';
+        return 'bool';
       }
 
       // Default to int for arithmetic
       return 'int';
-    } else if (expr instanceof SinExpression || expr instanceof CosExpression) {
-      return 'int';
+    } else if (builtinsByNode.has(expr.constructor)) {
+      return builtinsByNode.get(expr.constructor).result;
+    } else if (expr instanceof CallExpression) {
+      return this.functionReturnType(expr.callee);
     } else if (expr instanceof ArrayAccess) {
       return 'int'; // Array elements are integers
     }
@@ -1014,27 +1263,284 @@ export class LLVMTranslator {
     return strConst;
   }
 
+  // Copy a string into a new malloc'd buffer
+  copyString(value) {
+    const strLen = this.builder.CreateCall(this.module.getFunction('strlen'), [value], 'strlen');
+    const allocSize = this.builder.CreateAdd(strLen, this.sizeValue(1), 'allocSize');
+    const buffer = this.builder.CreateCall(this.module.getFunction('malloc'), [allocSize], 'buffer');
+    this.builder.CreateCall(this.module.getFunction('strcpy'), [buffer, value], 'strcpy');
+    return buffer;
+  }
+
+  // The string value a variable stores: literals are copied, and in cleanup builds so is anything that is
+  // not already a new buffer (a concatenation or a returned string), so that no two variables share one
+  ownedString(expr, value) {
+    const isNew = expr instanceof BinaryExpression || expr instanceof CallExpression;
+    if (expr instanceof StringLiteral || (this.cleanup && !isNew)) {
+      return this.copyString(value);
+    }
+    return value;
+  }
+
+  // Concatenations and, in cleanup builds, returned strings are new buffers. One used inside a larger
+  // expression or statement is not taken over by any variable, so cleanup builds free it once it has been used
+  freeTemporary(expr, value) {
+    const isNew = expr instanceof BinaryExpression || expr instanceof CallExpression;
+    if (this.cleanup && isNew && this.getExpressionType(expr) === 'string') {
+      this.builder.CreateCall(this.module.getFunction('free'), [value]);
+    }
+  }
+
+  // Pre-scan a function body, or the program for main, and give every make and for loop counter its alloca
+  // in the entry block. Allocas elsewhere grow the stack each time their block runs, so a make inside a loop
+  // would use more stack on every pass; in the entry block they are also what mem2reg promotes to registers.
+  // Types are replayed in translation order, as the declarations will see them.
+  // Cleanup builds also get a slot per array, and the strings and arrays they own start out null, so a return
+  // frees whatever the function owns at that point, whichever branches and loop passes declared it.
+  // In main the makes are globals instead, so that functions can use them; for loop counters stay local.
+  hoistAllocas(statements) {
+    const savedVariables = this.variables;
+    this.variables = new Map(savedVariables);
+    const programLevel = this.functionDeclaration === null;
+    const owned = [];
+    // scope is the debug scope loop variables are declared in
+    const hoist = (statements, scope) => {
+      for (const stmt of statements) {
+        if (stmt instanceof VariableDeclaration) {
+          const type = this.getExpressionType(stmt.value);
+          // Making a global again with the same type reuses its global
+          const global = this.globals.get(stmt.identifier);
+          if (programLevel && global?.value && global.type === type) {
+            this.hoistedAllocas.set(stmt, global.value);
+          } else if (type === 'int' || type === 'bool' || type === 'string') {
+            const slot = programLevel
+              ? this.createGlobal(this.llvmType(type), stmt.identifier)
+              : this.builder.CreateAlloca(this.llvmType(type), null, stmt.identifier);
+            this.hoistedAllocas.set(stmt, slot);
+            if (this.cleanup && type === 'string') owned.push(slot);
+            if (programLevel) {
+              this.globals.set(stmt.identifier, { type, value: slot, isGlobal: true });
+              this.debugGlobal(slot, stmt.identifier, type, stmt.loc);
+            } else {
+              this.debugVariable(stmt.identifier, type, stmt.loc, slot);
+            }
+          }
+          this.variables.set(stmt.identifier, { type, value: null });
+        } else if (stmt instanceof ArrayDeclaration) {
+          const info = { type: 'array', elementType: stmt.elementType, rank: stmt.dimensions.length };
+          const global = this.globals.get(stmt.identifier);
+          if (
+            programLevel &&
+            global?.value &&
+            global.type === 'array' &&
+            global.elementType === info.elementType &&
+            global.rank === info.rank
+          ) {
+            this.hoistedAllocas.set(stmt, global.value);
+            this.dimensionGlobals.set(stmt, global.dimensions);
+          } else if (programLevel) {
+            const slot = this.createGlobal(this.builder.getInt8PtrTy(), stmt.identifier);
+            const dimensions = stmt.dimensions.map((_dimension, d) =>
+              this.createGlobal(this.builder.getInt32Ty(), `${stmt.identifier}.dim${d}`),
+            );
+            this.hoistedAllocas.set(stmt, slot);
+            this.dimensionGlobals.set(stmt, dimensions);
+            if (this.cleanup) owned.push(slot);
+            this.globals.set(stmt.identifier, { ...info, value: slot, dimensions, isGlobal: true });
+            this.debugGlobal(slot, stmt.identifier, 'array', stmt.loc);
+          } else if (this.cleanup) {
+            const slot = this.builder.CreateAlloca(this.builder.getInt8PtrTy(), null, stmt.identifier);
+            this.hoistedAllocas.set(stmt, slot);
+            owned.push(slot);
+          }
+          this.variables.set(stmt.identifier, { ...info, value: null });
+        } else if (stmt instanceof IfStatement) {
+          hoist(stmt.consequent, scope);
+          hoist(stmt.alternate ?? [], scope);
+        } else if (stmt instanceof WhileStatement) {
+          hoist(stmt.body, scope);
+        } else if (stmt instanceof ForStatement) {
+          const counter = this.builder.CreateAlloca(this.builder.getInt32Ty(), null, stmt.variable);
+          this.hoistedAllocas.set(stmt, counter);
+          // The loop variable is only visible to debuggers inside the loop
+          const loopScope = this.debug
+            ? this.diBuilder.createLexicalBlock(scope, this.diFile, stmt.loc.start.line, stmt.loc.start.column)
+            : null;
+          this.debugScopes.set(stmt, loopScope);
+          this.debugVariable(stmt.variable, 'int', stmt.loc, counter, 0, loopScope);
+          const outer = this.variables.get(stmt.variable);
+          this.variables.set(stmt.variable, { type: 'int', value: null });
+          hoist(stmt.body, loopScope);
+          this.restoreVariable(stmt.variable, outer);
+        }
+      }
+    };
+    hoist(statements, this.debugScope);
+    // Globals are null already
+    for (const slot of programLevel ? [] : owned) {
+      this.builder.CreateStore(llvm.ConstantPointerNull.get(this.builder.getInt8PtrTy()), slot);
+    }
+    this.ownedSlots.push(...owned);
+    this.variables = savedVariables;
+  }
+
+  // A program-level variable, private to the module and zero until its make runs. The name cannot clash with
+  // a function's, since identifiers have no dots.
+  createGlobal(type, name) {
+    return new llvm.GlobalVariable(
+      this.module,
+      type,
+      false,
+      llvm.GlobalValue.LinkageTypes.InternalLinkage,
+      llvm.Constant.getNullValue(type),
+      `${name}.global`,
+    );
+  }
+
+  // A variable's info for one use. A function loads a global array's pointer and dimensions each time it
+  // uses the array, since main may have made the array again since the last call.
+  lookupVariable(name) {
+    const varInfo = this.variables.get(name);
+    if (!varInfo?.isGlobal || varInfo.type !== 'array') {
+      return varInfo;
+    }
+    return {
+      ...varInfo,
+      value: this.builder.CreateLoad(this.builder.getInt8PtrTy(), varInfo.value, name),
+      dimensions: varInfo.dimensions.map((dimension) => this.builder.CreateLoad(this.builder.getInt32Ty(), dimension)),
+      slot: varInfo.value,
+    };
+  }
+
+  // Scratch space for builtins, at the top of the entry block so that it is allocated once per call
+  entryAlloca(type, name, arraySize = null) {
+    const entryBB = this.function.getEntryBlock();
+    const first = entryBB.getFirstNonPHI();
+    const entryBuilder = first ? new llvm.IRBuilder(first) : new llvm.IRBuilder(entryBB);
+    return entryBuilder.CreateAlloca(type, arraySize, name);
+  }
+
+  freeOwned() {
+    for (const slot of this.ownedSlots) {
+      this.builder.CreateCall(this.module.getFunction('free'), [
+        this.builder.CreateLoad(this.builder.getInt8PtrTy(), slot),
+      ]);
+    }
+  }
+
+  // Debug builds describe the program in DWARF: a compile unit for the source file, a subprogram for main and
+  // each function, their variables, and the source line of every statement's instructions
+  createDebugInfo() {
+    const { ModFlagBehavior } = llvm.Module;
+    this.module.addModuleFlag(ModFlagBehavior.Warning, 'Debug Info Version', llvm.LLVMConstants.DEBUG_METADATA_VERSION);
+    this.module.addModuleFlag(ModFlagBehavior.Warning, 'Dwarf Version', llvm.dwarf.LLVMConstants.DWARF_VERSION);
+    this.diBuilder = new llvm.DIBuilder(this.module);
+    this.diFile = this.sourceFile
+      ? this.diBuilder.createFile(basename(this.sourceFile), dirname(this.sourceFile))
+      : this.diBuilder.createFile('<stdin>', '.');
+    // DWARF has no code for Complect; as C, debuggers can evaluate expressions on its variables
+    const language = llvm.dwarf.SourceLanguage.DW_LANG_C;
+    this.diCompileUnit = this.diBuilder.createCompileUnit(language, this.diFile, 'complect', false, '', 0);
+  }
+
+  // Strings and arrays are described as addresses, since llvm-bindings cannot create pointer types
+  debugType(type) {
+    if (!this.debugTypes.has(type)) {
+      const { DW_ATE_address, DW_ATE_boolean, DW_ATE_signed } = llvm.dwarf.TypeKind;
+      const pointerBits = this.dataLayout.getTypeAllocSize(this.builder.getInt8PtrTy()) * 8;
+      const [bits, encoding] =
+        type === 'int' ? [32, DW_ATE_signed] : type === 'bool' ? [8, DW_ATE_boolean] : [pointerBits, DW_ATE_address];
+      this.debugTypes.set(type, this.diBuilder.createBasicType(type, bits, encoding));
+    }
+    return this.debugTypes.get(type);
+  }
+
+  // Attach a subprogram to func; the statements translated next are in its scope
+  debugFunction(func, name, line, returnKind, paramKinds) {
+    const types = this.diBuilder.getOrCreateTypeArray([
+      returnKind === 'void' ? null : this.debugType(returnKind),
+      ...paramKinds.map((kind) => this.debugType(kind)),
+    ]);
+    const { SPFlagDefinition, SPFlagLocalToUnit } = llvm.DISubprogram.DISPFlags;
+    const subprogram = this.diBuilder.createFunction(
+      this.diFile,
+      name,
+      '',
+      this.diFile,
+      line,
+      this.diBuilder.createSubroutineType(types),
+      line,
+      llvm.DINode.DIFlags.FlagPrototyped,
+      name === 'main' ? SPFlagDefinition : SPFlagDefinition | SPFlagLocalToUnit,
+    );
+    func.setSubprogram(subprogram);
+    this.debugScope = subprogram;
+  }
+
+  // The instructions generated next belong to the line of node, in debug builds
+  setDebugLocation(node) {
+    if (this.debug && node.loc) {
+      const { line, column } = node.loc.start;
+      this.builder.SetCurrentDebugLocation(llvm.DILocation.get(this.context, line, column, this.debugScope));
+    }
+  }
+
+  // Describe a program-level variable held in the global slot, in debug builds
+  debugGlobal(slot, name, type, loc) {
+    if (this.debug) {
+      slot.addDebugInfo(
+        this.diBuilder.createGlobalVariableExpression(
+          this.diCompileUnit,
+          name,
+          '',
+          this.diFile,
+          loc.start.line,
+          this.debugType(type),
+          true,
+        ),
+      );
+    }
+  }
+
+  // Describe a local variable or parameter (argNo counts from 1) in debug builds. Variables live in storage, an
+  // alloca; an array is its pointer value, which storage holds from here on.
+  debugVariable(name, type, loc, storage, argNo = 0, scope = this.debugScope) {
+    if (!this.debug) {
+      return;
+    }
+    const { line, column } = loc.start;
+    const variable = argNo
+      ? this.diBuilder.createParameterVariable(scope, name, argNo, this.diFile, line, this.debugType(type))
+      : this.diBuilder.createAutoVariable(scope, name, this.diFile, line, this.debugType(type));
+    const location = llvm.DILocation.get(this.context, line, column, scope);
+    const expression = this.diBuilder.createExpression();
+    const block = this.builder.GetInsertBlock();
+    if (type === 'array') {
+      this.diBuilder.insertDbgValueIntrinsic(storage, variable, expression, location, block);
+    } else {
+      this.diBuilder.insertDeclare(storage, variable, expression, location, block);
+    }
+  }
+
   translatePrint(stmt) {
     const printfFunc = this.module.getFunction('printf');
     const argType = this.getExpressionType(stmt.argument);
 
     let formatStr;
-    if (argType === 'string') {
+    if (argType === 'string' || argType === 'bool') {
       formatStr = this.getStringConstant('%s\n');
     } else {
       formatStr = this.getStringConstant('%d\n');
     }
 
+    // Booleans print as true/false, like console.log in the JavaScript backend
     const value = this.translateExpression(stmt.argument);
-    this.builder.CreateCall(printfFunc, [formatStr, value], 'print');
+    this.builder.CreateCall(printfFunc, [formatStr, argType === 'bool' ? this.boolToString(value) : value], 'print');
+    this.freeTemporary(stmt.argument, value);
   }
 
   translateIf(stmt) {
-    const cond = this.translateExpression(stmt.test);
-    let boolCond = cond;
-    if (!cond.getType().isIntegerTy(1)) {
-      boolCond = this.builder.CreateICmpNE(cond, this.builder.getInt32(0));
-    }
+    const boolCond = this.translateCondition(stmt.test);
 
     const thenBB = llvm.BasicBlock.Create(this.context, 'then', this.function);
     const elseBB = llvm.BasicBlock.Create(this.context, 'else', this.function);
@@ -1047,11 +1553,14 @@ export class LLVMTranslator {
     for (const s of stmt.consequent) {
       this.translateStatement(s);
     }
-    this.builder.CreateBr(mergeBB);
+    this.branchIfOpen(mergeBB);
 
-    // Else block (empty for now)
+    // Else block: the else statements, or a nested if for elseif (which closes its own blocks first)
     this.builder.SetInsertPoint(elseBB);
-    this.builder.CreateBr(mergeBB);
+    for (const s of stmt.alternate ?? []) {
+      this.translateStatement(s);
+    }
+    this.branchIfOpen(mergeBB);
 
     // Merge
     this.builder.SetInsertPoint(mergeBB);
@@ -1066,49 +1575,154 @@ export class LLVMTranslator {
 
     // Condition
     this.builder.SetInsertPoint(condBB);
-    const cond = this.translateExpression(stmt.test);
-    let boolCond = cond;
-    if (!cond.getType().isIntegerTy(1)) {
-      boolCond = this.builder.CreateICmpNE(cond, this.builder.getInt32(0));
-    }
+    const boolCond = this.translateCondition(stmt.test);
     this.builder.CreateCondBr(boolCond, bodyBB, exitBB);
 
     // Body
     this.builder.SetInsertPoint(bodyBB);
+    this.loops.push({ continueBB: condBB, exitBB });
     for (const s of stmt.body) {
       this.translateStatement(s);
     }
+    this.loops.pop();
+    this.branchIfOpen(condBB);
+
+    // Exit, on the line of the loop
+    this.builder.SetInsertPoint(exitBB);
+    this.setDebugLocation(stmt);
+  }
+
+  translateFor(stmt) {
+    // Evaluate start, end and step once, before the loop
+    const start = this.translateExpression(stmt.start);
+    const end = this.translateExpression(stmt.end);
+    const step = this.translateExpression(stmt.step);
+
+    // The loop variable shadows any outer variable of the same name until the loop ends
+    const outerVariable = this.variables.get(stmt.variable);
+    const outerDebugScope = this.debugScope;
+    this.debugScope = this.debugScopes.get(stmt) ?? outerDebugScope;
+    this.setDebugLocation(stmt);
+    const counter = this.hoistedAllocas.get(stmt);
+    this.builder.CreateStore(start, counter);
+    this.variables.set(stmt.variable, { type: 'int', value: counter });
+
+    const condBB = llvm.BasicBlock.Create(this.context, 'for_cond', this.function);
+    const bodyBB = llvm.BasicBlock.Create(this.context, 'for_body', this.function);
+    const stepBB = llvm.BasicBlock.Create(this.context, 'for_step', this.function);
+    const exitBB = llvm.BasicBlock.Create(this.context, 'for_exit', this.function);
+
+    this.builder.CreateBr(condBB);
+
+    // Condition: i <= end counting up, i >= end counting down; a literal step picks the direction statically
+    this.builder.SetInsertPoint(condBB);
+    const current = this.builder.CreateLoad(this.builder.getInt32Ty(), counter, stmt.variable);
+    let inRange;
+    if (stmt.step instanceof NumericLiteral) {
+      inRange =
+        stmt.step.value >= 0 ? this.builder.CreateICmpSLE(current, end) : this.builder.CreateICmpSGE(current, end);
+    } else {
+      const countingUp = this.builder.CreateICmpSGE(step, this.builder.getInt32(0));
+      inRange = this.builder.CreateSelect(
+        countingUp,
+        this.builder.CreateICmpSLE(current, end),
+        this.builder.CreateICmpSGE(current, end),
+      );
+    }
+    this.builder.CreateCondBr(inRange, bodyBB, exitBB);
+
+    // Body; continue jumps to the step block
+    this.builder.SetInsertPoint(bodyBB);
+    this.loops.push({ continueBB: stepBB, exitBB });
+    for (const s of stmt.body) {
+      this.translateStatement(s);
+    }
+    this.loops.pop();
+    this.branchIfOpen(stepBB);
+
+    // Step, on the line of the loop
+    this.builder.SetInsertPoint(stepBB);
+    this.setDebugLocation(stmt);
+    const value = this.builder.CreateLoad(this.builder.getInt32Ty(), counter, stmt.variable);
+    this.builder.CreateStore(this.builder.CreateAdd(value, step), counter);
     this.builder.CreateBr(condBB);
 
     // Exit
     this.builder.SetInsertPoint(exitBB);
+    this.restoreVariable(stmt.variable, outerVariable);
+    this.debugScope = outerDebugScope;
+    this.setDebugLocation(stmt);
   }
 
-  translateFunctionDeclaration(stmt) {
-    // For now, assume all functions return int (we can extend this later)
-    const returnType = this.builder.getInt32Ty();
-
-    // Get parameter types from collected signatures and inferred usage
-    const signature = this.functionSignatures.get(stmt.name) || [];
-    const inferredParamTypes = this.functionParamTypes.get(stmt.name) || [];
-
-    const paramTypes = stmt.params.map((_param, i) => {
-      // Use same logic as parameter setup: body analysis takes precedence
-      let paramType = 'int';
-      if (inferredParamTypes[i] === 'array') {
-        paramType = 'array';
-      } else {
-        const sigType = signature[i];
-        if (sigType) {
-          paramType = sigType;
-        }
+  // Put back the binding a loop variable shadowed, or remove the name if there was none
+  restoreVariable(name, outer) {
+    if (outer) {
+      this.variables.set(name, outer);
+    } else {
+      this.variables.delete(name);
+    }
+  }
+
+  // Return from the current function. main returns its value as the exit code, 0 for a bare return.
+  translateReturn(stmt) {
+    const name = this.functionDeclaration?.name;
+    const kind = name ? this.functionReturnTypes.get(name) : 'int';
+    if (stmt.argument) {
+      const type = this.getExpressionType(stmt.argument);
+      if (type !== kind) {
+        const where = name ? `'${name}' returns ${kind}` : 'the program returns int';
+        throw new LLVMTranslatorError(`Cannot return ${type}: ${where}`, stmt.loc);
+      }
+      let value = this.translateExpression(stmt.argument);
+      // A returned string must outlive the buffers freed on the way out
+      if (this.cleanup && type === 'string') {
+        value = this.ownedString(stmt.argument, value);
       }
+      this.freeOwned();
+      this.builder.CreateRet(value);
+    } else if (kind === 'void') {
+      this.freeOwned();
+      this.builder.CreateRetVoid();
+    } else if (!name) {
+      this.freeOwned();
+      this.builder.CreateRet(this.builder.getInt32(0));
+    } else {
+      throw new LLVMTranslatorError(`'${name}' returns ${kind}; 'return' needs a value`, stmt.loc);
+    }
+  }
 
-      if (paramType === 'array' || paramType === 'string') {
-        return this.builder.getInt8PtrTy();
-      } else {
-        return this.builder.getInt32Ty();
+  translateLoopJump(stmt) {
+    const loop = this.loops[this.loops.length - 1];
+    if (!loop) {
+      throw new LLVMTranslatorError(
+        `${stmt instanceof BreakStatement ? 'break' : 'continue'} outside of a loop`,
+        stmt.loc,
+      );
+    }
+    this.builder.CreateBr(stmt instanceof BreakStatement ? loop.exitBB : loop.continueBB);
+  }
+
+  // Branch to target at the end of a body, unless the body already ended in a return, break or continue
+  branchIfOpen(targetBB) {
+    if (!this.builder.GetInsertBlock().getTerminator()) {
+      this.builder.CreateBr(targetBB);
+    }
+  }
+
+  translateFunctionDeclaration(stmt) {
+    // Fix the return type before the body so recursive calls agree with it
+    const returnKind = this.functionReturnType(stmt.name);
+    this.functionReturnTypes.set(stmt.name, returnKind);
+    const returnType = returnKind === 'void' ? this.builder.getVoidTy() : this.llvmType(returnKind);
+
+    // Get parameter types from collected signatures and inferred usage. An array parameter is its pointer
+    // followed by an i32 size for each dimension.
+    const paramTypes = stmt.params.flatMap((_param, i) => {
+      const paramType = this.llvmType(this.paramType(stmt.name, i));
+      if (this.paramType(stmt.name, i) !== 'array') {
+        return [paramType];
       }
+      return [paramType, ...new Array(this.arrayParam(stmt.name, i).rank).fill(this.builder.getInt32Ty())];
     });
 
     // Create function type
@@ -1122,61 +1736,89 @@ export class LLVMTranslator {
 
     // Save current builder position, variables, and function
     const savedInsertPoint = this.builder.GetInsertBlock();
-    const savedVariables = new Map(this.variables);
+    const savedVariables = this.variables;
     const savedFunction = this.function;
+    const savedDeclaration = this.functionDeclaration;
+    const savedLoops = this.loops;
+    const savedOwnedSlots = this.ownedSlots;
+    const savedDebugScope = this.debugScope;
 
     // Set up function scope
     this.function = func;
+    this.functionDeclaration = stmt;
+    this.loops = [];
+    this.ownedSlots = [];
     this.builder.SetInsertPoint(entryBB);
-    this.variables.clear(); // Start with fresh scope
+    if (this.debug) {
+      const paramKinds = stmt.params.map((_param, i) => this.paramType(stmt.name, i));
+      this.debugFunction(func, stmt.name, stmt.loc.start.line, returnKind, paramKinds);
+      this.setDebugLocation(stmt);
+    }
+    // Functions see the program-level variables, and their own parameters and makes shadow them
+    this.variables = new Map(this.globals);
 
     // Set up parameters
+    let argIndex = 0;
+    const paramStores = [];
     for (let i = 0; i < stmt.params.length; i++) {
-      const param = func.getArg(i);
+      const param = func.getArg(argIndex++);
       param.name = stmt.params[i];
 
-      // Determine parameter type: body analysis takes precedence over call-site, then int
-      let paramType = 'int';
-      if (inferredParamTypes[i] === 'array') {
-        paramType = 'array';
-      } else {
-        const sigType = signature[i];
-        if (sigType) {
-          paramType = sigType;
-        }
-      }
+      const paramType = this.paramType(stmt.name, i);
 
       // For array parameters, use the parameter directly (it's already a pointer)
       // For other parameters, create alloca and store
       if (paramType === 'array') {
-        // Array parameters are pointers, use directly
-        this.variables.set(stmt.params[i], { type: paramType, value: param });
-      } else {
-        // Create alloca for non-array parameters
-        let llvmType;
-        if (paramType === 'string') {
-          llvmType = this.builder.getInt8PtrTy();
-        } else {
-          llvmType = this.builder.getInt32Ty();
+        // Array parameters are pointers, use directly; their dimension sizes follow them
+        const { elementType, rank } = this.arrayParam(stmt.name, i);
+        const dimensions = [];
+        for (let d = 0; d < rank; d++) {
+          const dimension = func.getArg(argIndex++);
+          dimension.name = `${stmt.params[i]}.dim${d}`;
+          dimensions.push(dimension);
         }
-
-        const alloca = this.builder.CreateAlloca(llvmType, null, stmt.params[i]);
-        this.builder.CreateStore(param, alloca);
+        this.variables.set(stmt.params[i], { type: paramType, value: param, elementType, dimensions });
+        this.debugVariable(stmt.params[i], paramType, stmt.loc, param, i + 1);
+      } else {
+        // Create alloca for non-array parameters; the stores follow the body's hoisted allocas
+        const alloca = this.builder.CreateAlloca(this.llvmType(paramType), null, stmt.params[i]);
+        paramStores.push({ param, alloca, paramType });
+        this.debugVariable(stmt.params[i], paramType, stmt.loc, alloca, i + 1);
 
         // Add to variables map
         this.variables.set(stmt.params[i], { type: paramType, value: alloca });
       }
     }
+    this.hoistAllocas(stmt.body);
+    for (const { param, alloca, paramType } of paramStores) {
+      // Cleanup builds give the function its own copy of a string, since assigning to the parameter frees
+      // its old value
+      if (this.cleanup && paramType === 'string') {
+        this.builder.CreateStore(this.copyString(param), alloca);
+        this.ownedSlots.push(alloca);
+      } else {
+        this.builder.CreateStore(param, alloca);
+      }
+    }
 
     // Translate function body
     for (const bodyStmt of stmt.body) {
       this.translateStatement(bodyStmt);
     }
 
-    // If no return statement in the current insertion block, add a default return
+    // Falling off the end of the body returns void, or the zero value of the return type
     const currentBB = this.builder.GetInsertBlock();
     if (currentBB && !currentBB.getTerminator()) {
-      this.builder.CreateRet(this.builder.getInt32(0));
+      this.freeOwned();
+      if (returnKind === 'void') {
+        this.builder.CreateRetVoid();
+      } else {
+        this.builder.CreateRet(llvm.Constant.getNullValue(this.llvmType(returnKind)));
+      }
+    }
+
+    if (this.debug) {
+      this.diBuilder.finalizeSubprogram(func.getSubprogram());
     }
 
     // Verify function
@@ -1189,5 +1831,10 @@ export class LLVMTranslator {
     this.builder.SetInsertPoint(savedInsertPoint);
     this.variables = savedVariables;
     this.function = savedFunction;
+    this.functionDeclaration = savedDeclaration;
+    this.loops = savedLoops;
+    this.ownedSlots = savedOwnedSlots;
+    this.debugScope = savedDebugScope;
+    this.setDebugLocation(stmt);
   }
 }
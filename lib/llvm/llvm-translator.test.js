@@ -3,6 +3,11 @@
  * Copyright © 2024 Jarrod Connolly
  * MIT License
  */
+import assert from 'node:assert';
+import { execFileSync, spawnSync } from 'node:child_process';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
 import { describe, it } from 'node:test';
 import {
   ArrayAccess,
@@ -10,15 +15,26 @@ import {
   ArrayDeclaration,
   AssignmentExpression,
   BinaryExpression,
+  BitwiseNotExpression,
+  BoolExpression,
+  BooleanLiteral,
+  BreakStatement,
+  CallExpression,
   CallStatement,
+  ContinueStatement,
   CosExpression,
+  ForStatement,
+  FreeStatement,
   FunctionDeclaration,
   Identifier,
   IfStatement,
+  LogicalExpression,
+  NotExpression,
   NumericLiteral,
   PrintStatement,
   Program,
   ReturnStatement,
+  SDLGetPixelStatement,
   SDLInitStatement,
   SinExpression,
   StringLiteral,
@@ -26,8 +42,32 @@ import {
   VariableDeclaration,
   WhileStatement,
 } from '../ast/ir-nodes.js';
+import { compile } from '../compiler.js';
+import { emit } from './emitter.js';
 import { LLVMTranslator } from './llvm-translator.js';
 
+const hasLli = !spawnSync('lli', ['--version']).error;
+const hasLeakSanitizer =
+  !spawnSync('llc', ['--version']).error &&
+  spawnSync('cc', ['-fsanitize=leak', '-x', 'c', '-', '-o', '/dev/null'], { input: 'int main(void) { return 0; }' })
+    .status === 0;
+
+// Run a cleanup build of source linked with LeakSanitizer, which fails the run if anything is still
+// allocated at exit
+async function runLeakChecked(source) {
+  const workDir = mkdtempSync(join(tmpdir(), 'complect-leak-'));
+  try {
+    const { code } = await compile([source], 'llvm', { cleanup: true });
+    const objectFile = join(workDir, 'program.o');
+    const file = join(workDir, 'program');
+    await emit(code, 'obj', objectFile);
+    execFileSync('cc', ['-fsanitize=leak', objectFile, '-o', file]);
+    return spawnSync(file, { timeout: 20000 });
+  } finally {
+    rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
 describe('LLVMTranslator', () => {
   it('translates function declaration', (t) => {
     const ir = new Program(
@@ -41,7 +81,13 @@ describe('LLVMTranslator', () => {
               new NumericLiteral(42, { start: { line: 2, column: 5 }, end: { line: 2, column: 7 } }),
               { start: { line: 2, column: 1 }, end: { line: 2, column: 7 } },
             ),
-            new ReturnStatement('result', { start: { line: 3, column: 3 }, end: { line: 3, column: 10 } }),
+            new ReturnStatement(
+              new Identifier('result', { start: { line: 3, column: 10 }, end: { line: 3, column: 10 } }),
+              {
+                start: { line: 3, column: 3 },
+                end: { line: 3, column: 10 },
+              },
+            ),
           ],
           { start: { line: 1, column: 1 }, end: { line: 4, column: 1 } },
         ),
@@ -67,7 +113,13 @@ describe('LLVMTranslator', () => {
               new NumericLiteral(42, { start: { line: 2, column: 5 }, end: { line: 2, column: 7 } }),
               { start: { line: 2, column: 1 }, end: { line: 2, column: 7 } },
             ),
-            new ReturnStatement('result', { start: { line: 3, column: 3 }, end: { line: 3, column: 10 } }),
+            new ReturnStatement(
+              new Identifier('result', { start: { line: 3, column: 10 }, end: { line: 3, column: 10 } }),
+              {
+                start: { line: 3, column: 3 },
+                end: { line: 3, column: 10 },
+              },
+            ),
           ],
           { start: { line: 1, column: 1 }, end: { line: 4, column: 1 } },
         ),
@@ -186,6 +238,36 @@ describe('LLVMTranslator', () => {
     t.assert.snapshot(result);
   });
 
+  it('tests strings in if and while conditions by whether they are empty', () => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    // make s 'hi' / if s / print s / endif / as s / s = '' / repeat
+    const ir = new Program(
+      [
+        new VariableDeclaration('s', new StringLiteral('hi', loc), loc, loc),
+        new IfStatement(new Identifier('s', loc), [new PrintStatement(new Identifier('s', loc), loc)], loc),
+        new WhileStatement(
+          new Identifier('s', loc),
+          [new AssignmentExpression('s', new StringLiteral('', loc), loc, loc)],
+          loc,
+        ),
+      ],
+      null,
+    );
+
+    const translator = new LLVMTranslator();
+    const result = translator.translate(ir);
+
+    // The first character of the string decides both, as not s and bool s do
+    assert.match(
+      result,
+      /%first = load i8, i8\* %s, align 1\n\s+%bool = icmp ne i8 %first, 0\n\s+br i1 %bool, label %then/,
+    );
+    assert.match(
+      result,
+      /%first\d+ = load i8, i8\* %s\d+, align 1\n\s+%bool\d+ = icmp ne i8 %first\d+, 0\n\s+br i1 %bool\d+, label %body/,
+    );
+  });
+
   it('translates sdlInit statement', (t) => {
     const ir = new Program(
       [new SDLInitStatement({ start: { line: 1, column: 1 }, end: { line: 1, column: 8 } })],
@@ -390,7 +472,7 @@ describe('LLVMTranslator', () => {
       [
         new ArrayDeclaration(
           'arr',
-          new NumericLiteral(10, { start: { line: 1, column: 10 }, end: { line: 1, column: 12 } }),
+          [new NumericLiteral(10, { start: { line: 1, column: 10 }, end: { line: 1, column: 12 } })],
           { start: { line: 1, column: 1 }, end: { line: 1, column: 13 } },
         ),
       ],
@@ -408,14 +490,14 @@ describe('LLVMTranslator', () => {
       [
         new ArrayDeclaration(
           'arr',
-          new NumericLiteral(10, { start: { line: 1, column: 10 }, end: { line: 1, column: 12 } }),
+          [new NumericLiteral(10, { start: { line: 1, column: 10 }, end: { line: 1, column: 12 } })],
           { start: { line: 1, column: 1 }, end: { line: 1, column: 13 } },
         ),
         new VariableDeclaration(
           'x',
           new ArrayAccess(
             'arr',
-            new NumericLiteral(5, { start: { line: 2, column: 8 }, end: { line: 2, column: 9 } }),
+            [new NumericLiteral(5, { start: { line: 2, column: 8 }, end: { line: 2, column: 9 } })],
             { start: { line: 2, column: 5 }, end: { line: 2, column: 10 } },
           ),
           { start: { line: 2, column: 1 }, end: { line: 2, column: 10 } },
@@ -435,12 +517,12 @@ describe('LLVMTranslator', () => {
       [
         new ArrayDeclaration(
           'arr',
-          new NumericLiteral(10, { start: { line: 1, column: 10 }, end: { line: 1, column: 12 } }),
+          [new NumericLiteral(10, { start: { line: 1, column: 10 }, end: { line: 1, column: 12 } })],
           { start: { line: 1, column: 1 }, end: { line: 1, column: 13 } },
         ),
         new ArrayAssignment(
           'arr',
-          new NumericLiteral(5, { start: { line: 2, column: 5 }, end: { line: 2, column: 6 } }),
+          [new NumericLiteral(5, { start: { line: 2, column: 5 }, end: { line: 2, column: 6 } })],
           new NumericLiteral(42, { start: { line: 2, column: 10 }, end: { line: 2, column: 12 } }),
           { start: { line: 2, column: 1 }, end: { line: 2, column: 12 } },
         ),
@@ -459,7 +541,7 @@ describe('LLVMTranslator', () => {
       [
         new ArrayDeclaration(
           'arr',
-          new NumericLiteral(10, { start: { line: 1, column: 10 }, end: { line: 1, column: 12 } }),
+          [new NumericLiteral(10, { start: { line: 1, column: 10 }, end: { line: 1, column: 12 } })],
           { start: { line: 1, column: 1 }, end: { line: 1, column: 13 } },
         ),
         new VariableDeclaration(
@@ -469,12 +551,14 @@ describe('LLVMTranslator', () => {
         ),
         new ArrayAssignment(
           'arr',
-          new BinaryExpression(
-            new Identifier('i', { start: { line: 3, column: 5 }, end: { line: 3, column: 6 } }),
-            '+',
-            new NumericLiteral(2, { start: { line: 3, column: 8 }, end: { line: 3, column: 9 } }),
-            { start: { line: 3, column: 5 }, end: { line: 3, column: 9 } },
-          ),
+          [
+            new BinaryExpression(
+              new Identifier('i', { start: { line: 3, column: 5 }, end: { line: 3, column: 6 } }),
+              '+',
+              new NumericLiteral(2, { start: { line: 3, column: 8 }, end: { line: 3, column: 9 } }),
+              { start: { line: 3, column: 5 }, end: { line: 3, column: 9 } },
+            ),
+          ],
           new NumericLiteral(99, { start: { line: 3, column: 13 }, end: { line: 3, column: 15 } }),
           { start: { line: 3, column: 1 }, end: { line: 3, column: 15 } },
         ),
@@ -487,4 +571,1108 @@ describe('LLVMTranslator', () => {
 
     t.assert.snapshot(result);
   });
+
+  it('translates sdlGetPixel statement', (t) => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const ir = new Program(
+      [
+        new VariableDeclaration('r', new NumericLiteral(0, loc), loc),
+        new VariableDeclaration('g', new NumericLiteral(0, loc), loc),
+        new VariableDeclaration('b', new NumericLiteral(0, loc), loc),
+        new SDLGetPixelStatement(new NumericLiteral(10, loc), new NumericLiteral(20, loc), 'r', 'g', 'b', loc),
+      ],
+      null,
+    );
+
+    const translator = new LLVMTranslator();
+    const result = translator.translate(ir);
+
+    t.assert.snapshot(result);
+  });
+
+  it('translates grouped expression', (t) => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    // make x (2 + 3) * 4
+    const ir = new Program(
+      [
+        new VariableDeclaration(
+          'x',
+          new BinaryExpression(
+            new BinaryExpression(new NumericLiteral(2, loc), '+', new NumericLiteral(3, loc), loc),
+            '*',
+            new NumericLiteral(4, loc),
+            loc,
+          ),
+          loc,
+        ),
+        new PrintStatement(new Identifier('x', loc), loc),
+      ],
+      null,
+    );
+
+    const translator = new LLVMTranslator();
+    const result = translator.translate(ir);
+
+    t.assert.snapshot(result);
+  });
+
+  it('translates if statement with elseif and else', (t) => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const print = (value) => new PrintStatement(new NumericLiteral(value, loc), loc);
+    const ir = new Program(
+      [
+        new VariableDeclaration('x', new NumericLiteral(2, loc), loc),
+        new IfStatement(
+          new BinaryExpression(new Identifier('x', loc), '==', new NumericLiteral(1, loc), loc),
+          [print(1)],
+          loc,
+          [
+            new IfStatement(
+              new BinaryExpression(new Identifier('x', loc), '==', new NumericLiteral(2, loc), loc),
+              [print(2)],
+              loc,
+              [print(3)],
+            ),
+          ],
+        ),
+      ],
+      null,
+    );
+
+    const translator = new LLVMTranslator();
+    const result = translator.translate(ir);
+
+    t.assert.snapshot(result);
+  });
+
+  it('translates break and continue', (t) => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const i = () => new Identifier('i', loc);
+    // as 1: i = i + 1; if i == 2 continue endif; if i > 3 break endif; print i
+    const ir = new Program(
+      [
+        new VariableDeclaration('i', new NumericLiteral(0, loc), loc),
+        new WhileStatement(
+          new NumericLiteral(1, loc),
+          [
+            new AssignmentExpression('i', new BinaryExpression(i(), '+', new NumericLiteral(1, loc), loc), loc),
+            new IfStatement(
+              new BinaryExpression(i(), '==', new NumericLiteral(2, loc), loc),
+              [new ContinueStatement(loc)],
+              loc,
+            ),
+            new IfStatement(
+              new BinaryExpression(i(), '>', new NumericLiteral(3, loc), loc),
+              [new BreakStatement(loc)],
+              loc,
+            ),
+            new PrintStatement(i(), loc),
+          ],
+          loc,
+        ),
+      ],
+      null,
+    );
+
+    const translator = new LLVMTranslator();
+    const result = translator.translate(ir);
+
+    t.assert.snapshot(result);
+  });
+
+  it('translates for loop', (t) => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    // for i 10 to 0 step -5 ... print i ... next
+    const ir = new Program(
+      [
+        new ForStatement(
+          'i',
+          new NumericLiteral(10, loc),
+          new NumericLiteral(0, loc),
+          new NumericLiteral(-5, loc),
+          [new PrintStatement(new Identifier('i', loc), loc)],
+          loc,
+        ),
+      ],
+      null,
+    );
+
+    const translator = new LLVMTranslator();
+    const result = translator.translate(ir);
+
+    t.assert.snapshot(result);
+  });
+
+  it('for loop variable is scoped to the loop', () => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const ir = new Program(
+      [
+        new ForStatement(
+          'i',
+          new NumericLiteral(0, loc),
+          new NumericLiteral(1, loc),
+          new NumericLiteral(1, loc),
+          [],
+          loc,
+        ),
+        new PrintStatement(new Identifier('i', loc), loc),
+      ],
+      null,
+    );
+
+    const translator = new LLVMTranslator();
+    assert.throws(() => translator.translate(ir), /Undefined variable: i/);
+  });
+
+  it('hoists allocas for variables made inside loops into the entry block', () => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    // func double / for i 1 to 3 / make total i * 2 / print total / next / end
+    const ir = new Program(
+      [
+        new FunctionDeclaration(
+          'double',
+          [],
+          [
+            new ForStatement(
+              'i',
+              new NumericLiteral(1, loc),
+              new NumericLiteral(3, loc),
+              new NumericLiteral(1, loc),
+              [
+                new VariableDeclaration(
+                  'total',
+                  new BinaryExpression(new Identifier('i', loc), '*', new NumericLiteral(2, loc), loc),
+                  loc,
+                ),
+                new PrintStatement(new Identifier('total', loc), loc),
+              ],
+              loc,
+            ),
+          ],
+          loc,
+        ),
+      ],
+      null,
+    );
+
+    const translator = new LLVMTranslator();
+    const result = translator.translate(ir);
+
+    // Both slots are allocated once, before the loop starts
+    assert.match(result, /@double\(\) {\nentry:\n\s+%i = alloca i32, align 4\n\s+%total = alloca i32, align 4\n/);
+    // The loop body only stores into the hoisted slot
+    const body = result.slice(result.indexOf('for_body:'), result.indexOf('for_step:'));
+    assert.doesNotMatch(body, /alloca/);
+    assert.match(body, /store i32 %\w+, i32\* %total/);
+  });
+
+  it('translates call expressions with inferred types', (t) => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    // func greet name / make msg "hi " + name / return msg / end
+    // make who "bob" / print greet(who) / print add(greet(who) 1)
+    const ir = new Program(
+      [
+        new FunctionDeclaration(
+          'greet',
+          ['name'],
+          [
+            new VariableDeclaration(
+              'msg',
+              new BinaryExpression(new StringLiteral('hi ', loc), '+', new Identifier('name', loc), loc),
+              loc,
+            ),
+            new ReturnStatement(new Identifier('msg', loc), loc),
+          ],
+          loc,
+        ),
+        new VariableDeclaration('who', new StringLiteral('bob', loc), loc),
+        new PrintStatement(new CallExpression('greet', [new Identifier('who', loc)], loc), loc),
+      ],
+      null,
+    );
+
+    const translator = new LLVMTranslator();
+    const result = translator.translate(ir);
+
+    assert.match(result, /define internal i8\* @greet\(i8\* %0\)/);
+    t.assert.snapshot(result);
+  });
+
+  it('call expression to an undefined function', () => {
+    const loc = { start: { line: 2, column: 7 }, end: { line: 2, column: 9 } };
+    const ir = new Program([new PrintStatement(new CallExpression('nope', [], loc), loc)], null);
+
+    const translator = new LLVMTranslator();
+    assert.throws(
+      () => translator.translate(ir),
+      (err) => err.message === 'Undefined function: nope' && err.loc === loc,
+    );
+  });
+
+  it('translates early returns and void functions', (t) => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    // func clamp n / if n > 9 / return 9 / endif / as n < 0 / return 0 / repeat / return n / end
+    // func show n / if n == 0 / return / endif / print n / end
+    const ir = new Program(
+      [
+        new FunctionDeclaration(
+          'clamp',
+          ['n'],
+          [
+            new IfStatement(
+              new BinaryExpression(new Identifier('n', loc), '>', new NumericLiteral(9, loc), loc),
+              [new ReturnStatement(new NumericLiteral(9, loc), loc)],
+              loc,
+            ),
+            new WhileStatement(
+              new BinaryExpression(new Identifier('n', loc), '<', new NumericLiteral(0, loc), loc),
+              [new ReturnStatement(new NumericLiteral(0, loc), loc)],
+              loc,
+            ),
+            new ReturnStatement(new Identifier('n', loc), loc),
+          ],
+          loc,
+        ),
+        new FunctionDeclaration(
+          'show',
+          ['n'],
+          [
+            new IfStatement(
+              new BinaryExpression(new Identifier('n', loc), '==', new NumericLiteral(0, loc), loc),
+              [new ReturnStatement(null, loc)],
+              loc,
+            ),
+            new PrintStatement(new Identifier('n', loc), loc),
+          ],
+          loc,
+        ),
+        new CallStatement('show', [new CallExpression('clamp', [new NumericLiteral(12, loc)], loc)], null, loc),
+      ],
+      null,
+    );
+
+    const translator = new LLVMTranslator();
+    const result = translator.translate(ir);
+
+    assert.match(result, /define internal void @show\(i32 %0\)/);
+    t.assert.snapshot(result);
+  });
+
+  it('rejects using the result of a void function', () => {
+    const loc = { start: { line: 4, column: 1 }, end: { line: 4, column: 1 } };
+    const ir = new Program(
+      [
+        new FunctionDeclaration('nothing', [], [new ReturnStatement(null, loc)], loc),
+        new VariableDeclaration('r', new NumericLiteral(0, loc), loc),
+        new CallStatement('nothing', [], 'r', loc),
+      ],
+      null,
+    );
+
+    const translator = new LLVMTranslator();
+    assert.throws(() => translator.translate(ir), /'nothing' does not return a value/);
+  });
+
+  it('rejects a bare return in a function that returns a value', () => {
+    const loc = { start: { line: 2, column: 3 }, end: { line: 2, column: 3 } };
+    const ir = new Program(
+      [
+        new FunctionDeclaration(
+          'f',
+          ['n'],
+          [new ReturnStatement(null, loc), new ReturnStatement(new Identifier('n', loc), loc)],
+          loc,
+        ),
+      ],
+      null,
+    );
+
+    const translator = new LLVMTranslator();
+    assert.throws(
+      () => translator.translate(ir),
+      (err) => err.message === "'f' returns int; 'return' needs a value" && err.loc === loc,
+    );
+  });
+
+  it('translates booleans', (t) => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    // make ok true / make big 5 > 3 / print ok / print "big " + big / print big + 1 / print bool "x"
+    const ir = new Program(
+      [
+        new VariableDeclaration('ok', new BooleanLiteral(true, loc), loc),
+        new VariableDeclaration(
+          'big',
+          new BinaryExpression(new NumericLiteral(5, loc), '>', new NumericLiteral(3, loc), loc),
+          loc,
+        ),
+        new PrintStatement(new Identifier('ok', loc), loc),
+        new PrintStatement(
+          new BinaryExpression(new StringLiteral('big ', loc), '+', new Identifier('big', loc), loc),
+          loc,
+        ),
+        new PrintStatement(new BinaryExpression(new Identifier('big', loc), '+', new NumericLiteral(1, loc), loc), loc),
+        new PrintStatement(new BoolExpression(new StringLiteral('x', loc), loc), loc),
+      ],
+      null,
+    );
+
+    const translator = new LLVMTranslator();
+    const result = translator.translate(ir);
+
+    assert.match(result, /@ok\.global = internal global i1 false/);
+    t.assert.snapshot(result);
+  });
+
+  it('rejects assigning a number to a bool variable', () => {
+    const loc = { start: { line: 2, column: 1 }, end: { line: 2, column: 1 } };
+    const ir = new Program(
+      [
+        new VariableDeclaration('done', new BooleanLiteral(false, loc), loc),
+        new AssignmentExpression('done', new NumericLiteral(1, loc), loc),
+      ],
+      null,
+    );
+
+    const translator = new LLVMTranslator();
+    assert.throws(
+      () => translator.translate(ir),
+      (err) => err.message === "Cannot assign int to bool variable 'done'" && err.loc === loc,
+    );
+  });
+
+  it('translates short-circuit logical operators', (t) => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    // make x 5 / print x > 0 and x < 10 or not true
+    const ir = new Program(
+      [
+        new VariableDeclaration('x', new NumericLiteral(5, loc), loc),
+        new PrintStatement(
+          new LogicalExpression(
+            new LogicalExpression(
+              new BinaryExpression(new Identifier('x', loc), '>', new NumericLiteral(0, loc), loc),
+              'and',
+              new BinaryExpression(new Identifier('x', loc), '<', new NumericLiteral(10, loc), loc),
+              loc,
+            ),
+            'or',
+            new NotExpression(new BooleanLiteral(true, loc), loc),
+            loc,
+          ),
+          loc,
+        ),
+      ],
+      null,
+    );
+
+    const translator = new LLVMTranslator();
+    const result = translator.translate(ir);
+
+    assert.match(result, /%and = phi i1 \[ false, %entry \], \[ %lt, %and_rhs \]/);
+    t.assert.snapshot(result);
+  });
+
+  it('rejects logical operators on numbers', () => {
+    const loc = { start: { line: 1, column: 7 }, end: { line: 1, column: 7 } };
+    const ir = new Program(
+      [
+        new PrintStatement(
+          new LogicalExpression(new BooleanLiteral(true, loc), 'or', new NumericLiteral(1, loc), loc),
+          loc,
+        ),
+      ],
+      null,
+    );
+
+    const translator = new LLVMTranslator();
+    assert.throws(() => translator.translate(ir), /'or' needs bool operands, got int/);
+  });
+
+  it('translates bitwise operators', (t) => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const ir = new Program(
+      [
+        new VariableDeclaration('c', new NumericLiteral(0x123456, loc), loc),
+        new VariableDeclaration('n', new NumericLiteral(8, loc), loc),
+        new PrintStatement(
+          new BinaryExpression(
+            new BinaryExpression(new Identifier('c', loc), '>>', new Identifier('n', loc), loc),
+            '&',
+            new NumericLiteral(255, loc),
+            loc,
+          ),
+          loc,
+        ),
+        new PrintStatement(
+          new BinaryExpression(
+            new BinaryExpression(new Identifier('c', loc), '<<', new NumericLiteral(4, loc), loc),
+            '^',
+            new BinaryExpression(
+              new BitwiseNotExpression(new Identifier('c', loc), loc),
+              '|',
+              new NumericLiteral(1, loc),
+              loc,
+            ),
+            loc,
+          ),
+          loc,
+        ),
+      ],
+      null,
+    );
+
+    const translator = new LLVMTranslator();
+    const result = translator.translate(ir);
+
+    assert.match(result, /%shamt = and i32 %n\d*, 31\n\s+%shr = ashr i32 %c\d*, %shamt/);
+    assert.match(result, /%bitnot = xor i32 %c\d*, -1/);
+    t.assert.snapshot(result);
+  });
+
+  it('translates compound assignment', (t) => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const ir = new Program(
+      [
+        new VariableDeclaration('total', new NumericLiteral(10, loc), loc),
+        new AssignmentExpression('total', new NumericLiteral(3, loc), loc, loc, '*'),
+        new VariableDeclaration('name', new StringLiteral('a', loc), loc),
+        new AssignmentExpression('name', new StringLiteral('b', loc), loc, loc, '+'),
+      ],
+      null,
+    );
+
+    const translator = new LLVMTranslator();
+    const result = translator.translate(ir);
+
+    assert.match(result, /%mul = mul i32 %total\d*, 3\n\s+store i32 %mul, i32\* @total\.global/);
+    t.assert.snapshot(result);
+  });
+
+  it('evaluates the index of an array compound assignment once', (t) => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const ir = new Program(
+      [
+        new FunctionDeclaration('slot', [], [new ReturnStatement(new NumericLiteral(2, loc), loc)], loc),
+        new ArrayDeclaration('arr', [new NumericLiteral(4, loc)], loc),
+        new ArrayAssignment(
+          'arr',
+          [new CallExpression('slot', [], loc, loc)],
+          new NumericLiteral(5, loc),
+          loc,
+          loc,
+          '+',
+        ),
+      ],
+      null,
+    );
+
+    const translator = new LLVMTranslator();
+    const result = translator.translate(ir);
+
+    assert.strictEqual(result.match(/call i32 @slot\(\)/g).length, 1);
+    assert.match(result, /%add = add i32 %arrayElement, 5/);
+    t.assert.snapshot(result);
+  });
+
+  it('copies array initial values from a constant table', (t) => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const ir = new Program(
+      [
+        new ArrayDeclaration(
+          'pal',
+          [new NumericLiteral(256, loc)],
+          loc,
+          loc,
+          [new NumericLiteral(0, loc), new NumericLiteral(60, loc), new NumericLiteral(255, loc)],
+          'byte',
+        ),
+        new VariableDeclaration('n', new NumericLiteral(2, loc), loc),
+        new ArrayDeclaration('small', [new Identifier('n', loc)], loc, loc, [
+          new NumericLiteral(7, loc),
+          new NumericLiteral(8, loc),
+          new NumericLiteral(9, loc),
+        ]),
+      ],
+      null,
+    );
+
+    const translator = new LLVMTranslator();
+    const result = translator.translate(ir);
+
+    assert.match(result, /@pal\.init = private constant \[3 x i8\] c"\\00<\\FF"/);
+    assert.match(
+      result,
+      /call i8\* @memset\(i8\* %arrayPtr, i32 0, i64 256\)\n\s+%\d+ = call i8\* @memcpy\(i8\* %arrayPtr, .*@pal\.init.*, i64 3\)/,
+    );
+    assert.match(result, /call i8\* @memset\(i8\* %arrayPtr1, i32 0, i64 %arrayBytes\)/);
+    assert.match(result, /@small\.init = private constant \[3 x i32\] \[i32 7, i32 8, i32 9\]/);
+    assert.match(result, /%initLength = select i1 %\d+, i32 %n\d*, i32 3/);
+    t.assert.snapshot(result);
+  });
+
+  it(
+    'starts the elements after the initial values at zero in both backends',
+    { skip: !hasLli && 'lli not installed' },
+    async () => {
+      const source = 'make arr[5] = [1, 2, 3]\narr[4]--\nprint arr[4]\nmake pal[4] byte = [7]\nprint pal[3]\n';
+
+      const llvmOutput = execFileSync('lli', [], { input: (await compile([source], 'llvm')).code, timeout: 20000 });
+      const jsOutput = execFileSync(process.execPath, ['-'], { input: (await compile([source], 'babel')).code });
+      assert.strictEqual(llvmOutput.toString(), '-1\n0\n');
+      assert.strictEqual(jsOutput.toString(), '-1\n0\n');
+    },
+  );
+
+  it('stores byte arrays as i8 and int32 arrays as i32', (t) => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const ir = new Program(
+      [
+        new ArrayDeclaration('fb', [new NumericLiteral(100, loc)], loc, loc, null, 'byte'),
+        new ArrayDeclaration('big', [new NumericLiteral(100, loc)], loc, loc, null, 'int32'),
+        new ArrayAssignment('fb', [new NumericLiteral(0, loc)], new NumericLiteral(300, loc), loc, loc),
+        new ArrayAssignment('big', [new NumericLiteral(0, loc)], new NumericLiteral(300, loc), loc, loc),
+        new PrintStatement(new ArrayAccess('big', [new NumericLiteral(0, loc)], loc), loc),
+      ],
+      null,
+    );
+
+    const translator = new LLVMTranslator();
+    const result = translator.translate(ir);
+
+    assert.match(result, /%arrayPtr = call i8\* @malloc\(i64 100\)/);
+    assert.match(result, /%arrayPtr1 = call i8\* @malloc\(i64 400\)/);
+    assert.match(result, /store i8 44, i8\* %elementPtr/);
+    assert.match(result, /store i32 300, i32\* %elementPtr/);
+    t.assert.snapshot(result);
+  });
+
+  it('array parameters take the element type of the arrays passed to them', (t) => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const ir = new Program(
+      [
+        new FunctionDeclaration(
+          'clear',
+          ['buf'],
+          [new ArrayAssignment('buf', [new NumericLiteral(0, loc)], new NumericLiteral(0, loc), loc, loc)],
+          loc,
+        ),
+        new ArrayDeclaration('fb', [new NumericLiteral(100, loc)], loc, loc, null, 'byte'),
+        new CallStatement('clear', [new Identifier('fb', loc)], null, loc),
+      ],
+      null,
+    );
+
+    const translator = new LLVMTranslator();
+    const result = translator.translate(ir);
+
+    assert.match(
+      result,
+      /define internal void @clear\(i8\* %0, i32 %1\) {\nentry:\n\s+%elementPtr = getelementptr i8, i8\* %0/,
+    );
+    t.assert.snapshot(result);
+  });
+
+  it('rejects passing arrays of different element types to one parameter', () => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const argLoc = { start: { line: 4, column: 12 }, end: { line: 4, column: 14 } };
+    const ir = new Program(
+      [
+        new FunctionDeclaration(
+          'clear',
+          ['buf'],
+          [new ArrayAssignment('buf', [new NumericLiteral(0, loc)], new NumericLiteral(0, loc), loc, loc)],
+          loc,
+        ),
+        new ArrayDeclaration('fb', [new NumericLiteral(100, loc)], loc, loc, null, 'byte'),
+        new ArrayDeclaration('big', [new NumericLiteral(100, loc)], loc, loc),
+        new CallStatement('clear', [new Identifier('fb', loc)], null, loc),
+        new CallStatement('clear', [new Identifier('big', argLoc)], null, loc),
+      ],
+      null,
+    );
+
+    const translator = new LLVMTranslator();
+    assert.throws(
+      () => translator.translate(ir),
+      (err) => {
+        assert.strictEqual(err.message, "'clear' is passed both byte and int32 arrays as argument 1");
+        assert.deepStrictEqual(err.loc, argLoc);
+        return true;
+      },
+    );
+  });
+
+  it('stores multi-dimensional arrays flat in row-major order', (t) => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const ir = new Program(
+      [
+        new FunctionDeclaration(
+          'corner',
+          ['grid'],
+          [
+            new ReturnStatement(
+              new ArrayAccess('grid', [new NumericLiteral(2, loc), new NumericLiteral(3, loc)], loc),
+              loc,
+            ),
+          ],
+          loc,
+        ),
+        new VariableDeclaration('h', new NumericLiteral(3, loc), loc, loc),
+        new ArrayDeclaration('grid', [new Identifier('h', loc), new NumericLiteral(4, loc)], loc, loc),
+        new ArrayAssignment(
+          'grid',
+          [new Identifier('h', loc), new NumericLiteral(1, loc)],
+          new NumericLiteral(7, loc),
+          loc,
+          loc,
+        ),
+        new PrintStatement(new CallExpression('corner', [new Identifier('grid', loc)], loc, loc), loc),
+      ],
+      null,
+    );
+
+    const translator = new LLVMTranslator();
+    const result = translator.translate(ir);
+
+    // grid[h][1] is element h * 4 + 1 of h * 4, and the callee receives both dimensions
+    assert.match(result, /%arraySize = mul i32 %h\d*, 4/);
+    assert.match(result, /%rowStart = mul i32 %h\d*, 4\n\s+%flatIndex = add i32 %rowStart, 1/);
+    assert.match(result, /call i32 @corner\(i8\* %arrayPtr, i32 %h\d*, i32 4\)/);
+    assert.match(result, /define internal i32 @corner\(i8\* %0, i32 %1, i32 %2\)/);
+    assert.match(result, /%rowStart = mul i32 2, %2/);
+    t.assert.snapshot(result);
+  });
+
+  it('rejects indexing an array with the wrong number of indices', () => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const accessLoc = { start: { line: 2, column: 7 }, end: { line: 2, column: 11 } };
+    const ir = new Program(
+      [
+        new ArrayDeclaration('grid', [new NumericLiteral(2, loc), new NumericLiteral(2, loc)], loc, loc),
+        new PrintStatement(new ArrayAccess('grid', [new NumericLiteral(1, loc)], accessLoc), loc),
+      ],
+      null,
+    );
+
+    const translator = new LLVMTranslator();
+    assert.throws(
+      () => translator.translate(ir),
+      (err) => {
+        assert.strictEqual(err.message, "Array 'grid' has 2 dimensions but 1 index");
+        assert.deepStrictEqual(err.loc, accessLoc);
+        return true;
+      },
+    );
+  });
+
+  it('rejects passing arrays with different dimensions to one parameter', () => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const argLoc = { start: { line: 4, column: 12 }, end: { line: 4, column: 14 } };
+    const ir = new Program(
+      [
+        new FunctionDeclaration('clear', ['buf'], [new ReturnStatement(null, loc)], loc),
+        new ArrayDeclaration('row', [new NumericLiteral(4, loc)], loc, loc),
+        new ArrayDeclaration('grid', [new NumericLiteral(4, loc), new NumericLiteral(4, loc)], loc, loc),
+        new CallStatement('clear', [new Identifier('row', loc)], null, loc),
+        new CallStatement('clear', [new Identifier('grid', argLoc)], null, loc),
+      ],
+      null,
+    );
+
+    const translator = new LLVMTranslator();
+    assert.throws(
+      () => translator.translate(ir),
+      (err) => {
+        assert.strictEqual(err.message, "'clear' is passed both 1- and 2-dimensional arrays as argument 1");
+        assert.deepStrictEqual(err.loc, argLoc);
+        return true;
+      },
+    );
+  });
+
+  it('checks array indices in checked builds', (t) => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const accessLoc = { start: { line: 42, column: 5 }, end: { line: 42, column: 13 } };
+    const ir = new Program(
+      [
+        new ArrayDeclaration('paletteR', [new NumericLiteral(256, loc)], loc, loc, null, 'byte'),
+        new VariableDeclaration('i', new NumericLiteral(300, loc), loc, loc),
+        new PrintStatement(new ArrayAccess('paletteR', [new Identifier('i', loc)], accessLoc), loc),
+      ],
+      null,
+    );
+
+    const translator = new LLVMTranslator({ checked: true });
+    const result = translator.translate(ir);
+
+    assert.match(result, /c"index %d out of bounds for 'paletteR' \(size %d\) at line 42, col 5\\0A\\00"/);
+    assert.match(
+      result,
+      /%inBounds = icmp ult i32 %i\d*, 256\n\s+br i1 %inBounds, label %in_bounds, label %out_of_bounds/,
+    );
+    assert.match(result, /call void @exit\(i32 1\)\n\s+unreachable/);
+    t.assert.snapshot(result);
+  });
+
+  it('leaves array indices unchecked by default', () => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const ir = new Program(
+      [
+        new ArrayDeclaration('arr', [new NumericLiteral(4, loc)], loc, loc),
+        new PrintStatement(new ArrayAccess('arr', [new NumericLiteral(9, loc)], loc), loc),
+      ],
+      null,
+    );
+
+    const translator = new LLVMTranslator();
+    const result = translator.translate(ir);
+
+    assert.doesNotMatch(result, /out_of_bounds|dprintf/);
+  });
+
+  it('frees arrays and clears freed strings', () => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const ir = new Program(
+      [
+        new ArrayDeclaration('buf', [new NumericLiteral(16, loc)], loc, loc),
+        new FreeStatement('buf', loc, loc),
+        new VariableDeclaration('name', new StringLiteral('bob', loc), loc, loc),
+        new FreeStatement('name', loc, loc),
+      ],
+      null,
+    );
+
+    const translator = new LLVMTranslator();
+    const result = translator.translate(ir);
+
+    assert.match(result, /call void @free\(i8\* %arrayPtr\)/);
+    // A later assignment frees the old value again, which is then a no-op
+    assert.match(result, /call void @free\(i8\* %\d+\)\n\s+store i8\* null, i8\*\* @name\.global/);
+  });
+
+  it('frees owned arrays and strings on return in cleanup builds', (t) => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const ir = new Program(
+      [
+        new FunctionDeclaration(
+          'label',
+          ['name'],
+          [
+            new ForStatement(
+              'i',
+              new NumericLiteral(1, loc),
+              new NumericLiteral(3, loc),
+              new NumericLiteral(1, loc),
+              [new ArrayDeclaration('row', [new Identifier('i', loc)], loc, loc, null, 'byte')],
+              loc,
+              loc,
+            ),
+            new VariableDeclaration('msg', new StringLiteral('hi ', loc), loc, loc),
+            new ReturnStatement(
+              new BinaryExpression(new Identifier('msg', loc), '+', new Identifier('name', loc), loc),
+              loc,
+            ),
+          ],
+          loc,
+        ),
+        new VariableDeclaration('who', new StringLiteral('bob', loc), loc, loc),
+        new VariableDeclaration('out', new StringLiteral('', loc), loc, loc),
+        new CallStatement('label', [new Identifier('who', loc)], 'out', loc, loc, loc),
+      ],
+      null,
+    );
+
+    const translator = new LLVMTranslator({ cleanup: true });
+    const result = translator.translate(ir);
+
+    // Each owned buffer has a null-initialized slot in the entry block
+    assert.match(
+      result,
+      /%msg = alloca i8\*, align 8\n\s+store i8\* null, i8\*\* %row, align 8\n\s+store i8\* null, i8\*\* %msg/,
+    );
+    // The loop frees the previous pass's array before allocating the next
+    assert.match(
+      result,
+      /%\d+ = load i8\*, i8\*\* %row, align 8\n\s+call void @free\(i8\* %\d+\)\n\s+%arrayPtr = call i8\* @malloc/,
+    );
+    // The string parameter is copied, and the result is built before the frees on return
+    assert.match(
+      result,
+      /%buffer = call i8\* @malloc\(i64 %allocSize\)\n\s+%strcpy = call i8\* @strcpy\(i8\* %buffer, i8\* %0\)/,
+    );
+    assert.match(
+      result,
+      /%concat = [^\n]+\n(\s+%\d+ = load i8\*[^\n]+\n\s+call void @free\(i8\* %\d+\)\n){3}\s+ret i8\* %buffer/,
+    );
+    t.assert.snapshot(result);
+  });
+
+  it(
+    'frees the strings calls return inside expressions in cleanup builds',
+    { skip: !hasLeakSanitizer && 'llc or a cc with LeakSanitizer not installed' },
+    async () => {
+      const { status, stdout, stderr } = await runLeakChecked(
+        [
+          'func shout s',
+          "  return s + '!'",
+          'end',
+          "print shout('hey')",
+          "make t shout('a') + 'b'",
+          'print t',
+          "if shout('x') == 'x!'",
+          "  print 'same'",
+          'endif',
+          "print not shout('')",
+          "make u ''",
+          "call shout shout('twice') into u",
+          'print u',
+        ].join('\n'),
+      );
+      assert.strictEqual(stderr.toString(), '');
+      assert.strictEqual(status, 0);
+      assert.strictEqual(stdout.toString(), 'hey!\na!b\nsame\nfalse\ntwice!!\n');
+    },
+  );
+
+  it(
+    'frees concatenations used inside expressions in cleanup builds',
+    { skip: !hasLeakSanitizer && 'llc or a cc with LeakSanitizer not installed' },
+    async () => {
+      const { status, stdout, stderr } = await runLeakChecked(
+        [
+          'func name n',
+          "  return 'n' + n",
+          'end',
+          'func twice s',
+          '  return s + s',
+          'end',
+          "make a 'x'",
+          "print a + 'y'",
+          'print name(2) + name(3)',
+          "print a + 'b' + 'c'",
+          "if a + 'z' == 'xz'",
+          "  print 'same'",
+          'endif',
+          "print not a + ''",
+          "make u ''",
+          "call twice a + 'q' into u",
+          'print u',
+        ].join('\n'),
+      );
+      assert.strictEqual(stderr.toString(), '');
+      assert.strictEqual(status, 0);
+      assert.strictEqual(stdout.toString(), 'xy\nn2n3\nxbc\nsame\nfalse\nxqxq\n');
+    },
+  );
+
+  it('lets functions read and write program-level variables', (t) => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    // make count 0 / make grid[2][3] / func bump / count += grid[1][2] / end / call bump
+    const ir = new Program(
+      [
+        new VariableDeclaration('count', new NumericLiteral(0, loc), loc, loc),
+        new ArrayDeclaration('grid', [new NumericLiteral(2, loc), new NumericLiteral(3, loc)], loc, loc),
+        new FunctionDeclaration(
+          'bump',
+          [],
+          [
+            new AssignmentExpression(
+              'count',
+              new ArrayAccess('grid', [new NumericLiteral(1, loc), new NumericLiteral(2, loc)], loc),
+              loc,
+              loc,
+              '+',
+            ),
+          ],
+          loc,
+        ),
+        new CallStatement('bump', [], null, loc, loc, loc),
+        new PrintStatement(new Identifier('count', loc), loc),
+      ],
+      null,
+    );
+
+    const translator = new LLVMTranslator();
+    const result = translator.translate(ir);
+
+    assert.match(result, /@count\.global = internal global i32 0/);
+    // main keeps the array's pointer and dimensions in globals
+    assert.match(
+      result,
+      /store i8\* %arrayPtr, i8\*\* @grid\.global, align 8\n\s+store i32 2, i32\* @grid\.dim0\.global, align 4\n\s+store i32 3, i32\* @grid\.dim1\.global/,
+    );
+    // The function loads them where it uses the array
+    assert.match(result, /define internal void @bump\(\) {\nentry:\n\s+%count = load i32, i32\* @count\.global/);
+    assert.match(result, /%grid = load i8\*, i8\*\* @grid\.global/);
+    assert.match(result, /load i32, i32\* @grid\.dim1\.global/);
+    assert.match(result, /store i32 %add, i32\* @count\.global/);
+    t.assert.snapshot(result);
+  });
+
+  it('gives a program-level variable made again one global', () => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const ir = new Program(
+      [
+        new VariableDeclaration('n', new NumericLiteral(1, loc), loc, loc),
+        new FunctionDeclaration('show', [], [new PrintStatement(new Identifier('n', loc), loc)], loc),
+        new VariableDeclaration('n', new NumericLiteral(2, loc), loc, loc),
+        new CallStatement('show', [], null, loc, loc, loc),
+      ],
+      null,
+    );
+
+    const translator = new LLVMTranslator();
+    const result = translator.translate(ir);
+
+    assert.match(result, /store i32 1, i32\* @n\.global/);
+    assert.match(result, /store i32 2, i32\* @n\.global/);
+    assert.doesNotMatch(result, /@n\.global\.\d/);
+  });
+
+  it('keeps function makes and parameters local when they share a global name', () => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const ir = new Program(
+      [
+        new VariableDeclaration('x', new NumericLiteral(1, loc), loc, loc),
+        new VariableDeclaration('y', new NumericLiteral(2, loc), loc, loc),
+        new FunctionDeclaration(
+          'show',
+          ['x'],
+          [
+            new VariableDeclaration('y', new StringLiteral('local', loc), loc, loc),
+            new PrintStatement(new Identifier('x', loc), loc),
+            new PrintStatement(new Identifier('y', loc), loc),
+          ],
+          loc,
+        ),
+        new CallStatement('show', [new NumericLiteral(3, loc)], null, loc, loc, loc),
+      ],
+      null,
+    );
+
+    const translator = new LLVMTranslator();
+    const result = translator.translate(ir);
+    const body = result.slice(result.indexOf('define internal void @show'));
+
+    assert.match(body, /%x = alloca i32/);
+    assert.match(body, /%y = alloca i8\*/);
+    assert.doesNotMatch(body, /@[xy]\.global/);
+  });
+
+  it('sizes pointers and lengths by the data layout of the target', () => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const ir = new Program(
+      [
+        new VariableDeclaration(
+          's',
+          new BinaryExpression(new StringLiteral('a', loc), '+', new StringLiteral('b', loc), loc),
+          loc,
+          loc,
+        ),
+        new ArrayDeclaration('arr', [new NumericLiteral(4, loc)], loc, loc),
+      ],
+      null,
+    );
+
+    const i686 = new LLVMTranslator({ target: 'i686-linux-gnu' }).translate(ir);
+    assert.match(i686, /^target triple = "i686-linux-gnu"$/m);
+    assert.match(i686, /^target datalayout = "e-m:e-p:32:32-.*"$/m);
+    assert.match(i686, /declare i8\* @malloc\(i32\)/);
+    assert.match(i686, /declare i32 @strlen\(i8\*\)/);
+    assert.doesNotMatch(i686, /i64/);
+
+    const aarch64 = new LLVMTranslator({ target: 'aarch64-linux-gnu' }).translate(ir);
+    assert.match(aarch64, /^target triple = "aarch64-linux-gnu"$/m);
+    assert.match(aarch64, /declare i8\* @malloc\(i64\)/);
+    assert.match(aarch64, /declare i64 @strlen\(i8\*\)/);
+  });
+
+  it('rejects unsupported targets', () => {
+    assert.throws(() => new LLVMTranslator({ target: 'mips-linux-gnu' }), /Unsupported target: mips-linux-gnu/);
+    // Mach-O and COFF targets mangle names differently from the ELF layouts of their architectures
+    for (const target of ['x86_64-apple-darwin', 'aarch64-apple-macosx11.0.0', 'x86_64-pc-windows-msvc']) {
+      assert.throws(
+        () => new LLVMTranslator({ target }),
+        new RegExp(`Unsupported target: ${target} \\(only ELF and WebAssembly targets are supported\\)`),
+      );
+    }
+  });
+
+  it('describes the program in debug info in debug builds', () => {
+    const at = (line, column = 1) => ({ start: { line, column }, end: { line, column } });
+    // func double n / make twice n * 2 / return twice / end
+    // make total 0 / for i 1 to 3 / total += double(i) / next / print total
+    const ir = new Program(
+      [
+        new FunctionDeclaration(
+          'double',
+          ['n'],
+          [
+            new VariableDeclaration(
+              'twice',
+              new BinaryExpression(new Identifier('n', at(2, 14)), '*', new NumericLiteral(2, at(2, 18)), at(2, 14)),
+              at(2, 3),
+            ),
+            new ReturnStatement(new Identifier('twice', at(3, 10)), at(3, 3)),
+          ],
+          at(1),
+        ),
+        new VariableDeclaration('total', new NumericLiteral(0, at(6, 12)), at(6)),
+        new ForStatement(
+          'i',
+          new NumericLiteral(1, at(7, 7)),
+          new NumericLiteral(3, at(7, 12)),
+          new NumericLiteral(1, at(7)),
+          [
+            new AssignmentExpression(
+              'total',
+              new CallExpression('double', [new Identifier('i', at(8, 19))], at(8, 12)),
+              at(8, 3),
+              at(8, 3),
+              '+',
+            ),
+          ],
+          at(7),
+        ),
+        new PrintStatement(new Identifier('total', at(10, 7)), at(10)),
+      ],
+      null,
+    );
+
+    const translator = new LLVMTranslator({ debug: true, sourceFile: '/src/double.cplct' });
+    const result = translator.translate(ir);
+
+    assert.match(result, /!\{i32 2, !"Debug Info Version", i32 3\}/);
+    assert.match(result, /!DIFile\(filename: "double\.cplct", directory: "\/src"\)/);
+    assert.match(result, /!DICompileUnit\(language: DW_LANG_C, file: !\d+, producer: "complect"/);
+    // main starts at the first statement outside a function
+    assert.match(result, /define i32 @main\(\) !dbg !\d+/);
+    assert.match(result, /!DISubprogram\(name: "main", scope: !\d+, file: !\d+, line: 6,/);
+    assert.match(result, /!DISubprogram\(name: "double", scope: !\d+, file: !\d+, line: 1,.*DISPFlagLocalToUnit/);
+    // Program-level variables are globals; parameters, makes and loop variables are locals
+    assert.match(result, /@total\.global = internal global i32 0, !dbg !\d+/);
+    assert.match(result, /!DIGlobalVariable\(name: "total", scope: !\d+, file: !\d+, line: 6, type: !\d+/);
+    assert.match(result, /call void @llvm\.dbg\.declare\(metadata i32\* %n, metadata !\d+/);
+    assert.match(result, /!DILocalVariable\(name: "n", arg: 1, scope: !\d+, file: !\d+, line: 1/);
+    assert.match(result, /!DILocalVariable\(name: "twice", scope: !\d+, file: !\d+, line: 2/);
+    assert.match(
+      result,
+      /!DILocalVariable\(name: "i", scope: (!\d+), file: !\d+, line: 7[\s\S]*\1 = distinct !DILexicalBlock/,
+    );
+    assert.match(result, /!DIBasicType\(name: "int", size: 32, encoding: DW_ATE_signed\)/);
+    // Each statement's instructions carry its line
+    for (const line of [2, 3, 6, 7, 8, 10]) {
+      assert.match(result, new RegExp(`!DILocation\\(line: ${line}, column: \\d+, scope: !\\d+\\)`), `line ${line}`);
+    }
+    assert.match(result, /%print = call .* @printf\(.*\), !dbg !\d+/);
+  });
+
+  it('leaves debug info out by default', () => {
+    const loc = { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } };
+    const ir = new Program([new PrintStatement(new NumericLiteral(1, loc), loc)], null);
+
+    const translator = new LLVMTranslator();
+    const result = translator.translate(ir);
+
+    assert.doesNotMatch(result, /!dbg|llvm\.dbg|DICompileUnit/);
+  });
 });
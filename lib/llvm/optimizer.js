@@ -0,0 +1,25 @@
+/* Complect - Compiler for the Complect programming language
+ *
+ * Copyright © 2024 Jarrod Connolly
+ * MIT License
+ */
+
+import { runTool } from '../util/run-tool.js';
+
+// llvm-bindings has no pass manager, so the module is run through LLVM's opt tool. Levels 1 to 3 are LLVM's
+// standard pipelines: they promote variables to registers (mem2reg/SROA), combine instructions, simplify the
+// control flow graph, remove redundant loads and expressions (GVN), optimize loops and inline functions,
+// more aggressively at each level. Level 0 leaves the module as it is.
+const optLevels = [0, 1, 2, 3];
+
+// Optimize textual LLVM IR at the given level and return the optimized IR
+export function optimize(ir, level, opt = 'opt') {
+  if (!optLevels.includes(level)) {
+    return Promise.reject(new Error(`Unknown optimization level: ${level} (use 0, 1, 2 or 3)`));
+  }
+  if (level === 0) {
+    return Promise.resolve(ir);
+  }
+
+  return runTool(opt, ['-S', `-passes=default<O${level}>`], ir);
+}
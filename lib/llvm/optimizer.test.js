@@ -0,0 +1,82 @@
+/* Complect - Compiler for the Complect programming language
+ *
+ * Copyright © 2024 Jarrod Connolly
+ * MIT License
+ */
+
+import assert from 'node:assert';
+import { execFileSync, spawnSync } from 'node:child_process';
+import { createReadStream, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, describe, it } from 'node:test';
+import llvm from 'llvm-bindings';
+import { compile } from '../compiler.js';
+import { optimize } from './optimizer.js';
+
+// The fixtures run through lli need LLVM's tools; SDL fixtures are only verified
+const hasTools = !spawnSync('opt', ['--version']).error && !spawnSync('lli', ['--version']).error;
+const runnable = ['fib', 'fizzbuzz', 'function-test', 'primes'];
+const sdl = ['sdl-cube', 'sdl-fire-jare', 'test-array'];
+const workDir = mkdtempSync(join(tmpdir(), 'complect-opt-'));
+
+async function compileFixture(name, optLevel) {
+  const input = createReadStream(new URL(`../../fixtures/${name}.cplct`, import.meta.url));
+  const { code } = await compile(input, 'llvm', { optLevel });
+  const file = join(workDir, `${name}.O${optLevel}.ll`);
+  writeFileSync(file, code);
+  return file;
+}
+
+function verifies(file) {
+  const module = llvm.parseIRFile(file, new llvm.SMDiagnostic(), new llvm.LLVMContext());
+  return module !== null && !llvm.verifyModule(module);
+}
+
+describe('optimize', () => {
+  after(() => rmSync(workDir, { recursive: true, force: true }));
+
+  it('leaves the module unchanged at level 0', async () => {
+    const ir = '; ModuleID = test\n';
+    assert.strictEqual(await optimize(ir, 0), ir);
+  });
+
+  it('rejects unknown levels', async () => {
+    await assert.rejects(optimize('', 4), /Unknown optimization level: 4 \(use 0, 1, 2 or 3\)/);
+    await assert.rejects(optimize('', Number.NaN), /Unknown optimization level: NaN/);
+  });
+
+  it('reports a missing opt tool', async () => {
+    await assert.rejects(
+      optimize('', 2, 'complect-no-such-opt'),
+      /'complect-no-such-opt' is not installed or not on the PATH/,
+    );
+  });
+
+  it('promotes variables to registers', { skip: !hasTools && 'LLVM tools not installed' }, async () => {
+    const ir = await optimize(
+      'define i32 @main() {\nentry:\n  %x = alloca i32\n  store i32 7, i32* %x\n  %v = load i32, i32* %x\n  ret i32 %v\n}\n',
+      1,
+    );
+    assert.doesNotMatch(ir, /alloca/);
+    assert.match(ir, /ret i32 7/);
+  });
+
+  for (const level of [1, 2, 3]) {
+    it(
+      `fixtures verify and print the same output at -O${level}`,
+      { skip: !hasTools && 'LLVM tools not installed' },
+      async () => {
+        for (const name of runnable) {
+          const expected = execFileSync('lli', [await compileFixture(name, 0)], { timeout: 20000 }).toString();
+          const file = await compileFixture(name, level);
+          assert.ok(verifies(file), `${name} at -O${level} does not verify`);
+          assert.strictEqual(execFileSync('lli', [file], { timeout: 20000 }).toString(), expected, name);
+        }
+        for (const name of sdl) {
+          assert.ok(verifies(await compileFixture(name, level)), `${name} at -O${level} does not verify`);
+        }
+      },
+    );
+  }
+});
@@ -0,0 +1,38 @@
+/* Complect - Compiler for the Complect programming language
+ *
+ * Copyright © 2024 Jarrod Connolly
+ * MIT License
+ */
+
+export const defaultTarget = 'x86_64-pc-linux-gnu';
+
+// LLVM 14's data layouts for ELF and WebAssembly targets, by the architecture at the start of the triple.
+// llvm-bindings cannot read a data layout back from a TargetMachine, so they are listed here.
+const dataLayouts = new Map([
+  ['x86_64', 'e-m:e-p270:32:32-p271:32:32-p272:64:64-i64:64-f80:128-n8:16:32:64-S128'],
+  ['i386', 'e-m:e-p:32:32-p270:32:32-p271:32:32-p272:64:64-f64:32:64-f80:32-n8:16:32-S128'],
+  ['i686', 'e-m:e-p:32:32-p270:32:32-p271:32:32-p272:64:64-f64:32:64-f80:32-n8:16:32-S128'],
+  ['aarch64', 'e-m:e-i8:8:32-i16:16:32-i64:64-i128:128-n32:64-S128'],
+  ['arm', 'e-m:e-p:32:32-Fi8-i64:64-v128:64:128-a:0:32-n32-S64'],
+  ['riscv32', 'e-m:e-p:32:32-i64:64-n32-S128'],
+  ['riscv64', 'e-m:e-p:64:64-i64:64-i128:128-n64-S128'],
+  ['wasm32', 'e-m:e-p:32:32-p10:8:8-p20:8:8-i64:64-n32:64-S128-ni:1:10:20'],
+  ['wasm64', 'e-m:e-p:64:64-p10:8:8-p20:8:8-i64:64-n32:64-S128-ni:1:10:20'],
+]);
+
+// Operating systems whose object files are not ELF: Mach-O on Apple systems and COFF on Windows mangle
+// names differently (m:o, m:w or m:x rather than m:e), so their layouts are not the ones above
+const nonElfSystem = /^(darwin|macos|ios|tvos|watchos|windows|win32|mingw32|cygwin)/;
+
+// Data layout string for a target triple such as aarch64-linux-gnu or wasm32
+export function dataLayoutFor(triple) {
+  const [arch, ...rest] = triple.split('-');
+  const dataLayout = dataLayouts.get(arch);
+  if (!dataLayout) {
+    throw new Error(`Unsupported target: ${triple} (architectures: ${[...dataLayouts.keys()].join(', ')})`);
+  }
+  if (rest.some((part) => nonElfSystem.test(part))) {
+    throw new Error(`Unsupported target: ${triple} (only ELF and WebAssembly targets are supported)`);
+  }
+  return dataLayout;
+}
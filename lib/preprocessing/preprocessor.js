@@ -4,6 +4,7 @@
  * MIT License
  */
 import { StringDecoder } from 'node:string_decoder';
+import { operators } from '../tokenizer/operators.js';
 import { PreprocessingToken } from './preprocessing-token.js';
 import { PreprocessingTokenType } from './preprocessing-token-type.js';
 
@@ -103,8 +104,20 @@ export class Preprocessor {
   }
 
   isOperator(c) {
-    const operators = ['+', '-', '*', '/', '=', '<', '>', '%', '[', ']'];
-    return operators.includes(c);
+    const operatorChars = ['+', '-', '*', '/', '=', '!', '<', '>', '%', '&', '|', '^', '~', '[', ']', '(', ')', ','];
+    return operatorChars.includes(c);
+  }
+
+  // Brackets, '~' and ',' are always single-character operators so they never merge with neighbours, e.g. '*(',
+  // '))' or '&~'
+  isStandaloneOperator(c) {
+    return c === '(' || c === ')' || c === '[' || c === ']' || c === '~' || c === ',';
+  }
+
+  // Operator characters only merge while they still spell the start of a known operator, so x+=-1 scans as
+  // '+=' then -1 and a<<-1 as '<<' then -1
+  extendsOperator(text) {
+    return operators.some((operator) => operator.startsWith(text));
   }
 
   async *process(chunkIterable) {
@@ -154,6 +167,14 @@ export class Preprocessor {
               this.#state = PreprocessingState.identifier;
               this.#currentToken.append(ch);
               break;
+            } else if (this.isStandaloneOperator(ch)) {
+              this.#currentToken.line = this.#line;
+              this.#currentToken.column = this.#column;
+              this.#currentToken.type = PreprocessingTokenType.operator;
+              this.#currentToken.append(ch);
+              yield this.#sendToken();
+              this.#resetToken();
+              break;
             } else if (this.isOperator(ch)) {
               this.#currentToken.line = this.#line;
               this.#currentToken.column = this.#column;
@@ -183,7 +204,11 @@ export class Preprocessor {
             }
           }
           case PreprocessingState.operator: {
-            if (this.isOperator(ch)) {
+            if (
+              this.isOperator(ch) &&
+              !this.isStandaloneOperator(ch) &&
+              this.extendsOperator(this.#currentToken.value + ch)
+            ) {
               this.#currentToken.append(ch);
               break;
             }
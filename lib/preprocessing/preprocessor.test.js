@@ -168,9 +168,11 @@ describe('Preprocessor', () => {
 
   it('multiple operators', async () => {
     const tokens = await testStream('a +++ b');
-    assert.strictEqual(tokens.length, 6);
-    assert.strictEqual(tokens[2].value, '+++');
+    assert.strictEqual(tokens.length, 7);
+    assert.strictEqual(tokens[2].value, '++');
     assert.strictEqual(tokens[2].type, PreprocessingTokenType.operator);
+    assert.strictEqual(tokens[3].value, '+');
+    assert.strictEqual(tokens[3].type, PreprocessingTokenType.operator);
   });
 
   it('only whitespace', async () => {
@@ -286,4 +288,44 @@ describe('Preprocessor', () => {
     assert.strictEqual(tokens[6].value, 'print');
     assert.strictEqual(tokens[6].type, PreprocessingTokenType.identifier);
   });
+
+  it('parentheses are single-character operators', async () => {
+    const tokens = await testStream('a*((b+1))');
+    const values = tokens.filter((t) => t.type === PreprocessingTokenType.operator).map((t) => t.value);
+    assert.deepStrictEqual(values, ['*', '(', '(', '+', ')', ')']);
+  });
+
+  it('brackets do not merge with operators', async () => {
+    const tokens = await testStream('buf[i]=(x)');
+    const values = tokens.filter((t) => t.type === PreprocessingTokenType.operator).map((t) => t.value);
+    assert.deepStrictEqual(values, ['[', ']', '=', '(', ')']);
+  });
+
+  it('bitwise and shift operators', async () => {
+    const tokens = await testStream('a<<2|b>>1&c^~d&~e');
+    const values = tokens.filter((t) => t.type === PreprocessingTokenType.operator).map((t) => t.value);
+    assert.deepStrictEqual(values, ['<<', '|', '>>', '&', '^', '~', '&', '~']);
+  });
+
+  it('compound assignment and increment operators', async () => {
+    const tokens = await testStream('a+=-1\nb[i]++\nc--\nd!=e');
+    const values = tokens
+      .filter((t) => t.type === PreprocessingTokenType.operator || t.type === PreprocessingTokenType.number)
+      .map((t) => t.value);
+    assert.deepStrictEqual(values, ['+=', '-1', '[', ']', '++', '--', '!=']);
+  });
+
+  it('operators only merge into known operators', async () => {
+    const tokens = await testStream('x*-y');
+    const values = tokens.filter((t) => t.type === PreprocessingTokenType.operator).map((t) => t.value);
+    assert.deepStrictEqual(values, ['*', '-']);
+  });
+
+  it('commas are single-character operators', async () => {
+    const tokens = await testStream('[0,-1,,2]');
+    const values = tokens
+      .filter((t) => t.type === PreprocessingTokenType.operator || t.type === PreprocessingTokenType.number)
+      .map((t) => t.value);
+    assert.deepStrictEqual(values, ['[', '0', ',', '-1', ',', ',', '2', ']']);
+  });
 });
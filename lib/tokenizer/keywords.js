@@ -3,35 +3,81 @@
  * Copyright © 2024 Jarrod Connolly
  * MIT License
  */
-export const keywords = [
-  'bool',
-  'true',
-  'false',
-  'make',
-  'assign',
-  'if',
-  'endif',
-  'as',
-  'repeat',
-  'print',
-  'free',
-  'func',
-  'return',
-  'call',
-  'into',
-  'end',
-  'sdlInit',
-  'sdlWindow',
-  'sdlRenderer',
-  'sdlDelay',
-  'sdlEvents',
-  'sdlGetPixel',
-  'sdlPutPixel',
-  'sdlPresent',
-  'sdlClear',
-  'sdlSetColor',
-  'sdlDrawLine',
-  'sin',
-  'cos',
-  'rnd',
+
+import { builtins } from '../builtins/builtins.js';
+
+// Language keywords with the usage line and description shown by editor tooling.
+// Builtin statements and expressions are described in lib/builtins/builtins.js.
+export const coreKeywords = [
+  {
+    name: 'bool',
+    signature: 'bool expression',
+    docs: 'Convert to a boolean: non-zero numbers and non-empty strings are true',
+  },
+  { name: 'true', signature: 'true', docs: 'Boolean true' },
+  { name: 'false', signature: 'false', docs: 'Boolean false' },
+  {
+    name: 'and',
+    signature: 'condition and condition',
+    docs: 'True when both conditions are true; the right one is skipped when the left is false',
+  },
+  {
+    name: 'or',
+    signature: 'condition or condition',
+    docs: 'True when either condition is true; the right one is skipped when the left is true',
+  },
+  { name: 'not', signature: 'not condition', docs: 'True when the condition is false' },
+  { name: 'make', signature: 'make identifier expression', docs: 'Declare a new variable with an initial value' },
+  {
+    name: 'int32',
+    signature: 'make identifier[size] int32',
+    docs: 'Array element type holding signed 32-bit integers (the default)',
+  },
+  {
+    name: 'byte',
+    signature: 'make identifier[size] byte',
+    docs: 'Array element type holding unsigned 8-bit values 0-255, e.g. for framebuffers',
+  },
+  { name: 'assign', signature: 'assign identifier expression', docs: 'Assign a value to an existing variable' },
+  {
+    name: 'if',
+    signature: 'if condition ... [elseif condition ...] [else ...] endif',
+    docs: 'Execute code conditionally',
+  },
+  {
+    name: 'elseif',
+    signature: 'elseif condition ...',
+    docs: 'Branch of an if block taken when earlier conditions are false and this one is true',
+  },
+  { name: 'else', signature: 'else ...', docs: 'Branch of an if block taken when no condition is true' },
+  { name: 'endif', signature: 'endif', docs: 'End an if statement block' },
+  { name: 'as', signature: 'as condition ... repeat', docs: 'Start a loop that repeats while condition is true' },
+  { name: 'repeat', signature: 'repeat', docs: 'End a loop block started with "as"' },
+  {
+    name: 'for',
+    signature: 'for variable start to end [step step] ... next',
+    docs: 'Count variable from start to end inclusive, adding step (default 1) after each pass',
+  },
+  { name: 'to', signature: 'to end', docs: 'Inclusive end value of a for loop' },
+  {
+    name: 'step',
+    signature: 'step amount',
+    docs: 'Amount added to a for loop variable after each pass; negative counts down',
+  },
+  { name: 'next', signature: 'next', docs: 'End a loop block started with "for"' },
+  { name: 'break', signature: 'break', docs: 'Leave the innermost loop' },
+  { name: 'continue', signature: 'continue', docs: 'Skip to the next pass of the innermost loop' },
+  { name: 'print', signature: 'print expression', docs: 'Print a value to the console' },
+  { name: 'free', signature: 'free identifier', docs: 'Free the memory of a string or array' },
+  { name: 'func', signature: 'func name param1 param2 ... end', docs: 'Define a new function' },
+  { name: 'return', signature: 'return [expression]', docs: 'Return from a function, optionally with a value' },
+  {
+    name: 'call',
+    signature: 'call function arg1 arg2 into result',
+    docs: 'Call a function, optionally storing its return value in result',
+  },
+  { name: 'into', signature: 'into result', docs: 'Name the variable that receives the result of a call' },
+  { name: 'end', signature: 'end', docs: 'End a function definition' },
 ];
+
+export const keywords = [...coreKeywords.map((keyword) => keyword.name), ...builtins.map((builtin) => builtin.name)];
@@ -3,4 +3,35 @@
  * Copyright © 2024 Jarrod Connolly
  * MIT License
  */
-export const operators = ['+', '-', '*', '/', '=', '==', '!=', '<', '>', '>=', '<=', '%', '[', ']'];
+export const operators = [
+  '+',
+  '-',
+  '*',
+  '/',
+  '=',
+  '==',
+  '!=',
+  '<',
+  '>',
+  '>=',
+  '<=',
+  '%',
+  '+=',
+  '-=',
+  '*=',
+  '/=',
+  '%=',
+  '++',
+  '--',
+  '&',
+  '|',
+  '^',
+  '~',
+  '<<',
+  '>>',
+  '[',
+  ']',
+  '(',
+  ')',
+  ',',
+];
@@ -9,7 +9,14 @@ import { operators } from './operators.js';
 import { Token } from './token.js';
 import { TokenType } from './token-type.js';
 
-export class TokenizerError extends Error {}
+// Custom error class for tokenizing with location info
+export class TokenizerError extends Error {
+  constructor(message, loc = null) {
+    super(message);
+    this.name = 'TokenizerError';
+    this.loc = loc;
+  }
+}
 
 export class Tokenizer {
   #tokenCount;
@@ -49,6 +56,7 @@ export class Tokenizer {
           if (!this.#operators.has(preprocessingToken.value)) {
             throw new TokenizerError(
               `Invalid operator: ${preprocessingToken.value} at line ${preprocessingToken.line}, column ${preprocessingToken.column}`,
+              { line: preprocessingToken.line, column: preprocessingToken.column },
             );
           }
           yield this._createToken(
@@ -64,6 +72,7 @@ export class Tokenizer {
           if (Number.isNaN(value)) {
             throw new TokenizerError(
               `Invalid number: ${preprocessingToken.value} at line ${preprocessingToken.line}, column ${preprocessingToken.column}`,
+              { line: preprocessingToken.line, column: preprocessingToken.column },
             );
           }
           yield this._createToken(TokenType.number, value, preprocessingToken.line, preprocessingToken.column);
@@ -64,6 +64,7 @@ describe('Tokenizer', () => {
     } catch (e) {
       assert(e instanceof TokenizerError);
       assert.strictEqual(e.message, 'Invalid operator: $ at line 0, column 0');
+      assert.deepStrictEqual(e.loc, { line: 0, column: 0 });
     }
     // not sure why this does not catch the exception
     // assert.throws(async () => {
@@ -109,6 +110,21 @@ describe('Tokenizer', () => {
     assert.strictEqual(tokens[0].type, TokenType.operator);
   });
 
+  it('bitwise and shift operators', async () => {
+    const values = ['&', '|', '^', '~', '<<', '>>'];
+    const tokens = await testStream(
+      values.map((value) => new PreprocessingToken(PreprocessingTokenType.operator, value)),
+    );
+    assert.deepStrictEqual(
+      tokens.map((token) => token.type),
+      values.map(() => TokenType.operator),
+    );
+    assert.deepStrictEqual(
+      tokens.map((token) => token.value),
+      values,
+    );
+  });
+
   it('ignores whitespace', async () => {
     const tokens = await testStream([new PreprocessingToken(PreprocessingTokenType.whitespace, '')]);
     assert.strictEqual(tokens.length, 0);
@@ -171,4 +187,18 @@ describe('Token', () => {
     const token = new Token(TokenType.identifier, 'x', 1, 5);
     assert.strictEqual(token.toString(), 'identifier x');
   });
+
+  it('parentheses', async () => {
+    const tokens = await testStream([
+      new PreprocessingToken(PreprocessingTokenType.operator, '('),
+      new PreprocessingToken(PreprocessingTokenType.operator, ')'),
+    ]);
+    assert.deepStrictEqual(
+      tokens.map((token) => [token.type, token.value]),
+      [
+        [TokenType.operator, '('],
+        [TokenType.operator, ')'],
+      ],
+    );
+  });
 });
@@ -0,0 +1,34 @@
+/* Complect - Compiler for the Complect programming language
+ *
+ * Copyright © 2024 Jarrod Connolly
+ * MIT License
+ */
+import { spawn } from 'node:child_process';
+
+// Run an external tool with input on stdin; resolves with its stdout, rejects with its stderr when it fails
+export function runTool(command, args, input = '') {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args);
+    let output = '';
+    let errors = '';
+    child.stdout.setEncoding('utf8').on('data', (chunk) => {
+      output += chunk;
+    });
+    child.stderr.setEncoding('utf8').on('data', (chunk) => {
+      errors += chunk;
+    });
+    child.on('error', (err) => {
+      reject(err.code === 'ENOENT' ? new Error(`'${command}' is not installed or not on the PATH`) : err);
+    });
+    child.on('close', (code) => {
+      if (code === 0) {
+        resolve(output);
+      } else {
+        reject(new Error(`${command} failed with exit code ${code}: ${errors.trim()}`));
+      }
+    });
+    // A failed start or exit is reported by the events above
+    child.stdin.on('error', () => {});
+    child.stdin.end(input);
+  });
+}
@@ -0,0 +1,7 @@
+// Hover text for a keyword or builtin: its full usage line, which does not always start with the name
+// (condition and condition), and its description
+function hoverMarkdown(item) {
+  return `\`${item.signature}\`\n\n${item.docs}.`;
+}
+
+module.exports = { hoverMarkdown };
@@ -0,0 +1,25 @@
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+const { hoverMarkdown } = require('./hover.js');
+
+describe('hoverMarkdown', () => {
+  it('shows the whole signature of an operator keyword', async () => {
+    const { coreKeywords } = await import('../lib/tokenizer/keywords.js');
+    const and = coreKeywords.find((keyword) => keyword.name === 'and');
+
+    assert.strictEqual(
+      hoverMarkdown(and),
+      '`condition and condition`\n\nTrue when both conditions are true; the right one is skipped when the left is false.',
+    );
+  });
+
+  it('shows the declaration an array element type keyword appears in', async () => {
+    const { coreKeywords } = await import('../lib/tokenizer/keywords.js');
+    const hovers = ['int32', 'byte'].map((name) =>
+      hoverMarkdown(coreKeywords.find((keyword) => keyword.name === name)),
+    );
+
+    assert.match(hovers[0], /^`make identifier\[size\] int32`\n\nArray element type holding signed 32-bit integers/);
+    assert.match(hovers[1], /^`make identifier\[size\] byte`\n\nArray element type holding unsigned 8-bit values/);
+  });
+});
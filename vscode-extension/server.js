@@ -5,9 +5,13 @@ const {
   TextDocumentSyncKind,
   CompletionItemKind,
   DiagnosticSeverity,
+  SymbolKind,
+  ResponseError,
+  ErrorCodes,
 } = require('vscode-languageserver/node');
 
 const { TextDocument } = require('vscode-languageserver-textdocument');
+const { hoverMarkdown } = require('./hover.js');
 
 // Create a connection for the server, using Node's IPC as a transport.
 // Also include all preview / proposed LSP features.
@@ -18,7 +22,7 @@ const documents = new TextDocuments(TextDocument);
 
 let hasConfigurationCapability = false;
 let hasWorkspaceFolderCapability = false;
-let hasDiagnosticRelatedInformationCapability = false;
+let hasPrepareRenameCapability = false;
 
 connection.onInitialize((params) => {
   const capabilities = params.capabilities;
@@ -27,7 +31,7 @@ connection.onInitialize((params) => {
   // If not, we fall back using global settings.
   hasConfigurationCapability = !!(capabilities.workspace && !!capabilities.workspace.configuration);
   hasWorkspaceFolderCapability = !!(capabilities.workspace && !!capabilities.workspace.workspaceFolders);
-  hasDiagnosticRelatedInformationCapability = !!capabilities.textDocument?.publishDiagnostics?.relatedInformation;
+  hasPrepareRenameCapability = !!capabilities.textDocument?.rename?.prepareSupport;
 
   const result = {
     capabilities: {
@@ -37,6 +41,10 @@ connection.onInitialize((params) => {
         resolveProvider: true,
       },
       hoverProvider: true,
+      definitionProvider: true,
+      referencesProvider: true,
+      documentSymbolProvider: true,
+      renameProvider: hasPrepareRenameCapability ? { prepareProvider: true } : true,
     },
   };
   if (hasWorkspaceFolderCapability) {
@@ -79,9 +87,14 @@ connection.onDidChangeConfiguration((_change) => {
   documents.all().forEach(validateTextDocument);
 });
 
-// Only keep settings for open documents
+// { version, index } of the open documents whose current text parsed; positions in an index only match the
+// document version it was built from
+const documentSymbols = new Map();
+
+// Only keep settings and symbols for open documents
 documents.onDidClose((e) => {
   documentSettings.delete(e.document.uri);
+  documentSymbols.delete(e.document.uri);
 });
 
 // The content of a text document has changed. This event is emitted
@@ -90,236 +103,199 @@ documents.onDidChangeContent((change) => {
   validateTextDocument(change.document);
 });
 
-async function validateTextDocument(textDocument) {
-  // The validator creates diagnostics for all uppercase words length 2 and more
-  const text = textDocument.getText();
-  const pattern = /\b[A-Z]{2,}\b/g;
+// The compiler stages in lib/ are ES modules, so load them on first use from this CommonJS server
+let compilerStages = null;
+async function loadCompilerStages() {
+  if (!compilerStages) {
+    const [{ Preprocessor }, { Tokenizer, TokenizerError }, { ASTBuilder, ASTError }, { SymbolIndex }] =
+      await Promise.all([
+        import('../lib/preprocessing/preprocessor.js'),
+        import('../lib/tokenizer/tokenizer.js'),
+        import('../lib/ast/ast-builder.js'),
+        import('../lib/ast/symbol-index.js'),
+      ]);
+    compilerStages = { Preprocessor, Tokenizer, TokenizerError, ASTBuilder, ASTError, SymbolIndex };
+  }
+  return compilerStages;
+}
 
-  let problems = 0;
+// Convert a compiler location (1-based line/column) into an LSP range covering the token at that spot
+function locToRange(textDocument, loc) {
+  if (!loc) {
+    return { start: { line: 0, character: 0 }, end: { line: 0, character: 0 } };
+  }
+  const start = { line: loc.line - 1, character: loc.column - 1 };
+  const lineText = textDocument.getText({
+    start: { line: start.line, character: 0 },
+    end: { line: start.line + 1, character: 0 },
+  });
+  const tokenText = /^\S*/.exec(lineText.slice(start.character))[0];
+  return { start, end: { line: start.line, character: start.character + tokenText.length } };
+}
+
+async function validateTextDocument(textDocument) {
+  // Run the same Preprocessor -> Tokenizer -> ASTBuilder pipeline as the CLI and report the first error
+  const { Preprocessor, Tokenizer, TokenizerError, ASTBuilder, ASTError, SymbolIndex } = await loadCompilerStages();
   const diagnostics = [];
-  let match;
-  while (problems < 1000) {
-    match = pattern.exec(text);
-    if (match === null) break;
-    problems++;
-    const diagnostic = {
-      severity: DiagnosticSeverity.Warning,
-      range: {
-        start: textDocument.positionAt(match.index),
-        end: textDocument.positionAt(match.index + match[0].length),
-      },
-      message: `${match[0]} is all uppercase.`,
-      source: 'ex',
-    };
-    if (hasDiagnosticRelatedInformationCapability) {
-      diagnostic.relatedInformation = [
-        {
-          location: {
-            uri: textDocument.uri,
-            range: Object.assign({}, diagnostic.range),
-          },
-          message: 'Spelling matters',
-        },
-        {
-          location: {
-            uri: textDocument.uri,
-            range: Object.assign({}, diagnostic.range),
-          },
-          message: 'Particularly for names',
-        },
-      ];
-    }
-    diagnostics.push(diagnostic);
+  let index = null;
+  try {
+    const preprocessor = new Preprocessor();
+    const tokenizer = new Tokenizer();
+    const astBuilder = new ASTBuilder();
+    const ir = await astBuilder.build(tokenizer.process(preprocessor.process([textDocument.getText()])));
+    index = new SymbolIndex(ir);
+  } catch (err) {
+    const hasLocation = err instanceof TokenizerError || err instanceof ASTError;
+    diagnostics.push({
+      severity: DiagnosticSeverity.Error,
+      range: locToRange(textDocument, hasLocation ? err.loc : null),
+      message: err.message,
+      source: 'complect',
+    });
+  }
+
+  // Validations run concurrently; the result for an edit that has since been superseded is dropped
+  if (documents.get(textDocument.uri)?.version !== textDocument.version) {
+    return;
+  }
+  if (index) {
+    documentSymbols.set(textDocument.uri, { version: textDocument.version, index });
+  } else {
+    documentSymbols.delete(textDocument.uri);
   }
 
   // Send the computed diagnostics to VS Code.
   connection.sendDiagnostics({ uri: textDocument.uri, diagnostics });
 }
 
+// Symbol index of a document, or null when its current text has not been indexed
+function documentIndex(uri) {
+  const entry = documentSymbols.get(uri);
+  if (!entry || documents.get(uri)?.version !== entry.version) {
+    return null;
+  }
+  return entry.index;
+}
+
+// Convert the location of a symbol name (1-based line/column) into an LSP location
+function symbolLocation(uri, symbol, loc) {
+  const start = { line: loc.start.line - 1, character: loc.start.column - 1 };
+  return { uri, range: { start, end: { line: start.line, character: start.character + symbol.name.length } } };
+}
+
+// Look up the symbol under the cursor for a text document position request
+function symbolAtPosition(params) {
+  const index = documentIndex(params.textDocument.uri);
+  if (!index) {
+    return null;
+  }
+  return index.symbolAt(params.position.line + 1, params.position.character + 1);
+}
+
+connection.onDefinition((params) => {
+  const symbol = symbolAtPosition(params);
+  if (!symbol || !symbol.definition) {
+    return null;
+  }
+  return symbolLocation(params.textDocument.uri, symbol, symbol.definition);
+});
+
+connection.onReferences((params) => {
+  const symbol = symbolAtPosition(params);
+  if (!symbol) {
+    return [];
+  }
+  const locs = params.context.includeDeclaration
+    ? documentIndex(params.textDocument.uri).locations(symbol)
+    : symbol.references;
+  return locs.map((loc) => symbolLocation(params.textDocument.uri, symbol, loc));
+});
+
+connection.onPrepareRename((params) => {
+  const symbol = symbolAtPosition(params);
+  if (!symbol) {
+    return null;
+  }
+  const index = documentIndex(params.textDocument.uri);
+  const loc = index
+    .locations(symbol)
+    .find((l) => index.covers(symbol, l, params.position.line + 1, params.position.character + 1));
+  return symbolLocation(params.textDocument.uri, symbol, loc).range;
+});
+
+connection.onRenameRequest((params) => {
+  const symbol = symbolAtPosition(params);
+  if (!symbol) {
+    return null;
+  }
+  const index = documentIndex(params.textDocument.uri);
+  const error = index.renameError(symbol, params.newName);
+  if (error) {
+    throw new ResponseError(ErrorCodes.InvalidParams, error);
+  }
+  const edits = index.locations(symbol).map((loc) => ({
+    range: symbolLocation(params.textDocument.uri, symbol, loc).range,
+    newText: params.newName,
+  }));
+  return { changes: { [params.textDocument.uri]: edits } };
+});
+
+const symbolKinds = {
+  function: SymbolKind.Function,
+  variable: SymbolKind.Variable,
+  parameter: SymbolKind.Variable,
+  array: SymbolKind.Array,
+};
+
+connection.onDocumentSymbol((params) => {
+  const index = documentIndex(params.textDocument.uri);
+  if (!index) {
+    return [];
+  }
+  return index.declarations().map((symbol) => ({
+    name: symbol.name,
+    kind: symbolKinds[symbol.kind],
+    location: symbolLocation(params.textDocument.uri, symbol, symbol.definition),
+    containerName: symbol.scope ?? undefined,
+  }));
+});
+
 connection.onDidChangeWatchedFiles((_change) => {
   // Monitored files have change in VSCode
   connection.console.log('We received an file change event');
 });
 
+// Keywords and builtins with their usage line and description, from the compiler's registries
+let languageItems = null;
+async function loadLanguageItems() {
+  if (!languageItems) {
+    const [{ coreKeywords }, { builtins, builtinSignature }] = await Promise.all([
+      import('../lib/tokenizer/keywords.js'),
+      import('../lib/builtins/builtins.js'),
+    ]);
+    languageItems = [
+      ...coreKeywords.map((keyword) => ({ ...keyword, kind: CompletionItemKind.Keyword })),
+      ...builtins.map((builtin) => ({
+        name: builtin.name,
+        signature: builtinSignature(builtin),
+        docs: builtin.docs,
+        kind: CompletionItemKind.Function,
+      })),
+    ];
+  }
+  return languageItems;
+}
+
 // This handler provides the initial list of the completion items.
 connection.onCompletion(async (_textDocumentPosition) => {
-  // Provide completion items for Complect language
-  return [
-    // Keywords - Variable and assignment
-    {
-      label: 'make',
-      kind: CompletionItemKind.Keyword,
-      detail: 'make identifier expression',
-      documentation: 'Declare a new variable with an initial value',
-      data: 1,
-    },
-    {
-      label: 'assign',
-      kind: CompletionItemKind.Keyword,
-      detail: 'assign identifier expression',
-      documentation: 'Assign a value to an existing variable',
-      data: 2,
-    },
-    // Keywords - Control flow
-    {
-      label: 'if',
-      kind: CompletionItemKind.Keyword,
-      detail: 'if condition ... endif',
-      documentation: 'Execute code conditionally',
-      data: 3,
-    },
-    {
-      label: 'endif',
-      kind: CompletionItemKind.Keyword,
-      detail: 'endif',
-      documentation: 'End an if statement block',
-      data: 4,
-    },
-    {
-      label: 'as',
-      kind: CompletionItemKind.Keyword,
-      detail: 'as condition ... repeat',
-      documentation: 'Start a loop that repeats while condition is true',
-      data: 5,
-    },
-    {
-      label: 'repeat',
-      kind: CompletionItemKind.Keyword,
-      detail: 'repeat',
-      documentation: 'End a loop block started with "as"',
-      data: 6,
-    },
-    // Keywords - Functions
-    {
-      label: 'func',
-      kind: CompletionItemKind.Keyword,
-      detail: 'func name param1 param2 ... end',
-      documentation: 'Define a new function',
-      data: 7,
-    },
-    {
-      label: 'return',
-      kind: CompletionItemKind.Keyword,
-      detail: 'return identifier',
-      documentation: 'Return a value from a function',
-      data: 8,
-    },
-    {
-      label: 'call',
-      kind: CompletionItemKind.Keyword,
-      detail: 'call function arg1 arg2 result',
-      documentation: 'Call a function (with result) or call function arg1 arg2 (void)',
-      data: 9,
-    },
-    {
-      label: 'end',
-      kind: CompletionItemKind.Keyword,
-      detail: 'end',
-      documentation: 'End a function definition',
-      data: 10,
-    },
-    // Keywords - Other
-    {
-      label: 'print',
-      kind: CompletionItemKind.Keyword,
-      detail: 'print expression',
-      documentation: 'Print a value to the console',
-      data: 11,
-    },
-    {
-      label: 'free',
-      kind: CompletionItemKind.Keyword,
-      detail: 'free identifier',
-      documentation: 'Free a variable from memory',
-      data: 12,
-    },
-    // Built-in math functions
-    {
-      label: 'sin',
-      kind: CompletionItemKind.Function,
-      detail: 'sin angle scale',
-      documentation: 'Calculate sine of an angle with scaling factor',
-      data: 13,
-    },
-    {
-      label: 'cos',
-      kind: CompletionItemKind.Function,
-      detail: 'cos angle scale',
-      documentation: 'Calculate cosine of an angle with scaling factor',
-      data: 14,
-    },
-    // SDL graphics functions
-    {
-      label: 'sdlInit',
-      kind: CompletionItemKind.Function,
-      detail: 'sdlInit',
-      documentation: 'Initialize SDL graphics system',
-      data: 15,
-    },
-    {
-      label: 'sdlWindow',
-      kind: CompletionItemKind.Function,
-      detail: 'sdlWindow width height title',
-      documentation: 'Create an SDL window with specified dimensions and title',
-      data: 16,
-    },
-    {
-      label: 'sdlDelay',
-      kind: CompletionItemKind.Function,
-      detail: 'sdlDelay milliseconds',
-      documentation: 'Pause execution for specified milliseconds',
-      data: 17,
-    },
-    {
-      label: 'sdlEvents',
-      kind: CompletionItemKind.Function,
-      detail: 'sdlEvents',
-      documentation: 'Handle SDL events (keyboard, mouse, etc.)',
-      data: 18,
-    },
-    {
-      label: 'sdlRenderer',
-      kind: CompletionItemKind.Function,
-      detail: 'sdlRenderer',
-      documentation: 'Create an SDL renderer for drawing',
-      data: 19,
-    },
-    {
-      label: 'sdlPutPixel',
-      kind: CompletionItemKind.Function,
-      detail: 'sdlPutPixel x y r g b',
-      documentation: 'Draw a pixel at position (x,y) with RGB color',
-      data: 20,
-    },
-    {
-      label: 'sdlPresent',
-      kind: CompletionItemKind.Function,
-      detail: 'sdlPresent',
-      documentation: 'Present the rendered graphics to the screen',
-      data: 21,
-    },
-    {
-      label: 'sdlClear',
-      kind: CompletionItemKind.Function,
-      detail: 'sdlClear',
-      documentation: 'Clear the screen',
-      data: 22,
-    },
-    {
-      label: 'sdlSetColor',
-      kind: CompletionItemKind.Function,
-      detail: 'sdlSetColor r g b',
-      documentation: 'Set the drawing color to RGB values',
-      data: 23,
-    },
-    {
-      label: 'sdlDrawLine',
-      kind: CompletionItemKind.Function,
-      detail: 'sdlDrawLine x1 y1 x2 y2',
-      documentation: 'Draw a line from (x1,y1) to (x2,y2)',
-      data: 24,
-    },
-  ];
+  const items = await loadLanguageItems();
+  return items.map((item, i) => ({
+    label: item.name,
+    kind: item.kind,
+    detail: item.signature,
+    documentation: item.docs,
+    data: i + 1,
+  }));
 });
 
 // This handler resolves additional information for the item selected in
@@ -331,7 +307,7 @@ connection.onCompletionResolve((item) => {
 });
 
 // Hover handler
-connection.onHover((params) => {
+connection.onHover(async (params) => {
   const document = documents.get(params.textDocument.uri);
   if (!document) {
     return null;
@@ -342,6 +318,7 @@ connection.onHover((params) => {
   const text = document.getText();
 
   // Simple hover for keywords and function names - look for word at position
+  const items = await loadLanguageItems();
   const wordPattern = /\b\w+\b/g;
   let match;
   while (true) {
@@ -351,76 +328,13 @@ connection.onHover((params) => {
     const end = start + match[0].length;
     if (offset >= start && offset <= end) {
       const word = match[0];
-      // Provide hover info for known keywords and functions
-      if (word === 'make') {
-        return {
-          contents: {
-            kind: 'markdown',
-            value: '**make** identifier expression\n\nDeclare a new variable with an initial value.',
-          },
-        };
-      } else if (word === 'assign') {
-        return {
-          contents: {
-            kind: 'markdown',
-            value: '**assign** identifier expression\n\nAssign a value to an existing variable.',
-          },
-        };
-      } else if (word === 'if') {
-        return {
-          contents: {
-            kind: 'markdown',
-            value: '**if** condition ... **endif**\n\nExecute code conditionally based on a boolean expression.',
-          },
-        };
-      } else if (word === 'as') {
-        return {
-          contents: {
-            kind: 'markdown',
-            value: '**as** condition ... **repeat**\n\nStart a loop that repeats while the condition is true.',
-          },
-        };
-      } else if (word === 'print') {
-        return {
-          contents: {
-            kind: 'markdown',
-            value: '**print** expression\n\nPrint a value to the console.',
-          },
-        };
-      } else if (word === 'func') {
-        return {
-          contents: {
-            kind: 'markdown',
-            value: '**func** name param1 param2 ... **end**\n\nDefine a new function with parameters.',
-          },
-        };
-      } else if (word === 'call') {
-        return {
-          contents: {
-            kind: 'markdown',
-            value:
-              '**call** function arg1 arg2 result\n\nCall a function with arguments and store result, or **call** function arg1 arg2 for void calls.',
-          },
-        };
-      } else if (word === 'sin') {
-        return {
-          contents: {
-            kind: 'markdown',
-            value: '**sin** angle scale\n\nCalculate sine of an angle with a scaling factor.',
-          },
-        };
-      } else if (word === 'cos') {
-        return {
-          contents: {
-            kind: 'markdown',
-            value: '**cos** angle scale\n\nCalculate cosine of an angle with a scaling factor.',
-          },
-        };
-      } else if (word === 'sdlInit') {
+      // Provide hover info for known keywords and builtins
+      const item = items.find((candidate) => candidate.name === word);
+      if (item) {
         return {
           contents: {
             kind: 'markdown',
-            value: '**sdlInit**\n\nInitialize the SDL graphics system.',
+            value: hoverMarkdown(item),
           },
         };
       }